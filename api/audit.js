@@ -0,0 +1,29 @@
+import { ACTIONS, auditDenied, parseAuditQuery, queryAudit } from '../lib/audit.js';
+import { authorize } from '../lib/auth.js';
+
+// GET /api/audit?action=&actor=&target=&outcome=&cursor=&limit=   audit log, newest first
+// `actor` matches part of a name, Telegram user id or IP; pass `nextCursor` back as `cursor`
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const auth = authorize(req, 'admin');
+  if (!auth.allowed) {
+    await auditDenied(req, 'audit log read', auth);
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const page = await queryAudit(parseAuditQuery(req.query));
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ ...page, actions: ACTIONS });
+
+  } catch (error) {
+    console.error('Audit handler error:', error.message);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,37 @@
+import { login, authStatus } from '../lib/auth.js';
+import { auditRequest, clientIp } from '../lib/audit.js';
+
+// GET  /api/auth    current user plus the available login methods
+// POST /api/auth    { username, password } or { telegram: <Login Widget data> } -> signed session
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json(authStatus(req));
+    }
+
+    const body = req.body || {};
+    const session = login(body);
+    if (!session) {
+      const attempted = body.telegram ? `tg:${body.telegram.id}` : body.username || null;
+      console.warn(`Rejected login attempt for ${attempted || 'no user'} from ${clientIp(req) || 'unknown address'}`);
+      await auditRequest(req, 'login', { outcome: 'denied', details: { attempted } });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    console.log(`Login: ${session.user.name} (${session.user.role})`);
+    await auditRequest(req, 'login', { session: session.user });
+    return res.status(200).json(session);
+
+  } catch (error) {
+    console.error('Auth handler error:', error.message);
+    return res.status(500).json({ 
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
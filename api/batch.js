@@ -0,0 +1,42 @@
+import { parseBatchRequest, batchRole, runBatch } from '../lib/batch.js';
+import { authorize } from '../lib/auth.js';
+import { auditRequest, auditDenied, auditTarget } from '../lib/audit.js';
+import { publishEvent } from '../lib/events.js';
+
+// POST /api/batch { op: 'delete'|'restore'|'tag'|'collection', ids, tags?: { add, remove }, collectionId? }
+// Responds with a status per id; partial failures still return 200
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const request = parseBatchRequest(req.body || {});
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+
+  const auth = authorize(req, batchRole(request.op));
+  if (!auth.allowed) {
+    await auditDenied(req, `batch ${request.op}`, auth);
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const outcome = await runBatch(request, {
+      notify: publishEvent,
+      record: (action, entry, details) => auditRequest(req, action, { session: auth.session, target: auditTarget(entry), details: { batch: true, ...details } }),
+      actor: auth.session.name
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+
+    console.log(`Batch ${request.op}: ${outcome.succeeded} ok, ${outcome.failed} failed`);
+    return res.status(200).json({ success: outcome.failed === 0, op: request.op, ...outcome });
+
+  } catch (error) {
+    console.error('Batch handler error:', error.message);
+    return res.status(500).json({ 
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
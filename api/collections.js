@@ -0,0 +1,81 @@
+import {
+  getCollection,
+  withItems,
+  listCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection
+} from '../lib/collections.js';
+import { authorize, authorizeRead } from '../lib/auth.js';
+import { auditRequest, auditDenied, collectionTarget, collectionChanges } from '../lib/audit.js';
+import { forReader } from '../lib/media-info.js';
+
+// GET    /api/collections          every collection with its items
+// POST   /api/collections          { name, itemIds?, itemUrls? } creates one
+// GET    /api/collections/:id
+// PATCH  /api/collections/:id      { name?, add?, remove?, order? }
+// DELETE /api/collections/:id
+// Reading follows AUTH_REQUIRE_VIEWER; creating and editing need uploader, deleting needs admin
+export default async function handler(req, res) {
+  const { id } = req.query;
+  const allowed = id ? ['GET', 'PATCH', 'DELETE'] : ['GET', 'POST'];
+  if (!allowed.includes(req.method)) {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const auth = req.method === 'GET'
+    ? authorizeRead(req)
+    : authorize(req, req.method === 'DELETE' ? 'admin' : 'uploader');
+  if (!auth.allowed) {
+    await auditDenied(req, 'collection access', auth);
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  // Items as this reader may see them (STRIP_GPS)
+  const readable = async collection => {
+    const full = await withItems(collection);
+    return { ...full, items: full.items.map(item => forReader(item, auth.session)) };
+  };
+
+  try {
+    if (req.method === 'GET' && !id) {
+      const collections = await Promise.all((await listCollections()).map(readable));
+      return res.status(200).json({ collections });
+    }
+
+    if (req.method === 'POST') {
+      const { collection, unresolved, error } = await createCollection(req.body || {});
+      if (error) return res.status(400).json({ error });
+      console.log(`Created collection ${collection.id}`);
+      await auditRequest(req, 'collection.create', { session: auth.session, target: collectionTarget(collection), details: { items: collection.itemIds.length } });
+      return res.status(201).json({ collection: await withItems(collection), unresolved });
+    }
+
+    if (req.method === 'GET') {
+      const collection = await getCollection(id);
+      if (!collection) return res.status(404).json({ error: 'Collection not found' });
+      return res.status(200).json({ collection: await readable(collection) });
+    }
+
+    if (req.method === 'PATCH') {
+      const result = await updateCollection(id, req.body || {});
+      if (!result) return res.status(404).json({ error: 'Collection not found' });
+      if (result.error) return res.status(400).json({ error: result.error });
+      await auditRequest(req, 'collection.edit', { session: auth.session, target: collectionTarget(result.collection), details: collectionChanges(req.body) });
+      return res.status(200).json({ collection: await withItems(result.collection) });
+    }
+
+    const removed = await deleteCollection(id);
+    if (!removed) return res.status(404).json({ error: 'Collection not found' });
+    console.log(`Deleted collection ${id}`);
+    await auditRequest(req, 'collection.delete', { session: auth.session, target: collectionTarget(removed) });
+    return res.status(200).json({ success: true, id });
+
+  } catch (error) {
+    console.error('Collections handler error:', error.message);
+    return res.status(500).json({ 
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -1,74 +1,49 @@
-import { del } from '@vercel/blob';
-import { Redis } from '@upstash/redis';
-
-const redis = Redis.fromEnv();
+import { getMedia, findMediaByUrl, trashMedia, countMedia } from '../lib/media-store.js';
+import { purgeAt } from '../lib/trash.js';
+import { authorize } from '../lib/auth.js';
+import { auditRequest, auditDenied, auditTarget } from '../lib/audit.js';
+import { publishEvent } from '../lib/events.js';
 
+// Moves media to the trash; files are only deleted when the trash is purged (see api/trash.js)
 export default async function handler(req, res) {
   // Only allow POST requests
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method Not Allowed' });
   }
 
-  const { filename, url } = req.body;
-  const auth = req.headers.authorization;
+  const { id, filename, url } = req.body;
 
   // Validate required fields
-  if (!url) {
-    return res.status(400).json({ error: 'Missing required field: url' });
+  if (!id && !url) {
+    return res.status(400).json({ error: 'Missing required field: id or url' });
   }
 
   // Validate authentication
-  if (!auth || auth !== `Bearer ${process.env.ADMIN_PASSWORD}`) {
-    console.warn('Unauthorized delete attempt');
-    return res.status(401).json({ error: 'Unauthorized' });
+  const auth = authorize(req, 'admin');
+  if (!auth.allowed) {
+    await auditDenied(req, 'delete', auth);
+    return res.status(auth.status).json({ error: auth.error });
   }
 
   try {
-    console.log(`Deleting media: ${filename || url}`);
-
-    // 1. Delete from Vercel Blob
-    try {
-      await del(url);
-      console.log('Blob deleted successfully');
-    } catch (blobError) {
-      console.error('Blob deletion error:', blobError.message);
-      // Continue even if blob deletion fails (might already be deleted)
-    }
+    console.log(`Deleting media: ${id || filename || url} (by ${auth.session.name})`);
 
-    // 2. Remove from Redis list
-    const history = await redis.lrange('media_history', 0, -1);
-    
-    if (!history || history.length === 0) {
-      console.warn('No media history found in Redis');
+    const entry = id ? await getMedia(id) : await findMediaByUrl(url);
+    if (!entry) {
+      console.warn('Media not found in store');
       return res.status(200).json({ success: true, message: 'Already deleted' });
     }
 
-    const updatedHistory = history.filter(item => {
-      try {
-        const parsed = typeof item === 'string' ? JSON.parse(item) : item;
-        return parsed.url !== url;
-      } catch (parseError) {
-        console.error('Error parsing Redis item:', parseError.message);
-        return false; // Remove corrupted entries
-      }
-    });
-
-    const removedCount = history.length - updatedHistory.length;
-    console.log(`Removed ${removedCount} item(s) from history`);
-
-    // Replace the list with updated data
-    await redis.del('media_history');
-    
-    if (updatedHistory.length > 0) {
-      // Redis LPUSH expects individual items, so we need to reverse to maintain order
-      const reversedHistory = [...updatedHistory].reverse();
-      await redis.lpush('media_history', ...reversedHistory);
-    }
+    const trashed = await trashMedia(entry.id, { deletedBy: auth.session.name });
+    await auditRequest(req, 'delete', { session: auth.session, target: auditTarget(entry) });
+    await publishEvent('media-deleted', { id: entry.id, filename: entry.filename });
 
     return res.status(200).json({ 
       success: true, 
-      removed: removedCount,
-      remaining: updatedHistory.length 
+      trashed: 1,
+      id: entry.id,
+      purgeAt: purgeAt(trashed),
+      remaining: await countMedia()
     });
 
   } catch (error) {
@@ -79,4 +54,4 @@ export default async function handler(req, res) {
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-}
\ No newline at end of file
+}
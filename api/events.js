@@ -0,0 +1,27 @@
+import { streamEvents } from '../lib/events.js';
+import { authorizeRead } from '../lib/auth.js';
+import { auditDenied } from '../lib/audit.js';
+
+// Stay under the function's 60s limit; EventSource reconnects with Last-Event-ID
+const STREAM_DURATION_MS = 55000;
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const auth = authorizeRead(req);
+  if (!auth.allowed) {
+    await auditDenied(req, 'live updates', auth);
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    await streamEvents(req, res, { maxDurationMs: STREAM_DURATION_MS, session: auth.session });
+  } catch (error) {
+    console.error('Events handler error:', error.message);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal server error' });
+    res.end();
+  }
+}
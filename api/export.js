@@ -0,0 +1,64 @@
+import { parseExportRequest, selectExportItems, archiveName, streamZip } from '../lib/export.js';
+import { listMedia } from '../lib/media-store.js';
+import { getCollection, withItems } from '../lib/collections.js';
+import { loadSharedItems, sharePassword } from '../lib/shares.js';
+import { authorizeRead } from '../lib/auth.js';
+import { auditDenied } from '../lib/audit.js';
+import { storageForUrl } from '../lib/storage.js';
+
+export default async function handler(req, res) {
+  // Only allow POST requests (the gallery submits a form so the browser streams the download)
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const request = parseExportRequest(req.body || {});
+
+  try {
+    // Shared links may only download their own scope
+    let items;
+    if (request.share) {
+      const shared = await loadSharedItems(request.share, sharePassword(req));
+      if (!shared.share) return res.status(shared.status).json({ error: shared.error });
+      items = shared.items;
+    } else {
+      const auth = authorizeRead(req);
+      if (!auth.allowed) {
+        await auditDenied(req, 'export', auth);
+        return res.status(auth.status).json({ error: auth.error });
+      }
+      if (request.collection) {
+        const collection = await getCollection(request.collection);
+        if (!collection) return res.status(404).json({ error: 'Collection not found' });
+        items = (await withItems(collection)).items;
+        request.name ||= collection.name;
+      } else {
+        items = await listMedia();
+      }
+    }
+
+    const selected = selectExportItems(items, request);
+    if (selected.length === 0) {
+      return res.status(404).json({ error: 'No media matched the export request' });
+    }
+
+    console.log(`Exporting ${selected.length} media items`);
+    const manifest = await streamZip(res, selected, {
+      filename: archiveName(request.name, request),
+      openItem: item => storageForUrl(item.url).open(item.url)
+    });
+    console.log(`Export finished: ${manifest.count} files, ${manifest.missing.length} missing`);
+
+  } catch (error) {
+    console.error('Export handler error:', error.message);
+    console.error('Stack:', error.stack);
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+    res.destroy(error);
+  }
+}
@@ -1,6 +1,9 @@
-import { Redis } from '@upstash/redis';
-
-const redis = Redis.fromEnv();
+import { parseHistoryQuery } from '../lib/query.js';
+import { queryMedia } from '../lib/media-store.js';
+import { loadSharedItems, publicShare, sharePassword } from '../lib/shares.js';
+import { authorizeRead } from '../lib/auth.js';
+import { auditDenied } from '../lib/audit.js';
+import { withDate, forReader } from '../lib/media-info.js';
 
 export default async function handler(req, res) {
   // Only allow GET requests
@@ -8,44 +11,45 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method Not Allowed' });
   }
 
+  const query = parseHistoryQuery(req.query || {});
+
   try {
-    console.log('Fetching media history...');
+    // ?share=<token> returns only what that share exposes, uncached
+    if (req.query?.share) {
+      const shared = await loadSharedItems(req.query.share, sharePassword(req));
+      res.setHeader('Cache-Control', 'no-store');
+      if (!shared.share) {
+        return res.status(shared.status).json({ error: shared.error, passwordRequired: shared.passwordRequired });
+      }
+      // Share links are for people without an account
+      const items = shared.items.map(item => forReader(withDate(item), null));
+      return res.status(200).json({ items, nextCursor: null, share: publicShare(shared.share) });
+    }
 
-    // Fetch the list from Redis
-    const history = await redis.lrange('media_history', 0, -1);
-    
-    if (!history || history.length === 0) {
-      console.log('No media history found');
-      // Set cache headers for empty responses
-      res.setHeader('Cache-Control', 's-maxage=10, stale-while-revalidate');
-      return res.status(200).json([]);
+    // Without a share token, reading needs a viewer session when AUTH_REQUIRE_VIEWER is set
+    const auth = authorizeRead(req);
+    if (!auth.allowed) {
+      await auditDenied(req, 'gallery read', auth);
+      return res.status(auth.status).json({ error: auth.error });
     }
 
-    // Parse Redis items back to objects
-    const parsedHistory = history
-      .map(item => {
-        try {
-          return typeof item === 'string' ? JSON.parse(item) : item;
-        } catch (parseError) {
-          console.error('Error parsing history item:', parseError.message);
-          return null;
-        }
-      })
-      .filter(item => item !== null); // Remove any corrupted entries
-
-    console.log(`Returning ${parsedHistory.length} media items`);
-
-    // Set cache headers for faster subsequent loads
-    // Cache for 30 seconds on CDN, allow stale content while revalidating
-    res.setHeader('Cache-Control', 's-maxage=30, stale-while-revalidate=60');
+    console.log('Fetching media history...');
+
+    const page = await queryMedia(query);
+    console.log(`Returning ${page.items.length} media items`);
+
+    // Older pages rarely change and can be cached; the first page must be fresh
+    // because live updates (/api/events) are applied on top of it
+    const cacheable = query.cursor && !auth.session;
+    res.setHeader('Cache-Control', cacheable ? 's-maxage=30, stale-while-revalidate=60' : 'no-store');
     
-    return res.status(200).json(parsedHistory);
+    return res.status(200).json({ ...page, items: page.items.map(item => forReader(withDate(item), auth.session)) });
 
   } catch (error) {
     console.error('History handler error:', error.message);
     console.error('Stack:', error.stack);
     
-    // Return empty array on error to prevent frontend crashes
-    return res.status(200).json([]);
+    // Return an empty page on error to prevent frontend crashes
+    return res.status(200).json({ items: [], nextCursor: null });
   }
-}
\ No newline at end of file
+}
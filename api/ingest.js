@@ -0,0 +1,86 @@
+import { listIngestJobs, processIngest, processDueIngests, replayIngest, discardIngest } from '../lib/ingest-queue.js';
+import { reportIngest } from '../lib/ingest-status.js';
+import { isCronRequest } from '../lib/trash.js';
+import { authorize } from '../lib/auth.js';
+import { auditRequest, auditDenied, ingestJobTarget } from '../lib/audit.js';
+import { getStorage } from '../lib/storage.js';
+import { publishEvent } from '../lib/events.js';
+import { purgeStaleUploads } from '../lib/web-upload.js';
+
+async function finishIngest(outcome) {
+  if (outcome.status === 'stored') await publishEvent('new-media', outcome.entry);
+  await reportIngest(outcome);
+}
+
+function summarize(outcomes) {
+  const counts = { processed: outcomes.length, stored: 0, duplicate: 0, retry: 0, dead: 0 };
+  for (const outcome of outcomes) counts[outcome.status]++;
+  return counts;
+}
+
+// GET    /api/ingest            queued jobs and the dead-letter list
+// GET    /api/ingest/process    attempt every job whose retry is due and drop abandoned
+//                                browser uploads (Vercel Cron, CRON_SECRET)
+// POST   /api/ingest/:id        replay a dead job now
+// DELETE /api/ingest/:id        drop a dead job
+export default async function handler(req, res) {
+  const { id, process: processDue } = req.query;
+  const allowed = processDue ? ['GET', 'POST'] : id ? ['POST', 'DELETE'] : ['GET'];
+  if (!allowed.includes(req.method)) {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  let session = null;
+  if (!(processDue && isCronRequest(req))) {
+    const auth = authorize(req, 'admin');
+    if (!auth.allowed) {
+      await auditDenied(req, 'ingest queue access', auth);
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    session = auth.session;
+  }
+
+  try {
+    if (processDue) {
+      const outcomes = await processDueIngests({ storage: getStorage('blob'), limit: 50 });
+      for (const outcome of outcomes) await finishIngest(outcome);
+      const abandoned = await purgeStaleUploads();
+      console.log(`Ingest run: ${outcomes.length} jobs processed, ${abandoned} abandoned uploads removed`);
+      return res.status(200).json({ success: true, ...summarize(outcomes), abandonedUploads: abandoned });
+    }
+
+    if (req.method === 'GET') {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json(await listIngestJobs());
+    }
+
+    if (req.method === 'DELETE') {
+      const discarded = await discardIngest(id);
+      if (!discarded) return res.status(404).json({ error: 'No failed job with that id' });
+      console.log(`Discarded ingest job ${id}`);
+      await auditRequest(req, 'ingest.discard', { session, target: ingestJobTarget(discarded), details: { lastError: discarded.lastError } });
+      return res.status(200).json({ success: true, id });
+    }
+
+    const job = await replayIngest(id);
+    if (!job) return res.status(404).json({ error: 'No failed job with that id' });
+    console.log(`Replaying ingest job ${id}`);
+    const outcome = await processIngest(id, { storage: getStorage('blob') });
+    if (outcome) await finishIngest(outcome);
+    await auditRequest(req, 'ingest.replay', { session, target: ingestJobTarget(job), details: { status: outcome?.status || 'queued' } });
+    return res.status(200).json({
+      success: outcome?.status === 'stored' || outcome?.status === 'duplicate',
+      id,
+      status: outcome?.status || 'queued',
+      error: outcome?.error?.message,
+      item: outcome?.entry
+    });
+
+  } catch (error) {
+    console.error('Ingest handler error:', error.message);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
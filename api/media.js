@@ -0,0 +1,54 @@
+import { getMedia, updateMedia } from '../lib/media-store.js';
+import { editMetadata } from '../lib/metadata.js';
+import { authorize } from '../lib/auth.js';
+import { auditRequest, auditDenied, auditTarget } from '../lib/audit.js';
+import { publishEvent } from '../lib/events.js';
+import { withDate } from '../lib/media-info.js';
+
+// PATCH /api/media/:id with { caption?, tags? } edits an entry's caption and tags
+export default async function handler(req, res) {
+  if (req.method !== 'PATCH') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const auth = authorize(req, 'uploader');
+  if (!auth.allowed) {
+    await auditDenied(req, 'media edit', auth);
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  const { id } = req.query;
+  const { caption, tags } = req.body || {};
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing required field: id' });
+  }
+  if (caption === undefined && tags === undefined) {
+    return res.status(400).json({ error: 'Nothing to update: send caption and/or tags' });
+  }
+
+  try {
+    const entry = await getMedia(id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const updated = await updateMedia(id, editMetadata(entry, { caption, tags }));
+    console.log(`Updated metadata for ${id}`);
+    await auditRequest(req, 'edit', {
+      session: auth.session,
+      target: auditTarget(updated),
+      details: { before: { caption: entry.caption, tags: entry.tags }, after: { caption: updated.caption, tags: updated.tags } }
+    });
+    await publishEvent('media-updated', updated);
+
+    return res.status(200).json({ success: true, item: withDate(updated) });
+
+  } catch (error) {
+    console.error('Media handler error:', error.message);
+    return res.status(500).json({ 
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,52 @@
+import { createShare, listShares, revokeShare } from '../lib/shares.js';
+import { authorize } from '../lib/auth.js';
+import { auditRequest, auditDenied } from '../lib/audit.js';
+
+// GET    /api/shares        active share links
+// POST   /api/shares        { type: 'media'|'collection', id, expiresInHours?, password?, label? }
+// DELETE /api/shares/:id    revoke
+export default async function handler(req, res) {
+  const { id } = req.query;
+  const allowed = id ? ['DELETE'] : ['GET', 'POST'];
+  if (!allowed.includes(req.method)) {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const auth = authorize(req, 'admin');
+  if (!auth.allowed) {
+    await auditDenied(req, 'share management', auth);
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ shares: await listShares() });
+    }
+
+    if (req.method === 'POST') {
+      const { share, token, error } = await createShare(req.body || {});
+      if (error) return res.status(400).json({ error });
+      console.log(`Created ${share.type} share ${share.id}`);
+      await auditRequest(req, 'share.create', {
+        session: auth.session,
+        target: { id: share.id, filename: share.label || share.name },
+        details: { type: share.type, targetId: share.targetId, expiresAt: share.expiresAt, passwordProtected: share.passwordProtected }
+      });
+      return res.status(201).json({ share, token, path: `/?share=${token}` });
+    }
+
+    if (!await revokeShare(id)) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+    console.log(`Revoked share ${id}`);
+    await auditRequest(req, 'share.revoke', { session: auth.session, target: { id } });
+    return res.status(200).json({ success: true, id });
+
+  } catch (error) {
+    console.error('Shares handler error:', error.message);
+    return res.status(500).json({ 
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,40 @@
+import { listMedia } from '../lib/media-store.js';
+import { findSimilarGroups, parseThreshold } from '../lib/similar.js';
+import { withDate } from '../lib/media-info.js';
+import { authorize } from '../lib/auth.js';
+import { auditDenied } from '../lib/audit.js';
+
+// At most this many groups per response; trashing the extras brings the next ones up
+const MAX_GROUPS = 50;
+
+// GET /api/similar?threshold=10   groups of near-identical photos, each with the suggested shot to keep
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  // Reviewing only makes sense for those allowed to trash the extras
+  const auth = authorize(req, 'admin');
+  if (!auth.allowed) {
+    await auditDenied(req, 'similar photos access', auth);
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const threshold = parseThreshold(req.query.threshold);
+    const groups = findSimilarGroups(await listMedia(), { threshold });
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      threshold,
+      total: groups.length,
+      groups: groups.slice(0, MAX_GROUPS).map(group => ({ ...group, items: group.items.map(withDate) }))
+    });
+
+  } catch (error) {
+    console.error('Similar photos handler error:', error.message);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -1,6 +1,6 @@
-import { Redis } from '@upstash/redis';
-
-const redis = Redis.fromEnv();
+import { getMediaStats } from '../lib/stats.js';
+import { authorizeRead } from '../lib/auth.js';
+import { auditDenied } from '../lib/audit.js';
 
 export default async function handler(req, res) {
   // Only allow GET requests
@@ -8,67 +8,21 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method Not Allowed' });
   }
 
+  const auth = authorizeRead(req);
+  if (!auth.allowed) {
+    await auditDenied(req, 'stats read', auth);
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
   try {
     console.log('Fetching media statistics...');
 
-    // Get total count
-    const total = await redis.llen('media_history');
-
-    // Optionally get more detailed stats
-    let totalSize = 0;
-    let imageCount = 0;
-    let videoCount = 0;
-
-    if (total > 0) {
-      try {
-        const history = await redis.lrange('media_history', 0, -1);
-        
-        history.forEach(item => {
-          try {
-            const parsed = typeof item === 'string' ? JSON.parse(item) : item;
-            
-            // Count by type
-            if (parsed.type === 'image') imageCount++;
-            if (parsed.type === 'video') videoCount++;
-            
-            // Calculate total size (if size is stored)
-            if (parsed.size) {
-              const sizeMatch = parsed.size.match(/([\d.]+)\s*(KB|MB|GB)/i);
-              if (sizeMatch) {
-                const value = parseFloat(sizeMatch[1]);
-                const unit = sizeMatch[2].toUpperCase();
-                
-                if (unit === 'KB') totalSize += value / 1024;
-                else if (unit === 'MB') totalSize += value;
-                else if (unit === 'GB') totalSize += value * 1024;
-              }
-            }
-          } catch (parseError) {
-            console.error('Error parsing item for stats:', parseError.message);
-          }
-        });
-      } catch (detailError) {
-        console.warn('Could not fetch detailed stats:', detailError.message);
-      }
-    }
-
-    // Format total size
-    const formattedSize = totalSize > 1024 
-      ? `${(totalSize / 1024).toFixed(2)} GB`
-      : `${totalSize.toFixed(2)} MB`;
-
-    const stats = {
-      totalFiles: total,
-      totalSize: formattedSize,
-      images: imageCount,
-      videos: videoCount,
-      lastUpdated: new Date().toISOString()
-    };
+    const stats = await getMediaStats();
 
-    console.log('Stats:', stats);
+    console.log(`Stats: ${stats.totalFiles} files, ${stats.totalSize}`);
 
-    // Cache stats for 1 minute
-    res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=120');
+    // Cache stats for 1 minute (only in the browser when a session was required)
+    res.setHeader('Cache-Control', auth.session ? 'private, max-age=60' : 's-maxage=60, stale-while-revalidate=120');
     
     return res.status(200).json(stats);
 
@@ -84,4 +38,4 @@ export default async function handler(req, res) {
       videos: 0
     });
   }
-}
\ No newline at end of file
+}
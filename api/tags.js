@@ -0,0 +1,28 @@
+import { listTags } from '../lib/media-store.js';
+import { authorizeRead } from '../lib/auth.js';
+import { auditDenied } from '../lib/audit.js';
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const auth = authorizeRead(req);
+  if (!auth.allowed) {
+    await auditDenied(req, 'tags read', auth);
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const tags = await listTags();
+
+    // A gallery behind AUTH_REQUIRE_VIEWER must not be cached by shared caches
+    res.setHeader('Cache-Control', auth.session ? 'private, max-age=60' : 's-maxage=60, stale-while-revalidate=120');
+    return res.status(200).json({ tags });
+
+  } catch (error) {
+    console.error('Tags handler error:', error.message);
+    return res.status(200).json({ tags: [] });
+  }
+}
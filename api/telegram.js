@@ -0,0 +1,59 @@
+import { listSendTargets, createSend, getSend, sendNextAlbum, cancelSend, sendStatus } from '../lib/telegram-send.js';
+import { authorize } from '../lib/auth.js';
+import { auditRequest, auditDenied } from '../lib/audit.js';
+
+// GET    /api/telegram/chats       allowlisted chats a selection can be sent to
+// POST   /api/telegram/send        { chatId, ids } plans the albums
+// GET    /api/telegram/send/:id    progress
+// POST   /api/telegram/send/:id    send the next album (or say how long to wait)
+// DELETE /api/telegram/send/:id    stop sending
+export default async function handler(req, res) {
+  const { id, chats } = req.query;
+  const allowed = chats ? ['GET'] : id ? ['GET', 'POST', 'DELETE'] : ['POST'];
+  if (!allowed.includes(req.method)) {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const auth = authorize(req, 'admin');
+  if (!auth.allowed) {
+    await auditDenied(req, 'Telegram send', auth);
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (chats) {
+      return res.status(200).json({ chats: await listSendTargets() });
+    }
+
+    if (!id) {
+      const created = await createSend(auth.session, req.body || {});
+      if (created.error) return res.status(created.status).json({ error: created.error });
+      console.log(`${auth.session.name} is sending ${created.job.total} items to Telegram chat ${created.job.chatId}`);
+      await auditRequest(req, 'telegram.send', {
+        session: auth.session,
+        target: { id: created.job.id },
+        details: { chatId: created.job.chatId, items: created.job.total, skipped: created.job.skipped.length }
+      });
+      return res.status(201).json(sendStatus(created.job));
+    }
+
+    if (req.method === 'POST') {
+      const outcome = await sendNextAlbum(id);
+      if (!outcome) return res.status(404).json({ error: 'Send not found' });
+      return res.status(200).json({ ...sendStatus(outcome.job), retryAfter: outcome.retryAfter });
+    }
+
+    const job = await getSend(id);
+    if (!job) return res.status(404).json({ error: 'Send not found' });
+    return res.status(200).json(sendStatus(req.method === 'DELETE' ? await cancelSend(job) : job));
+
+  } catch (error) {
+    console.error('Telegram send handler error:', error.message);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,59 @@
+import { processDueTranscodes, queueTranscode, transcodeEnabled } from '../lib/transcode.js';
+import { isCronRequest } from '../lib/trash.js';
+import { authorize } from '../lib/auth.js';
+import { auditRequest, auditDenied, auditTarget } from '../lib/audit.js';
+import { publishEvent } from '../lib/events.js';
+
+// Leaves time to store the results before the 300 s function limit
+const RUN_BUDGET_MS = 200 * 1000;
+
+// GET  /api/transcode/process    transcode videos whose turn has come (Vercel Cron, CRON_SECRET)
+// POST /api/transcode/:id        queue a video again, e.g. after it failed
+export default async function handler(req, res) {
+  const { id, process: processDue } = req.query;
+  const allowed = processDue ? ['GET', 'POST'] : id ? ['POST'] : [];
+  if (!allowed.includes(req.method)) {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  let session = null;
+  if (!(processDue && isCronRequest(req))) {
+    const auth = authorize(req, 'admin');
+    if (!auth.allowed) {
+      await auditDenied(req, 'transcode access', auth);
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    session = auth.session;
+  }
+
+  if (!transcodeEnabled()) {
+    return res.status(409).json({ error: 'Transcoding is disabled (TRANSCODE_VIDEOS)' });
+  }
+
+  try {
+    if (processDue) {
+      const outcomes = await processDueTranscodes({ limit: 5, deadline: Date.now() + RUN_BUDGET_MS });
+      for (const outcome of outcomes) await publishEvent('media-updated', outcome.entry);
+      console.log(`Transcode run: ${outcomes.length} videos processed`);
+      return res.status(200).json({
+        success: true,
+        processed: outcomes.length,
+        done: outcomes.filter(o => o.status === 'done').length,
+        failed: outcomes.filter(o => o.status !== 'done').length
+      });
+    }
+
+    const entry = await queueTranscode(id);
+    if (!entry) return res.status(404).json({ error: 'No video with that id' });
+    console.log(`Queued transcode for ${entry.filename}`);
+    await auditRequest(req, 'transcode.queue', { session, target: auditTarget(entry) });
+    return res.status(200).json({ success: true, item: entry });
+
+  } catch (error) {
+    console.error('Transcode handler error:', error.message);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,79 @@
+import { listTrash, restoreMedia } from '../lib/media-store.js';
+import { deleteMediaFiles } from '../lib/media-service.js';
+import { withDate } from '../lib/media-info.js';
+import { purgeAt, purgeMedia, purgeTrash, isCronRequest } from '../lib/trash.js';
+import { authorize } from '../lib/auth.js';
+import { recordAudit, auditRequest, auditDenied, auditTarget, purgeAudit } from '../lib/audit.js';
+import { publishEvent } from '../lib/events.js';
+
+// GET    /api/trash          trashed media with its purge date
+// DELETE /api/trash          empty the trash
+// POST   /api/trash/:id      restore
+// DELETE /api/trash/:id      delete permanently
+// GET    /api/trash/purge    purge what is past TRASH_RETENTION_DAYS (Vercel Cron, CRON_SECRET)
+export default async function handler(req, res) {
+  const { id, purge } = req.query;
+  const allowed = purge ? ['GET', 'POST'] : id ? ['POST', 'DELETE'] : ['GET', 'DELETE'];
+  if (!allowed.includes(req.method)) {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  let session = null;
+  if (!(purge && isCronRequest(req))) {
+    const auth = authorize(req, 'admin');
+    if (!auth.allowed) {
+      await auditDenied(req, 'trash access', auth);
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    session = auth.session;
+  }
+
+  try {
+    if (purge) {
+      const { purged, failed } = await purgeTrash(deleteMediaFiles, {
+        onPurged: entry => recordAudit({ action: 'purge', target: auditTarget(entry), details: { reason: 'retention' } })
+      });
+      // The audit log's own retention (AUDIT_RETENTION_DAYS) rides on the same cron
+      const expired = await purgeAudit();
+      console.log(`Trash purge: ${purged.length} purged, ${failed.length} failed, ${expired} audit events expired`);
+      return res.status(200).json({ success: true, purged: purged.length, failed: failed.length });
+    }
+
+    if (req.method === 'GET') {
+      const items = (await listTrash()).map(entry => ({ ...withDate(entry), purgeAt: purgeAt(entry) }));
+      return res.status(200).json({ items });
+    }
+
+    if (!id) {
+      const { purged, failed } = await purgeTrash(deleteMediaFiles, {
+        all: true,
+        onPurged: entry => auditRequest(req, 'purge', { session, target: auditTarget(entry), details: { reason: 'emptied' } })
+      });
+      console.log(`Emptied trash: ${purged.length} purged, ${failed.length} failed`);
+      return res.status(200).json({ success: true, purged: purged.length, failed: failed.length });
+    }
+
+    if (req.method === 'POST') {
+      const restored = await restoreMedia(id);
+      if (!restored) return res.status(404).json({ error: 'Not in trash' });
+      console.log(`Restored ${id} from trash`);
+      await auditRequest(req, 'restore', { session, target: auditTarget(restored) });
+      // Clients insert it like any new upload
+      await publishEvent('new-media', restored);
+      return res.status(200).json({ success: true, item: withDate(restored) });
+    }
+
+    const purged = await purgeMedia(id, deleteMediaFiles);
+    if (!purged) return res.status(404).json({ error: 'Not in trash' });
+    console.log(`Purged ${id} from trash`);
+    await auditRequest(req, 'purge', { session, target: auditTarget(purged) });
+    return res.status(200).json({ success: true, id });
+
+  } catch (error) {
+    console.error('Trash handler error:', error.message);
+    return res.status(500).json({ 
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,87 @@
+import { startUpload, getUpload, appendChunk, completeUpload, abortUpload, uploadStatus } from '../lib/web-upload.js';
+import { authorize } from '../lib/auth.js';
+import { auditRequest, auditDenied, auditTarget } from '../lib/audit.js';
+import { getStorage } from '../lib/storage.js';
+import { withDate } from '../lib/media-info.js';
+import { publishEvent } from '../lib/events.js';
+
+// Raw chunk bodies arrive as a Buffer; read the stream when the runtime left it unparsed
+async function readChunk(req) {
+  if (Buffer.isBuffer(req.body)) return req.body;
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// POST   /api/upload                { fileName, size, type } starts an upload
+// GET    /api/upload/:id            bytes received so far, to resume
+// PUT    /api/upload/:id?offset=n   next chunk (application/octet-stream)
+// POST   /api/upload/:id            finish: ingest the file like a Telegram upload
+// DELETE /api/upload/:id            give up
+export default async function handler(req, res) {
+  const { id, offset } = req.query;
+  const allowed = id ? ['GET', 'PUT', 'POST', 'DELETE'] : ['POST'];
+  if (!allowed.includes(req.method)) {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const auth = authorize(req, 'uploader');
+  if (!auth.allowed) {
+    await auditDenied(req, 'upload', auth);
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const storage = getStorage('blob');
+
+    if (!id) {
+      const started = await startUpload(auth.session, req.body || {});
+      if (started.status === 413) {
+        await auditRequest(req, 'ingest', { session: auth.session, outcome: 'denied', details: { source: 'web', fileName: req.body.fileName, reason: started.error } });
+      }
+      if (started.error) return res.status(started.status).json({ error: started.error });
+      console.log(`Upload started by ${auth.session.name}: ${started.upload.fileName} (${started.upload.size} bytes)`);
+      return res.status(201).json(uploadStatus(started.upload));
+    }
+
+    const upload = await getUpload(id, auth.session);
+    if (!upload) return res.status(404).json({ error: 'Upload not found' });
+
+    if (req.method === 'GET') {
+      return res.status(200).json(uploadStatus(upload));
+    }
+
+    if (req.method === 'DELETE') {
+      await abortUpload(upload);
+      return res.status(200).json({ success: true, id });
+    }
+
+    if (req.method === 'PUT') {
+      const appended = await appendChunk(upload, offset, await readChunk(req), { storage });
+      if (appended.error) return res.status(appended.status).json({ error: appended.error, received: appended.received });
+      return res.status(200).json(uploadStatus(appended.upload));
+    }
+
+    const outcome = await completeUpload(upload, { storage });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    await auditRequest(req, 'ingest', {
+      session: auth.session,
+      outcome: outcome.duplicate ? 'duplicate' : 'ok',
+      target: auditTarget(outcome.entry),
+      details: { source: 'web' }
+    });
+    if (!outcome.duplicate) {
+      await publishEvent('new-media', outcome.entry);
+      console.log(`Stored web upload: ${outcome.entry.filename}`);
+    }
+    return res.status(200).json({ success: true, duplicate: outcome.duplicate, item: withDate(outcome.entry) });
+
+  } catch (error) {
+    console.error('Upload handler error:', error.message);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
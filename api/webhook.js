@@ -1,169 +1,170 @@
-import { put } from '@vercel/blob';
-import { Redis } from '@upstash/redis';
-
-const redis = Redis.fromEnv();
-
-// Helper function to format file size
-function formatFileSize(bytes) {
-  if (!bytes || bytes === 0) return '0 KB';
-  if (bytes > 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
-  if (bytes > 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
-  if (bytes > 1024) return `${(bytes / 1024).toFixed(0)} KB`;
-  return `${bytes} B`;
+import { trashMedia } from '../lib/media-store.js';
+import { isMirroredChannel, applyChannelEdit } from '../lib/channel-posts.js';
+import { handleCommand } from '../lib/bot-commands.js';
+import { verifyWebhookSecret, authorizeUpload } from '../lib/upload-policy.js';
+import { extractMedia } from '../lib/telegram-media.js';
+import { enqueueIngest, processIngest, processDueIngests } from '../lib/ingest-queue.js';
+import { notifyRejected, sendReceipt, progressReporter, reportIngest } from '../lib/ingest-status.js';
+import { callTelegram } from '../lib/telegram-api.js';
+import { recordAudit, auditDenied, telegramActor, auditTarget } from '../lib/audit.js';
+import { getStorage } from '../lib/storage.js';
+import { publishEvent } from '../lib/events.js';
+
+// Earlier jobs whose retry is due are worked off after each new upload (see also /api/ingest/process)
+const DUE_JOBS_PER_REQUEST = 3;
+
+// Announces stored media to the gallery and edits the sender's status message
+async function finishIngest(outcome) {
+  if (outcome.status === 'stored') await publishEvent('new-media', outcome.entry);
+  await reportIngest(outcome);
 }
 
-// NEW HELPER: Send or Edit Telegram Messages
-async function notifyTelegram(method, payload) {
+// Mirrors a post from a channel listed in TELEGRAM_CHANNEL_IDS. Nothing is
+// sent to the channel: no receipt, no status edits and no upload quota.
+async function handleChannelPost(post, edited, res) {
+  if (!isMirroredChannel(post.chat)) return res.status(200).send('OK');
+  const media = extractMedia(post);
+
+  if (edited) {
+    const { updated, replaced, trashed } = await applyChannelEdit(post, media);
+    if (updated) {
+      await recordAudit({ action: 'edit', actor: telegramActor(null, post.author_signature || post.chat.title), target: auditTarget(updated), details: { source: 'channel', caption: updated.caption } });
+      await publishEvent('media-updated', updated);
+      return res.status(200).json({ success: true, id: updated.id, status: 'updated' });
+    }
+    if (trashed) {
+      await recordAudit({ action: 'edit', outcome: 'skipped', actor: telegramActor(null, post.author_signature || post.chat.title), target: auditTarget(trashed), details: { source: 'channel', reason: 'in trash' } });
+      return res.status(200).json({ success: true, id: trashed.id, status: 'trashed' });
+    }
+    if (replaced) {
+      await recordAudit({ action: 'delete', actor: telegramActor(null, post.author_signature || post.chat.title), target: auditTarget(replaced), details: { source: 'channel', reason: 'replaced' } });
+      await publishEvent('media-deleted', { id: replaced.id, filename: replaced.filename });
+    }
+  }
+  if (!media) return res.status(200).send('OK');
+
+  let queued;
   try {
-    const res = await fetch(`https://api.telegram.org/bot${process.env.TELEGRAM_TOKEN}/${method}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
+    queued = await enqueueIngest(post, media);
+  } catch (error) {
+    // Telegram delivers the update again after a non-200 reply
+    console.error('Enqueue failed:', error.message);
+    return res.status(500).json({
+      error: 'Failed to queue channel post',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
-    return await res.json();
-  } catch (err) {
-    console.error(`Telegram ${method} failed:`, err.message);
-    return null;
   }
-}
-
-// Helper function to get file from Telegram
-async function getTelegramFile(fileId, token) {
-  const tgRes = await fetch(`https://api.telegram.org/bot${token}/getFile?file_id=${fileId}`);
-  if (!tgRes.ok) throw new Error(`Telegram API request failed: ${tgRes.status}`);
-  const tgData = await tgRes.json();
-  if (!tgData.ok) throw new Error(`Telegram getFile failed: ${tgData.description || 'Unknown error'}`);
-  return tgData.result;
-}
+  const { job, created } = queued;
+  if (!created || job.status === 'dead') {
+    return res.status(200).json({ success: job.status !== 'dead', id: job.id, status: job.status });
+  }
 
-// Helper function to download file content
-async function downloadFileContent(fileUrl, maxRetries = 3) {
-  let lastError;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await fetch(fileUrl, { timeout: 30000 });
-      if (!response.ok) throw new Error(`Download failed: ${response.status}`);
-      return response;
-    } catch (error) {
-      lastError = error;
-      if (attempt < maxRetries) await new Promise(r => setTimeout(r, 1000 * attempt));
-    }
+  try {
+    const outcome = await processIngest(job.id, { storage: getStorage('blob') });
+    if (outcome) await finishIngest(outcome);
+    return res.status(200).json({ success: outcome?.status === 'stored' || outcome?.status === 'duplicate', id: job.id, status: outcome?.status || 'queued' });
+  } catch (error) {
+    console.error('Channel post error:', error.message);
+    return res.status(200).json({ success: false, queued: true, id: job.id, error: error.message });
   }
-  throw lastError;
 }
 
 export default async function handler(req, res) {
-  const startTime = Date.now();
-  
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
   if (!process.env.TELEGRAM_TOKEN) return res.status(500).json({ error: 'Server configuration error' });
+  if (!verifyWebhookSecret(req.headers)) {
+    await auditDenied(req, 'webhook', { status: 401, error: 'Invalid secret token' });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
 
-  const { message } = req.body;
+  const { message, channel_post: channelPost, edited_channel_post: editedPost } = req.body;
+  if (channelPost || editedPost) return handleChannelPost(channelPost || editedPost, Boolean(editedPost), res);
   if (!message) return res.status(200).send('OK');
 
-  const isPhoto = !!message.photo;
-  const isVideo = !!message.video;
-  const chatId = message.chat?.id;
-  const msgId = message.message_id;
-
-  if (!isPhoto && !isVideo) return res.status(200).send('OK');
-
-  // STEP 0: Initial Receipt Reply
-  const initialReply = await notifyTelegram('sendMessage', {
-    chat_id: chatId,
-    text: "⏳ **Webhook Received:** Processing your media...",
-    reply_to_message_id: msgId,
-    parse_mode: 'Markdown'
-  });
-  const statusMessageId = initialReply?.result?.message_id;
+  // Slash commands (/stats, /recent, /delete, ...)
+  if (message.text) {
+    const handled = await handleCommand(message, {
+      galleryUrl: (process.env.GALLERY_URL || `https://${req.headers.host}`).replace(/\/$/, ''),
+      reply: (text) => callTelegram('sendMessage', {
+        chat_id: message.chat.id,
+        text,
+        reply_to_message_id: message.message_id,
+        disable_web_page_preview: true
+      }),
+      deleteMedia: async (entry, deletedBy) => {
+        await trashMedia(entry.id, { deletedBy });
+        await publishEvent('media-deleted', { id: entry.id, filename: entry.filename });
+      }
+    });
+    return res.status(200).json({ success: true, command: handled });
+  }
 
-  const fileId = isPhoto ? message.photo[message.photo.length - 1].file_id : message.video.file_id;
-  const userName = message.from?.username || message.from?.first_name || 'Unknown';
+  const media = extractMedia(message);
+  if (!media) return res.status(200).send('OK');
+
+  // Allowlists, size limit and daily quotas (see lib/upload-policy.js)
+  const grant = await authorizeUpload(message, media.fileSize);
+  if (!grant.allowed) {
+    console.warn(`Upload rejected for ${message.from?.id} in ${message.chat?.id}: ${grant.reason}`);
+    await recordAudit({
+      action: 'ingest',
+      outcome: 'denied',
+      actor: telegramActor(message.from),
+      target: { filename: media.fileName },
+      details: { source: 'telegram', chatId: message.chat?.id, reason: grant.reason }
+    });
+    await notifyRejected(message, grant.reason);
+    return res.status(200).json({ success: false, rejected: true, reason: grant.reason });
+  }
 
+  // Nothing is acknowledged to Telegram before the job is persisted: if this
+  // fails, the non-200 reply makes Telegram deliver the update again
+  let job;
   try {
-    // Step 1: Metadata
-    const fileData = await getTelegramFile(fileId, process.env.TELEGRAM_TOKEN);
-    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_TOKEN}/${fileData.file_path}`;
-
-    if (statusMessageId) {
-      await notifyTelegram('editMessageText', {
-        chat_id: chatId,
-        message_id: statusMessageId,
-        text: `⏳ **Step 1/3:** Downloading ${formatFileSize(fileData.file_size)} from Telegram...`,
-        parse_mode: 'Markdown'
-      });
-    }
-
-    // Step 2: Download & Upload
-    const fileContent = await downloadFileContent(fileUrl);
-    
-    if (statusMessageId) {
-      await notifyTelegram('editMessageText', {
-        chat_id: chatId,
-        message_id: statusMessageId,
-        text: `⏳ **Step 2/3:** Uploading to Vercel Blob...`,
-        parse_mode: 'Markdown'
-      });
+    const statusMessageId = await sendReceipt(message);
+    const queued = await enqueueIngest(message, media, { reservation: grant.reservation, statusMessageId });
+    job = queued.job;
+    if (!queued.created) {
+      // A redelivered update; its quota was reserved with the first delivery
+      console.log(`Ingest job ${job.id} already exists (${job.status})`);
+      await grant.release();
+      return res.status(200).json({ success: true, queued: true, id: job.id, status: job.status });
     }
-
-    const uniqueName = `${Date.now()}-${fileData.file_path.split('/').pop()}`;
-    const blob = await put(uniqueName, fileContent.body, {
-      access: 'public',
-      contentType: isPhoto ? 'image/jpeg' : 'video/mp4'
+  } catch (error) {
+    console.error('Enqueue failed:', error.message);
+    await grant.release().catch(err => console.error('Quota release failed:', err.message));
+    return res.status(500).json({
+      error: 'Failed to queue upload',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
 
-    // Step 3: Redis
-    if (statusMessageId) {
-      await notifyTelegram('editMessageText', {
-        chat_id: chatId,
-        message_id: statusMessageId,
-        text: `⏳ **Step 3/3:** Saving to Media History...`,
-        parse_mode: 'Markdown'
-      });
+  try {
+    if (job.status === 'dead') {
+      await reportIngest({ job, status: 'dead' });
+      return res.status(200).json({ success: false, id: job.id, status: 'dead', error: job.lastError });
     }
 
-    const mediaEntry = {
-      url: blob.url,
-      filename: uniqueName,
-      type: isPhoto ? 'image' : 'video',
-      timestamp: Date.now(),
-      size: formatFileSize(fileData.file_size),
-      uploadedBy: userName
-    };
-
-    await redis.lpush('media_history', JSON.stringify(mediaEntry));
-    const processingTime = Date.now() - startTime;
-
-    // STEP 4: Success Finalization
-    if (statusMessageId) {
-      await notifyTelegram('editMessageText', {
-        chat_id: chatId,
-        message_id: statusMessageId,
-        text: `✅ **Success!**\n\n**User:** ${userName}\n**Size:** ${formatFileSize(fileData.file_size)}\n**Time:** ${processingTime}ms\n\n🔗 [View Media](${blob.url})`,
-        parse_mode: 'Markdown',
-        disable_web_page_preview: false
-      });
+    // First attempt right away; failures stay queued with backoff
+    const storage = getStorage('blob');
+    const outcome = await processIngest(job.id, { storage, onStep: progressReporter(job) });
+    if (outcome) await finishIngest(outcome);
+
+    for (const due of await processDueIngests({ storage, limit: DUE_JOBS_PER_REQUEST })) {
+      await finishIngest(due);
     }
 
-    return res.status(200).json({ success: true, url: blob.url });
+    return res.status(200).json({
+      success: outcome?.status === 'stored' || outcome?.status === 'duplicate',
+      id: job.id,
+      status: outcome?.status || 'queued',
+      url: outcome?.entry?.url,
+      albumId: job.albumId || undefined
+    });
 
   } catch (error) {
+    // The job is persisted; a later run picks it up again
     console.error('Webhook Error:', error.message);
-    
-    if (chatId) {
-      const errorMsg = `❌ **Webhook Error**\n${error.message}`;
-      if (statusMessageId) {
-        await notifyTelegram('editMessageText', {
-          chat_id: chatId,
-          message_id: statusMessageId,
-          text: errorMsg,
-          parse_mode: 'Markdown'
-        });
-      } else {
-        await notifyTelegram('sendMessage', { chat_id: chatId, text: errorMsg, parse_mode: 'Markdown' });
-      }
-    }
-    
-    return res.status(200).json({ error: error.message, success: false });
+    return res.status(200).json({ success: false, queued: true, id: job.id, error: error.message });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { getRedis } = require('./redis');
+
+// Key layout:
+//   audit:log    sorted set of JSON events scored by time. Events are only ever added;
+//                purgeAudit drops those older than AUDIT_RETENTION_DAYS
+const KEYS = {
+    log: 'audit:log'
+};
+
+const DEFAULT_RETENTION_DAYS = 90;
+const DEFAULT_PAGE = 50;
+const MAX_PAGE = 200;
+const SCAN_BATCH = 200;
+
+// Actions recorded, for filtering in the activity feed
+const ACTIONS = [
+    'ingest', 'delete', 'restore', 'purge', 'edit', 'login', 'auth.denied',
+    'collection.create', 'collection.edit', 'collection.delete',
+    'share.create', 'share.revoke', 'telegram.send',
+    'ingest.replay', 'ingest.discard', 'transcode.queue'
+];
+
+// 0 keeps the log forever
+function retentionDays() {
+    const days = parseFloat(process.env.AUDIT_RETENTION_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// On Vercel the platform sets X-Forwarded-For itself, so its first hop is the
+// client. Anywhere else the header is whatever the caller sent: sync.js goes by
+// Express's req.ip, which only honours it for the proxies in TRUST_PROXY.
+function clientIp(req) {
+    if (process.env.VERCEL) {
+        const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+        if (forwarded) return forwarded;
+    }
+    return req.ip || req.socket?.remoteAddress || null;
+}
+
+function sessionActor(session) {
+    return session ? { name: session.name, role: session.role, sub: session.sub } : null;
+}
+
+function telegramActor(from, fallbackName) {
+    if (!from) return fallbackName ? { name: fallbackName } : null;
+    return { name: from.username || from.first_name || String(from.id), telegramUserId: from.id };
+}
+
+function auditTarget(entry) {
+    return entry ? { id: entry.id, filename: entry.filename } : undefined;
+}
+
+// A queued Telegram upload, named by the file it carries
+function ingestJobTarget(job) {
+    return job ? { id: job.id, filename: job.media?.fileName } : undefined;
+}
+
+function collectionTarget(collection) {
+    return collection ? { id: collection.id, filename: collection.name } : undefined;
+}
+
+// What a collection update changed, counted rather than listing every id
+function collectionChanges({ name, add, remove, order } = {}) {
+    const count = ids => (Array.isArray(ids) ? ids.length : undefined);
+    return { name, added: count(add), removed: count(remove), reordered: Array.isArray(order) || undefined };
+}
+
+/**
+ * Appends one event: `{ action, outcome, actor, ip, target, details }`.
+ * `outcome` is 'ok' unless said otherwise ('denied', 'failed', 'duplicate',
+ * 'skipped').
+ * Never throws: a failed write is logged and the action it describes goes on.
+ */
+async function recordAudit({ action, outcome = 'ok', actor = null, ip = null, target, details }) {
+    // The id leads the JSON so events of the same millisecond sort by it
+    const event = { id: crypto.randomUUID(), at: Date.now(), action, outcome, actor, ip, target, details };
+    try {
+        await getRedis().zadd(KEYS.log, { score: event.at, member: JSON.stringify(event) });
+    } catch (err) {
+        console.error(`Audit write failed (${action}):`, err.message);
+    }
+    return event;
+}
+
+// An event caused by a web request: the session's user and the client's address
+function auditRequest(req, action, { session, ...event } = {}) {
+    return recordAudit({ action, actor: sessionActor(session), ip: clientIp(req), ...event });
+}
+
+/**
+ * Logs and records a request authorize() turned away. `attempted` names what
+ * was tried; `auth` is the refusal (with the session when its role was too low).
+ */
+async function auditDenied(req, attempted, auth) {
+    const ip = clientIp(req);
+    const who = auth.session ? `${auth.session.name} (${auth.session.role})` : 'anonymous';
+    console.warn(`Unauthorized ${attempted} attempt by ${who} from ${ip || 'unknown address'}: ${auth.error}`);
+    await recordAudit({
+        action: 'auth.denied',
+        outcome: 'denied',
+        actor: sessionActor(auth.session),
+        ip,
+        details: { attempted, status: auth.status, method: req.method, path: req.originalUrl || req.url }
+    });
+}
+
+function parseEvent(raw) {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+}
+
+function matchesFilters(event, { action, actor, target, outcome }) {
+    if (action && event.action !== action && !event.action.startsWith(`${action}.`)) return false;
+    if (outcome && event.outcome !== outcome) return false;
+    if (target && event.target?.id !== target && event.target?.filename !== target) return false;
+    if (actor) {
+        const needle = actor.toLowerCase();
+        const names = [event.actor?.name, event.actor?.telegramUserId, event.ip].filter(Boolean).map(value => String(value).toLowerCase());
+        if (!names.some(name => name.includes(needle))) return false;
+    }
+    return true;
+}
+
+/**
+ * Validates the activity feed query (`action`, `actor`, `target`, `outcome`,
+ * `cursor`, `limit`). `actor` matches part of a name, Telegram user id or IP.
+ */
+function parseAuditQuery(query = {}) {
+    const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    const limit = parseInt(query.limit, 10);
+    const [at, id] = String(query.cursor || '').split(':');
+    return {
+        action: text(query.action),
+        actor: text(query.actor),
+        target: text(query.target),
+        outcome: text(query.outcome),
+        cursor: Number(at) > 0 && id ? { at: Number(at), id } : null,
+        limit: Math.min(limit > 0 ? limit : DEFAULT_PAGE, MAX_PAGE)
+    };
+}
+
+/**
+ * Pages through the log, newest first. Resolves to `{ events, nextCursor }`;
+ * pass `nextCursor` back as `cursor` for the next page.
+ */
+async function queryAudit(options) {
+    const redis = getRedis();
+    const { cursor, limit } = options;
+    const upper = cursor ? cursor.at : '+inf';
+
+    const matches = [];
+    for (let offset = 0; matches.length <= limit; offset += SCAN_BATCH) {
+        const batch = await redis.zrange(KEYS.log, upper, '-inf', { byScore: true, rev: true, offset, count: SCAN_BATCH });
+        if (!batch || batch.length === 0) break;
+
+        for (const event of batch.map(parseEvent)) {
+            if (cursor && event.at === cursor.at && event.id >= cursor.id) continue;
+            if (!matchesFilters(event, options)) continue;
+            matches.push(event);
+            if (matches.length > limit) break;
+        }
+        if (batch.length < SCAN_BATCH) break;
+    }
+
+    const page = matches.slice(0, limit);
+    const last = page[page.length - 1];
+    return { events: page, nextCursor: matches.length > limit ? `${last.at}:${last.id}` : null };
+}
+
+// Drops events past the retention period; resolves to how many went
+async function purgeAudit({ now = Date.now() } = {}) {
+    const days = retentionDays();
+    if (!days) return 0;
+    return getRedis().zremrangebyscore(KEYS.log, '-inf', now - days * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+    KEYS,
+    ACTIONS,
+    clientIp,
+    sessionActor,
+    telegramActor,
+    auditTarget,
+    ingestJobTarget,
+    collectionTarget,
+    collectionChanges,
+    recordAudit,
+    auditRequest,
+    auditDenied,
+    parseAuditQuery,
+    queryAudit,
+    purgeAudit
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { isAdmin, isListedUploader, isListedViewer } = require('./upload-policy');
+
+// Each role includes everything the roles before it may do
+const ROLES = ['viewer', 'uploader', 'admin'];
+const DEFAULT_SESSION_HOURS = 7 * 24;
+// Telegram login data older than this is refused even with a valid hash
+const TELEGRAM_LOGIN_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+// Sessions are signed with AUTH_SECRET (falls back to ADMIN_PASSWORD so existing setups work)
+function sessionSecret() {
+    const secret = process.env.AUTH_SECRET || process.env.ADMIN_PASSWORD;
+    if (!secret) throw new Error('AUTH_SECRET is not configured');
+    return secret;
+}
+
+function sessionHours() {
+    const hours = parseFloat(process.env.AUTH_SESSION_HOURS);
+    return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_SESSION_HOURS;
+}
+
+function hasRole(role, required) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Hashing both sides first gives equal lengths, so the comparison never leaks the secret's length
+function safeEqual(a, b) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Password accounts: AUTH_USERS="name:role:password,...", where the password
+ * is everything after the second colon. ADMIN_PASSWORD stays valid as the
+ * password of an "admin" account.
+ */
+function configuredUsers() {
+    const users = String(process.env.AUTH_USERS || '')
+        .split(',')
+        .map(spec => {
+            const [name, role, ...rest] = spec.trim().split(':');
+            return { name, role, password: rest.join(':') };
+        })
+        .filter(user => user.name && ROLES.includes(user.role) && user.password);
+
+    if (process.env.ADMIN_PASSWORD && !users.some(user => user.name === 'admin')) {
+        users.push({ name: 'admin', role: 'admin', password: process.env.ADMIN_PASSWORD });
+    }
+    return users;
+}
+
+// Every account is checked so the response time does not reveal which names exist
+function checkCredentials(username, password) {
+    if (!username || !password) return null;
+    let match = null;
+    for (const user of configuredUsers()) {
+        const nameOk = safeEqual(user.name, username);
+        const passwordOk = safeEqual(user.password, password);
+        if (nameOk && passwordOk && !match) match = { id: `user:${user.name}`, name: user.name, role: user.role };
+    }
+    return match;
+}
+
+// Only accounts named in the configuration may sign in: admins, uploaders and
+// TELEGRAM_VIEWER_IDS. An open bot (no upload allowlist) grants no web access
+function telegramRole(userId) {
+    if (isAdmin(userId)) return 'admin';
+    if (isListedUploader(userId)) return 'uploader';
+    if (isListedViewer(userId)) return 'viewer';
+    return null;
+}
+
+/**
+ * Verifies data from the Telegram Login Widget: the hash is an HMAC-SHA256 of
+ * the sorted `key=value` lines keyed with SHA256(bot token). Resolves the user
+ * to a role from TELEGRAM_ADMIN_IDS, the upload allowlists and
+ * TELEGRAM_VIEWER_IDS (see telegramRole); returns null for forged or stale
+ * data and for accounts on none of them.
+ */
+function verifyTelegramLogin(data, botToken = process.env.TELEGRAM_TOKEN) {
+    if (!data || typeof data !== 'object' || !data.hash || !data.id || !botToken) return null;
+
+    const checkString = Object.keys(data)
+        .filter(key => key !== 'hash' && data[key] !== undefined && data[key] !== null)
+        .sort()
+        .map(key => `${key}=${data[key]}`)
+        .join('\n');
+    const secret = crypto.createHash('sha256').update(botToken).digest();
+    const expected = crypto.createHmac('sha256', secret).update(checkString).digest('hex');
+    if (!safeEqual(expected, String(data.hash).toLowerCase())) return null;
+
+    const age = Date.now() / 1000 - Number(data.auth_date);
+    if (!Number.isFinite(age) || age > TELEGRAM_LOGIN_MAX_AGE_SECONDS) return null;
+
+    const role = telegramRole(data.id);
+    if (!role) return null;
+    const name = [data.first_name, data.last_name].filter(Boolean).join(' ') || data.username || String(data.id);
+    return { id: `tg:${data.id}`, name, role };
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', sessionSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Issues a signed session for a verified user. The token is
+ * "<base64url JSON payload>.<signature>"; nothing is stored server-side, so
+ * sessions end at their expiry or when AUTH_SECRET changes.
+ */
+function issueSession(user) {
+    const expiresAt = Date.now() + Math.round(sessionHours() * 60 * 60 * 1000);
+    const payload = Buffer.from(JSON.stringify({ sub: user.id, name: user.name, role: user.role, exp: expiresAt })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, user: { name: user.name, role: user.role }, expiresAt };
+}
+
+function verifySession(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+    try {
+        if (!safeEqual(sign(payload), signature)) return null;
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (!ROLES.includes(session.role) || !(session.exp > Date.now())) return null;
+        return session;
+    } catch {
+        return null;
+    }
+}
+
+// The token travels as a bearer header for API calls; EventSource and form
+// downloads cannot set headers, so they send it as `access_token` instead
+function requestToken(req) {
+    const header = String(req.headers?.authorization || '');
+    if (header.startsWith('Bearer ')) return header.slice(7);
+    return req.body?.access_token || req.query?.access_token || null;
+}
+
+function requestSession(req) {
+    const token = requestToken(req);
+    return token ? verifySession(token) : null;
+}
+
+/**
+ * Checks that the request carries a session with at least `role`. Resolves to
+ * `{ allowed: true, session }`, or `{ allowed: false, status, error }` with 401
+ * for a missing or invalid session and 403 (with the `session`, for the audit
+ * log) for a role that is too low.
+ */
+function authorize(req, role) {
+    const session = requestSession(req);
+    if (!session) return { allowed: false, status: 401, error: 'Unauthorized' };
+    if (!hasRole(session.role, role)) return { allowed: false, status: 403, error: `Requires the ${role} role`, session };
+    return { allowed: true, session };
+}
+
+// Reading the gallery is public unless AUTH_REQUIRE_VIEWER is set
+function viewerRequired() {
+    return ['1', 'true', 'yes'].includes(String(process.env.AUTH_REQUIRE_VIEWER || '').toLowerCase());
+}
+
+function authorizeRead(req) {
+    return viewerRequired() ? authorize(req, 'viewer') : { allowed: true, session: requestSession(req) };
+}
+
+/**
+ * Handles a login body, `{ username, password }` or `{ telegram: <widget data> }`.
+ * Returns `{ token, user, expiresAt }`, or null when the credentials are rejected.
+ */
+function login({ username, password, telegram } = {}) {
+    const user = telegram ? verifyTelegramLogin(telegram) : checkCredentials(username, password);
+    return user ? issueSession(user) : null;
+}
+
+// What the frontend needs before login: current user and which login methods exist
+function authStatus(req) {
+    const session = requestSession(req);
+    return {
+        user: session ? { name: session.name, role: session.role } : null,
+        expiresAt: session ? session.exp : null,
+        requireViewer: viewerRequired(),
+        telegramBot: process.env.TELEGRAM_BOT_USERNAME || null
+    };
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    checkCredentials,
+    verifyTelegramLogin,
+    issueSession,
+    verifySession,
+    requestSession,
+    authorize,
+    authorizeRead,
+    viewerRequired,
+    login,
+    authStatus
+};
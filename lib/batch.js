@@ -0,0 +1,121 @@
+const { getMediaMany, updateMedia, trashMedia, restoreMedia } = require('./media-store');
+const { getCollection, updateCollection } = require('./collections');
+const { normalizeTags } = require('./metadata');
+
+const MAX_BATCH = 500;
+
+// Role each operation needs (see lib/auth.js)
+const OPERATIONS = {
+    delete: 'admin',
+    restore: 'admin',
+    tag: 'uploader',
+    collection: 'uploader'
+};
+
+function batchRole(op) {
+    return OPERATIONS[op] || null;
+}
+
+/**
+ * Validates a batch body: `{ op, ids, tags?, collectionId? }`. `tags` is
+ * `{ add, remove }` for the tag operation. Returns the normalised request or
+ * `{ error }`.
+ */
+function parseBatchRequest(body = {}) {
+    const { op, tags = {}, collectionId } = body;
+    if (!Object.hasOwn(OPERATIONS, op)) return { error: `op must be one of: ${Object.keys(OPERATIONS).join(', ')}` };
+
+    const ids = Array.isArray(body.ids) ? [...new Set(body.ids.filter(id => typeof id === 'string' && id))] : [];
+    if (ids.length === 0) return { error: 'ids must be a non-empty list' };
+    if (ids.length > MAX_BATCH) return { error: `At most ${MAX_BATCH} ids per batch` };
+
+    const request = { op, ids };
+    if (op === 'tag') {
+        request.add = normalizeTags(tags.add || []);
+        request.remove = normalizeTags(tags.remove || []);
+        if (request.add.length === 0 && request.remove.length === 0) return { error: 'tags.add or tags.remove is required' };
+    }
+    if (op === 'collection') {
+        if (typeof collectionId !== 'string' || !collectionId) return { error: 'collectionId is required' };
+        request.collectionId = collectionId;
+    }
+    return request;
+}
+
+// Runs `apply(id)` for every id, turning thrown errors into per-item failures
+async function eachItem(ids, apply) {
+    const results = [];
+    for (const id of ids) {
+        try {
+            results.push({ id, ...await apply(id) });
+        } catch (err) {
+            console.error(`Batch item ${id} failed:`, err.message);
+            results.push({ id, status: 'error', error: 'Internal error' });
+        }
+    }
+    return results;
+}
+
+const notFound = { status: 'not_found', error: 'Media not found' };
+
+/**
+ * Applies one operation to many media entries and reports each one.
+ *
+ * Adding to a collection is a single write; the other operations change one
+ * entry at a time (each in its own transaction), so a failure part-way leaves
+ * the earlier items done and says so in `results`. `ctx.notify(type, data)`
+ * publishes the change events, `ctx.actor` is recorded as `deletedBy` and
+ * `ctx.record(action, entry, details)` adds each change to the audit log.
+ *
+ * Resolves to `{ results: [{ id, status, error? }], succeeded, failed }`, or
+ * `{ status, error }` when the whole batch is rejected.
+ */
+async function runBatch(request, { notify = () => {}, record = () => {}, actor = null } = {}) {
+    let results;
+
+    if (request.op === 'delete') {
+        results = await eachItem(request.ids, async id => {
+            const trashed = await trashMedia(id, { deletedBy: actor });
+            if (!trashed) return notFound;
+            await record('delete', trashed);
+            await notify('media-deleted', { id, filename: trashed.filename });
+            return { status: 'ok' };
+        });
+    } else if (request.op === 'restore') {
+        results = await eachItem(request.ids, async id => {
+            const restored = await restoreMedia(id);
+            if (!restored) return { status: 'not_found', error: 'Not in trash' };
+            await record('restore', restored);
+            await notify('new-media', restored);
+            return { status: 'ok' };
+        });
+    } else if (request.op === 'tag') {
+        results = await eachItem(request.ids, async id => {
+            const [entry] = await getMediaMany([id]);
+            if (!entry) return notFound;
+            const tags = normalizeTags([...(entry.tags || []), ...request.add]).filter(tag => !request.remove.includes(tag));
+            const updated = await updateMedia(id, { tags });
+            await record('edit', updated, { before: { tags: entry.tags || [] }, after: { tags } });
+            await notify('media-updated', updated);
+            return { status: 'ok', tags };
+        });
+    } else {
+        if (!await getCollection(request.collectionId)) return { status: 404, error: 'Collection not found' };
+        const existing = new Set((await getMediaMany(request.ids)).map(entry => entry.id));
+        const result = await updateCollection(request.collectionId, { add: [...existing] });
+        if (!result) return { status: 404, error: 'Collection not found' };
+        if (result.error) return { status: 400, error: result.error };
+        await record('collection.edit', { id: result.collection.id, filename: result.collection.name }, { added: existing.size });
+        results = request.ids.map(id => (existing.has(id) ? { id, status: 'ok' } : { id, ...notFound }));
+    }
+
+    const succeeded = results.filter(result => result.status === 'ok').length;
+    return { results, succeeded, failed: results.length - succeeded };
+}
+
+module.exports = {
+    MAX_BATCH,
+    batchRole,
+    parseBatchRequest,
+    runBatch
+};
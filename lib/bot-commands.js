@@ -0,0 +1,148 @@
+const { queryMedia, findMediaByTelegramMessage, updateMedia } = require('./media-store');
+const { getMediaStats } = require('./stats');
+const { parseHistoryQuery } = require('./query');
+const { editMetadata } = require('./metadata');
+const { publishEvent } = require('./events');
+const { recordAudit, telegramActor, auditTarget } = require('./audit');
+const { isAdmin, isListedViewer, chatAllowed } = require('./upload-policy');
+const { viewerRequired } = require('./auth');
+
+const RECENT_DEFAULT = 5;
+const RECENT_MAX = 20;
+
+const HELP_TEXT = [
+    'Send photos or videos to add them to the gallery.',
+    '',
+    '/stats - gallery totals',
+    '/recent [n] - the latest uploads',
+    '/link - gallery address (reply to an upload for its own link)',
+    '/caption <text> - reply to an upload to caption it (#hashtags become tags)',
+    '/delete - reply to an upload to move it to the trash (admins only)'
+].join('\n');
+
+// Commands anyone may run; the rest show or change the gallery
+const OPEN_COMMANDS = new Set(['start', 'help']);
+
+// The chats and users that may upload or view; with no allowlist everyone,
+// unless AUTH_REQUIRE_VIEWER keeps the gallery private
+function mayUseGallery(message) {
+    return isListedViewer(message.from?.id) || chatAllowed(message, { listedOnly: viewerRequired() });
+}
+
+// "/recent@GalleryBot 10" -> { name: 'recent', args: '10' }
+function parseCommand(text) {
+    const match = /^\/([a-z]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i.exec(String(text || '').trim());
+    return match ? { name: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+}
+
+function absoluteUrl(url, galleryUrl) {
+    return url.startsWith('/') ? `${galleryUrl}${url}` : url;
+}
+
+// The gallery entry a command replies to, or a usage error to send back
+async function repliedEntry(message, usage) {
+    const target = message.reply_to_message;
+    if (!target) return { error: usage };
+    const entry = await findMediaByTelegramMessage(message.chat.id, target.message_id);
+    return entry ? { entry } : { error: 'That message is not in the gallery.' };
+}
+
+const COMMANDS = {
+    async start() {
+        return HELP_TEXT;
+    },
+
+    async help() {
+        return HELP_TEXT;
+    },
+
+    async stats() {
+        const stats = await getMediaStats();
+        const { percentUsed, budget } = stats.storage;
+        const quota = budget ? `\n💾 ${percentUsed}% of the ${budget} storage budget used` : '';
+        return `📊 ${stats.totalFiles} files (${stats.images} photos, ${stats.videos} videos), ${stats.totalSize}${quota}`;
+    },
+
+    async recent(message, args, ctx) {
+        const requested = parseInt(args, 10);
+        const limit = Number.isNaN(requested) || requested < 1 ? RECENT_DEFAULT : Math.min(requested, RECENT_MAX);
+        const { items } = await queryMedia(parseHistoryQuery({ limit }));
+        if (items.length === 0) return 'The gallery is empty.';
+        return items.map(entry => {
+            const when = new Date(entry.timestamp).toISOString().slice(0, 16).replace('T', ' ');
+            return `• ${entry.filename} (${entry.uploadedBy || 'unknown'}, ${when})\n${absoluteUrl(entry.url, ctx.galleryUrl)}`;
+        }).join('\n');
+    },
+
+    async link(message, args, ctx) {
+        if (!message.reply_to_message) return `🖼️ ${ctx.galleryUrl}`;
+        const { entry, error } = await repliedEntry(message);
+        return error || absoluteUrl(entry.url, ctx.galleryUrl);
+    },
+
+    async caption(message, args) {
+        const { entry, error } = await repliedEntry(message, 'Reply to an upload with /caption <text>.');
+        if (error) return error;
+        if (!args) return 'Usage: /caption <text>';
+        const audit = { action: 'edit', actor: telegramActor(message.from), target: auditTarget(entry) };
+        if (!isAdmin(message.from?.id) && entry.telegram?.fromId !== message.from?.id) {
+            await recordAudit({ ...audit, outcome: 'denied', details: { source: 'bot' } });
+            return '⛔ Only the uploader or an admin can caption this.';
+        }
+        const updated = await updateMedia(entry.id, editMetadata(entry, { caption: args }));
+        await recordAudit({
+            ...audit,
+            details: { source: 'bot', before: { caption: entry.caption, tags: entry.tags }, after: { caption: updated.caption, tags: updated.tags } }
+        });
+        await publishEvent('media-updated', updated);
+        return updated.tags?.length ? `✏️ Caption saved. Tags: ${updated.tags.map(tag => `#${tag}`).join(' ')}` : '✏️ Caption saved.';
+    },
+
+    async delete(message, args, ctx) {
+        const actor = telegramActor(message.from);
+        if (!isAdmin(message.from?.id)) {
+            await recordAudit({ action: 'delete', outcome: 'denied', actor, details: { source: 'bot' } });
+            return '⛔ Only admins can delete media.';
+        }
+        const { entry, error } = await repliedEntry(message, 'Reply to an upload with /delete.');
+        if (error) return error;
+        await ctx.deleteMedia(entry, message.from?.username || message.from?.first_name || null);
+        await recordAudit({ action: 'delete', actor, target: auditTarget(entry), details: { source: 'bot' } });
+        return `🗑️ Moved ${entry.filename} to the trash.`;
+    }
+};
+
+/**
+ * Runs a slash command from a Telegram message. Shared by the webhook and the
+ * polling bot, which differ only in `ctx`:
+ *   - `reply(text)` sends a plain-text reply to the command message
+ *   - `deleteMedia(entry, deletedBy)` moves the entry to the trash
+ *   - `galleryUrl` is the public gallery address
+ *
+ * Apart from /start and /help, commands only answer chats and users that may
+ * upload (the allowlists of lib/upload-policy.js) or view (TELEGRAM_VIEWER_IDS).
+ *
+ * Resolves to false when the message is not a known command, so callers can
+ * fall through to media handling.
+ */
+async function handleCommand(message, ctx) {
+    const command = parseCommand(message?.text);
+    if (!command || !Object.hasOwn(COMMANDS, command.name)) return false;
+
+    let text;
+    try {
+        text = OPEN_COMMANDS.has(command.name) || mayUseGallery(message)
+            ? await COMMANDS[command.name](message, command.args, ctx)
+            : '⛔ This chat has no access to the gallery.';
+    } catch (err) {
+        console.error(`Command /${command.name} failed:`, err.message);
+        text = `❌ /${command.name} failed: ${err.message}`;
+    }
+    await ctx.reply(text);
+    return true;
+}
+
+module.exports = {
+    parseCommand,
+    handleCommand
+};
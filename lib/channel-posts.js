@@ -0,0 +1,50 @@
+const { findMediaByTelegramMessage, updateMedia, trashMedia } = require('./media-store');
+const { editMetadata, extractTags } = require('./metadata');
+
+// Channels whose posts are mirrored into the gallery (TELEGRAM_CHANNEL_IDS, e.g. -1001234567890)
+function mirroredChannels() {
+    return new Set(String(process.env.TELEGRAM_CHANNEL_IDS || '').split(',').map(id => id.trim()).filter(Boolean));
+}
+
+/**
+ * True for `channel_post` / `edited_channel_post` updates from a configured
+ * channel. Posts from any other channel are ignored without a reply, since
+ * anything the bot sends there would be published to the channel.
+ */
+function isMirroredChannel(chat) {
+    return chat?.type === 'channel' && mirroredChannels().has(String(chat.id));
+}
+
+/**
+ * Applies an `edited_channel_post` to the entry mirrored from the original
+ * post. A new caption replaces the old one, and with it the tags that came
+ * from the old caption's hashtags. When the edit swapped the file, the old
+ * entry goes to the trash and the caller ingests the post as new media.
+ *
+ * Resolves to `{ updated }`, `{ replaced }` (the entry just trashed),
+ * `{ trashed }` when the entry had already been deleted, or `{}` when no entry
+ * came from the post yet.
+ */
+async function applyChannelEdit(post, media) {
+    const entry = await findMediaByTelegramMessage(post.chat.id, post.message_id, { includeTrashed: true });
+    if (!entry) return {};
+    // Deleted from the gallery on purpose; an edit in the channel does not bring it back
+    if (entry.deletedAt) return { trashed: entry };
+
+    const knownFile = entry.telegram?.fileUniqueId;
+    if (media && (!knownFile || knownFile === media.fileUniqueId)) {
+        const captionTags = extractTags(entry.caption);
+        const kept = (entry.tags || []).filter(tag => !captionTags.includes(tag));
+        const caption = post.caption || '';
+        const updated = await updateMedia(entry.id, editMetadata(entry, { caption, tags: [...kept, ...extractTags(caption)] }));
+        return { updated };
+    }
+
+    const replaced = await trashMedia(entry.id, { deletedBy: post.chat.title || 'channel' });
+    return { replaced };
+}
+
+module.exports = {
+    isMirroredChannel,
+    applyChannelEdit
+};
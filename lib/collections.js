@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { getRedis } = require('./redis');
+const { getMediaMany, findMediaIdsByUrl } = require('./media-store');
+
+// Key layout:
+//   collection:<id>                JSON { id, name, itemIds, createdAt, updatedAt }
+//   collections:idx                sorted set of collection ids scored by createdAt
+//   collections:media:<mediaId>    set of collection ids containing that media entry
+const KEYS = {
+    item: id => `collection:${id}`,
+    byTime: 'collections:idx',
+    byMedia: mediaId => `collections:media:${mediaId}`
+};
+
+const MAX_NAME_LENGTH = 100;
+const MAX_ITEMS = 5000;
+
+function parseCollection(raw) {
+    if (!raw) return null;
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+}
+
+function normalizeName(name) {
+    return typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+}
+
+function uniqueIds(ids) {
+    return Array.isArray(ids) ? [...new Set(ids.filter(id => typeof id === 'string' && id))] : [];
+}
+
+// Only ids of media that still exists can join a collection
+async function existingMediaIds(ids) {
+    const entries = await getMediaMany(uniqueIds(ids));
+    return entries.map(entry => entry.id);
+}
+
+async function saveCollection(collection, { added = [], removed = [] } = {}) {
+    const tx = getRedis().multi();
+    tx.set(KEYS.item(collection.id), JSON.stringify(collection));
+    tx.zadd(KEYS.byTime, { score: collection.createdAt, member: collection.id });
+    for (const mediaId of added) tx.sadd(KEYS.byMedia(mediaId), collection.id);
+    for (const mediaId of removed) tx.srem(KEYS.byMedia(mediaId), collection.id);
+    await tx.exec();
+    return collection;
+}
+
+async function getCollection(id) {
+    if (!id) return null;
+    return parseCollection(await getRedis().get(KEYS.item(id)));
+}
+
+// Adds the media entries (in collection order) to a collection for API responses
+async function withItems(collection) {
+    return { ...collection, items: await getMediaMany(collection.itemIds) };
+}
+
+async function listCollections() {
+    const redis = getRedis();
+    const ids = await redis.zrange(KEYS.byTime, 0, -1);
+    if (ids.length === 0) return [];
+    const raw = await redis.mget(...ids.map(id => KEYS.item(String(id))));
+    return raw.map(parseCollection).filter(Boolean);
+}
+
+/**
+ * Creates a collection of `itemIds`, then `itemUrls` (items of collections the
+ * gallery used to keep in the browser, which may only know their URL).
+ * Resolves to `{ collection, unresolved }`, `unresolved` listing the ids and
+ * URLs that matched no item, or `{ error }` when the input is invalid.
+ */
+async function createCollection({ name, itemIds = [], itemUrls = [] } = {}) {
+    const cleanName = normalizeName(name);
+    if (!cleanName) return { error: 'Collection name is required' };
+
+    const givenIds = uniqueIds(itemIds);
+    const urls = uniqueIds(itemUrls);
+    const urlIds = await findMediaIdsByUrl(urls);
+    const ids = (await existingMediaIds([...givenIds, ...urlIds.filter(Boolean)])).slice(0, MAX_ITEMS);
+    const found = new Set(ids);
+    const unresolved = [...givenIds.filter(id => !found.has(id)), ...urls.filter((url, i) => !found.has(urlIds[i]))];
+
+    const now = Date.now();
+    const collection = { id: crypto.randomUUID(), name: cleanName, itemIds: ids, createdAt: now, updatedAt: now };
+    return { collection: await saveCollection(collection, { added: ids }), unresolved };
+}
+
+/**
+ * Applies `{ name, add, remove, order }` to a collection, in that order.
+ * `order` must list exactly the collection's items. Resolves to
+ * `{ collection }`, `{ error }` for invalid input, or null when the
+ * collection does not exist.
+ */
+async function updateCollection(id, { name, add, remove, order } = {}) {
+    const current = await getCollection(id);
+    if (!current) return null;
+
+    const collection = { ...current, itemIds: [...current.itemIds] };
+    if (name !== undefined) {
+        collection.name = normalizeName(name);
+        if (!collection.name) return { error: 'Collection name is required' };
+    }
+
+    const added = [];
+    if (add !== undefined) {
+        for (const mediaId of await existingMediaIds(add)) {
+            if (!collection.itemIds.includes(mediaId)) {
+                collection.itemIds.push(mediaId);
+                added.push(mediaId);
+            }
+        }
+        if (collection.itemIds.length > MAX_ITEMS) return { error: `Collections hold at most ${MAX_ITEMS} items` };
+    }
+
+    const removed = [];
+    if (remove !== undefined) {
+        const drop = new Set(uniqueIds(remove));
+        collection.itemIds = collection.itemIds.filter(mediaId => {
+            if (!drop.has(mediaId)) return true;
+            removed.push(mediaId);
+            return false;
+        });
+    }
+
+    if (order !== undefined) {
+        const ids = uniqueIds(order);
+        const same = ids.length === collection.itemIds.length && ids.every(mediaId => collection.itemIds.includes(mediaId));
+        if (!same) return { error: 'order must list every item of the collection exactly once' };
+        collection.itemIds = ids;
+    }
+
+    collection.updatedAt = Date.now();
+    return { collection: await saveCollection(collection, { added, removed }) };
+}
+
+async function deleteCollection(id) {
+    const collection = await getCollection(id);
+    if (!collection) return null;
+
+    const tx = getRedis().multi();
+    tx.del(KEYS.item(id));
+    tx.zrem(KEYS.byTime, id);
+    for (const mediaId of collection.itemIds) tx.srem(KEYS.byMedia(mediaId), id);
+    await tx.exec();
+
+    return collection;
+}
+
+// Drops a deleted media entry from every collection holding it
+async function removeMediaFromCollections(mediaId) {
+    const ids = await getRedis().smembers(KEYS.byMedia(mediaId));
+    for (const id of ids) await updateCollection(String(id), { remove: [mediaId] });
+    await getRedis().del(KEYS.byMedia(mediaId));
+}
+
+// Points collections at `newId` wherever they held `oldId` (deduplication keeps one copy)
+async function replaceMediaInCollections(oldId, newId) {
+    const ids = await getRedis().smembers(KEYS.byMedia(oldId));
+    for (const id of ids) {
+        const collection = await getCollection(String(id));
+        if (!collection) continue;
+        const itemIds = [];
+        for (const mediaId of collection.itemIds) {
+            const next = mediaId === oldId ? newId : mediaId;
+            if (!itemIds.includes(next)) itemIds.push(next);
+        }
+        await saveCollection({ ...collection, itemIds, updatedAt: Date.now() }, { added: [newId], removed: [oldId] });
+    }
+}
+
+module.exports = {
+    KEYS,
+    getCollection,
+    withItems,
+    listCollections,
+    createCollection,
+    updateCollection,
+    deleteCollection,
+    removeMediaFromCollections,
+    replaceMediaInCollections
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+function hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// Groups entries sharing a content hash; only groups with more than one entry are returned
+function findDuplicateGroups(entries) {
+    const byHash = new Map();
+    for (const entry of entries) {
+        if (!entry.sha256) continue;
+        if (!byHash.has(entry.sha256)) byHash.set(entry.sha256, []);
+        byHash.get(entry.sha256).push(entry);
+    }
+    return [...byHash.values()]
+        .filter(group => group.length > 1)
+        .map(group => group.sort((a, b) => a.timestamp - b.timestamp));
+}
+
+// Fields that identify a stored copy and are never carried over between
+// duplicates: its files, derivatives and transcoded renditions (deleted with
+// the duplicate) and the transcode state describing them
+const COPY_FIELDS = new Set(['id', 'url', 'filename', 'timestamp', 'thumbnailUrl', 'previewUrl', 'posterUrl', 'variants', 'transcode']);
+
+/**
+ * Folds a duplicate group into its oldest entry. Returns `{ keep, changes, remove }`:
+ * the surviving entry, the metadata it should gain (fields only the duplicates
+ * have), and the entries to delete.
+ */
+function planMerge(group) {
+    const [keep, ...remove] = group;
+    const changes = {};
+    for (const duplicate of remove) {
+        for (const [field, value] of Object.entries(duplicate)) {
+            if (COPY_FIELDS.has(field) || value === null || value === undefined) continue;
+            if (keep[field] === undefined || keep[field] === null) {
+                if (changes[field] === undefined) changes[field] = value;
+            }
+        }
+    }
+    return { keep, changes, remove };
+}
+
+module.exports = {
+    hashBuffer,
+    hashFile,
+    findDuplicateGroups,
+    planMerge
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+
+// Longest edge in pixels for each generated rendition
+const SIZES = {
+    thumbnail: 320,
+    preview: 1600
+};
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+
+function derivativeName(id, kind) {
+    return `${id}-${kind}.webp`;
+}
+
+function resizeToWebp(input, size, quality) {
+    return sharp(input, { failOn: 'none' })
+        .rotate() // honour EXIF orientation before it is stripped
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality })
+        .toBuffer();
+}
+
+// Run ffmpeg (or ffprobe) and collect stdout; rejects with stderr on a non-zero exit
+function runFfmpeg(args, command = FFMPEG) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        const chunks = [];
+        let stderr = '';
+        proc.stdout.on('data', chunk => chunks.push(chunk));
+        proc.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+        proc.on('error', reject);
+        proc.on('close', code => {
+            if (code === 0) resolve(Buffer.concat(chunks));
+            else reject(new Error(`${path.basename(command)} exited with ${code}: ${stderr.trim().split('\n').pop()}`));
+        });
+    });
+}
+
+// Grab a single JPEG frame one second in (or the first frame for very short clips)
+async function extractPosterFrame(filePath) {
+    for (const offset of ['1', '0']) {
+        const frame = await runFfmpeg([
+            '-v', 'error', '-ss', offset, '-i', filePath,
+            '-frames:v', '1', '-f', 'image2', '-c:v', 'mjpeg', 'pipe:1'
+        ]);
+        if (frame.length > 0) return frame;
+    }
+    throw new Error('ffmpeg produced no frame');
+}
+
+// ffmpeg needs a seekable file; write buffers to a temp file first
+async function withFile({ buffer, filePath }, fn) {
+    if (filePath) return fn(filePath);
+    const tmp = path.join(os.tmpdir(), `derivative-${process.pid}-${Date.now()}`);
+    fs.writeFileSync(tmp, buffer);
+    try {
+        return await fn(tmp);
+    } finally {
+        fs.rmSync(tmp, { force: true });
+    }
+}
+
+/**
+ * Creates the derivatives for one media entry and stores them with `save`.
+ *
+ * Images get a thumbnail (grid) and a preview (lightbox). Videos get a poster
+ * frame from ffmpeg, falling back to `source.fallbackPoster` (e.g. the
+ * thumbnail Telegram sends with every video) when ffmpeg is unavailable, plus a
+ * thumbnail cut from that poster.
+ *
+ * `source` is `{ buffer }` or `{ filePath }`; `save(name, buffer, contentType)`
+ * must resolve to the public URL. Resolves to the fields to merge into the
+ * entry; failures are logged and yield `{}` so ingest never fails on them.
+ */
+async function buildDerivatives(entry, source, save) {
+    try {
+        if (entry.type === 'image') {
+            const input = source.buffer || source.filePath;
+            const [thumbnail, preview] = await Promise.all([
+                resizeToWebp(input, SIZES.thumbnail, 70),
+                resizeToWebp(input, SIZES.preview, 82)
+            ]);
+            return {
+                thumbnailUrl: await save(derivativeName(entry.id, 'thumb'), thumbnail, 'image/webp'),
+                previewUrl: await save(derivativeName(entry.id, 'preview'), preview, 'image/webp')
+            };
+        }
+
+        if (entry.type === 'video') {
+            let frame;
+            try {
+                frame = await withFile(source, extractPosterFrame);
+            } catch (err) {
+                if (!source.fallbackPoster) throw err;
+                console.warn(`Poster frame for ${entry.id} from fallback: ${err.message}`);
+                frame = source.fallbackPoster;
+            }
+            const [thumbnail, poster] = await Promise.all([
+                resizeToWebp(frame, SIZES.thumbnail, 70),
+                resizeToWebp(frame, SIZES.preview, 82)
+            ]);
+            return {
+                thumbnailUrl: await save(derivativeName(entry.id, 'thumb'), thumbnail, 'image/webp'),
+                posterUrl: await save(derivativeName(entry.id, 'poster'), poster, 'image/webp')
+            };
+        }
+    } catch (err) {
+        console.error(`Derivatives failed for ${entry.filename || entry.id}:`, err.message);
+    }
+    return {};
+}
+
+function needsDerivatives(entry) {
+    if (!entry.thumbnailUrl) return true;
+    if (entry.type === 'image') return !entry.previewUrl;
+    if (entry.type === 'video') return !entry.posterUrl;
+    return false;
+}
+
+function derivativeUrls(entry) {
+    return [entry.thumbnailUrl, entry.previewUrl, entry.posterUrl].filter(Boolean);
+}
+
+// Saver writing derivatives next to the originals in a storage driver (lib/storage.js)
+function storageSaver(storage) {
+    return (name, buffer, contentType) => storage.put(`derivatives/${name}`, buffer, { contentType });
+}
+
+module.exports = {
+    SIZES,
+    FFMPEG,
+    runFfmpeg,
+    withFile,
+    buildDerivatives,
+    needsDerivatives,
+    derivativeUrls,
+    storageSaver
+};
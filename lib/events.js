@@ -0,0 +1,129 @@
+const { getRedis } = require('./redis');
+const { forReader } = require('./media-info');
+
+// Recent gallery changes live in Redis so every serverless instance (and sync.js)
+// can stream them:
+//   events:seq    counter, the id of the latest event
+//   events:log    list of JSON events, newest first, capped at LOG_SIZE
+//
+// The counter and the list only change together, in one transaction, so the
+// event at list index i always has id `events:seq - i`: ids follow list order
+// and a failed publish leaves no gap.
+const KEYS = {
+    seq: 'events:seq',
+    log: 'events:log'
+};
+
+const LOG_SIZE = 200;
+// Polls read events:seq alone and back off while it stays put; the log is only
+// fetched once it moved
+const POLL_INTERVAL_MS = 1000;
+const MAX_POLL_INTERVAL_MS = 8000;
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Records a gallery change (`new-media`, `media-updated`, `media-deleted`)
+ * for connected clients. Failures are logged and swallowed: a missed event
+ * only delays the UI until its next refresh, it must not fail the upload.
+ */
+async function publishEvent(type, data) {
+    try {
+        const tx = getRedis().multi();
+        tx.incr(KEYS.seq);
+        tx.lpush(KEYS.log, JSON.stringify({ type, data, time: Date.now() }));
+        tx.ltrim(KEYS.log, 0, LOG_SIZE - 1);
+        const [seq] = await tx.exec();
+        return Number(seq);
+    } catch (err) {
+        console.error(`Publishing ${type} failed:`, err.message);
+        return null;
+    }
+}
+
+async function latestSeq() {
+    return Number(await getRedis().get(KEYS.seq)) || 0;
+}
+
+// Events after `since`, oldest first
+async function readEventsSince(since) {
+    const tx = getRedis().multi();
+    tx.get(KEYS.seq);
+    tx.lrange(KEYS.log, 0, LOG_SIZE - 1);
+    const [head, raw] = await tx.exec();
+    return raw
+        .map((item, index) => ({ ...(typeof item === 'string' ? JSON.parse(item) : item), seq: Number(head) - index }))
+        .filter(event => event.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+}
+
+function writeEvent(res, event, session = null) {
+    res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(forReader(event.data, session))}\n\n`);
+}
+
+/**
+ * Serves the event log as a Server-Sent Events stream.
+ *
+ * Clients resume from the `Last-Event-ID` header (sent automatically by
+ * EventSource on reconnect) or `?since=`; a fresh connection starts at the
+ * current head. When the gap is larger than the log, a `resync` event tells
+ * the client to reload instead of applying a partial history.
+ *
+ * `maxDurationMs` ends the response before a serverless timeout; EventSource
+ * reconnects on its own and picks up where it left off. `session` is the
+ * reader's (see forReader in lib/media-info.js).
+ */
+async function streamEvents(req, res, { maxDurationMs = null, session = null } = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 2000\n\n');
+
+    const resumeFrom = Number(req.headers['last-event-id'] || req.query?.since);
+    let lastSeq = Number.isFinite(resumeFrom) && resumeFrom > 0 ? resumeFrom : await latestSeq();
+
+    let closed = false;
+    req.on('close', () => { closed = true; });
+
+    const startedAt = Date.now();
+    let lastWrite = Date.now();
+    let interval = POLL_INTERVAL_MS;
+    while (!closed && (!maxDurationMs || Date.now() - startedAt < maxDurationMs)) {
+        try {
+            const events = await latestSeq() > lastSeq ? await readEventsSince(lastSeq) : [];
+            if (events.length && events[0].seq > lastSeq + 1) {
+                // Some events were trimmed from the log before this client saw them
+                writeEvent(res, { seq: events[events.length - 1].seq, type: 'resync', data: {} });
+                lastSeq = events[events.length - 1].seq;
+            } else {
+                for (const event of events) {
+                    writeEvent(res, event, session);
+                    lastSeq = event.seq;
+                }
+            }
+            if (events.length) lastWrite = Date.now();
+            interval = events.length ? POLL_INTERVAL_MS : Math.min(interval * 2, MAX_POLL_INTERVAL_MS);
+        } catch (err) {
+            console.error('Event stream read failed:', err.message);
+        }
+
+        if (Date.now() - lastWrite >= HEARTBEAT_MS) {
+            res.write(': keep-alive\n\n');
+            lastWrite = Date.now();
+        }
+        // Never sleep past the end of a serverless stream
+        const remaining = maxDurationMs ? maxDurationMs - (Date.now() - startedAt) : interval;
+        await new Promise(resolve => setTimeout(resolve, Math.max(0, Math.min(interval, remaining))));
+    }
+
+    if (!closed) res.end();
+}
+
+module.exports = {
+    KEYS,
+    publishEvent,
+    readEventsSince,
+    streamEvents
+};
@@ -0,0 +1,167 @@
+// Minimal EXIF (TIFF) reader for the few tags the gallery uses. sharp hands us
+// the raw EXIF block of any format it decodes; this walks its IFDs.
+
+// Bytes per value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const TAGS = {
+    make: 0x010f,
+    model: 0x0110,
+    dateTime: 0x0132,
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    dateTimeOriginal: 0x9003,
+    offsetTimeOriginal: 0x9011,
+    gpsLatitudeRef: 0x0001,
+    gpsLatitude: 0x0002,
+    gpsLongitudeRef: 0x0003,
+    gpsLongitude: 0x0004,
+    gpsAltitudeRef: 0x0005,
+    gpsAltitude: 0x0006
+};
+
+// sharp's EXIF buffers start with the JPEG "Exif\0\0" marker; the TIFF data follows
+function tiffOffset(exif) {
+    return exif.toString('latin1', 0, 6) === 'Exif\0\0' ? 6 : 0;
+}
+
+function reader(buffer, base) {
+    const order = buffer.toString('latin1', base, base + 2);
+    if (order !== 'II' && order !== 'MM') throw new Error('Not a TIFF header');
+    const le = order === 'II';
+    return {
+        base,
+        u16: at => (le ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at)),
+        u32: at => (le ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at)),
+        i32: at => (le ? buffer.readInt32LE(at) : buffer.readInt32BE(at))
+    };
+}
+
+// Entries of the IFD at `offset` (relative to the TIFF header) as tag -> field
+function readIfd(buffer, r, offset) {
+    const fields = new Map();
+    const start = r.base + offset;
+    if (!offset || start + 2 > buffer.length) return fields;
+
+    const count = r.u16(start);
+    for (let i = 0; i < count; i++) {
+        const entry = start + 2 + i * 12;
+        if (entry + 12 > buffer.length) break;
+        const type = r.u16(entry + 2);
+        const length = r.u32(entry + 4);
+        const size = (TYPE_SIZES[type] || 0) * length;
+        const valueAt = size <= 4 ? entry + 8 : r.base + r.u32(entry + 8);
+        if (!size || valueAt + size > buffer.length) continue;
+        fields.set(r.u16(entry), { entry, type, length, size, valueAt });
+    }
+    return fields;
+}
+
+function readValue(buffer, r, field) {
+    if (!field) return undefined;
+    const { type, length, valueAt } = field;
+    if (type === 2) return buffer.toString('latin1', valueAt, valueAt + length).replace(/\0+$/, '').trim();
+
+    const values = [];
+    for (let i = 0; i < length; i++) {
+        const at = valueAt + i * TYPE_SIZES[type];
+        if (type === 1 || type === 7) values.push(buffer[at]);
+        else if (type === 3) values.push(r.u16(at));
+        else if (type === 4) values.push(r.u32(at));
+        else if (type === 9) values.push(r.i32(at));
+        else if (type === 5) values.push(r.u32(at) / (r.u32(at + 4) || 1));
+        else if (type === 10) values.push(r.i32(at) / (r.i32(at + 4) || 1));
+    }
+    return length === 1 ? values[0] : values;
+}
+
+// [degrees, minutes, seconds] plus "N"/"S"/"E"/"W" to signed decimal degrees
+function toDegrees(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3 || dms.some(Number.isNaN)) return null;
+    const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -value : value;
+}
+
+// "2023:07:14 18:03:22" -> "2023-07-14T18:03:22", with the offset appended when EXIF records one
+function toIsoDateTime(value, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!match || match[1] === '0000') return null;
+    const [, y, mo, d, h, mi, s] = match;
+    const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+    return `${y}-${mo}-${d}T${h}:${mi}:${s}${zone}`;
+}
+
+/**
+ * Reads capture time, camera and GPS position from an EXIF block. Returns
+ * only the fields found: `{ capturedAt, camera, gps: { lat, lon, alt } }`.
+ * `capturedAt` is the camera's local wall-clock time as ISO 8601, with an
+ * offset only when the camera recorded one. Malformed data yields `{}`.
+ */
+function parseExif(exif) {
+    const info = {};
+    try {
+        const r = reader(exif, tiffOffset(exif));
+        const ifd0 = readIfd(exif, r, r.u32(r.base + 4));
+        const exifIfd = readIfd(exif, r, readValue(exif, r, ifd0.get(TAGS.exifIfd)));
+        const gpsIfd = readIfd(exif, r, readValue(exif, r, ifd0.get(TAGS.gpsIfd)));
+
+        const capturedAt = toIsoDateTime(
+            readValue(exif, r, exifIfd.get(TAGS.dateTimeOriginal)) || readValue(exif, r, ifd0.get(TAGS.dateTime)),
+            readValue(exif, r, exifIfd.get(TAGS.offsetTimeOriginal))
+        );
+        if (capturedAt) info.capturedAt = capturedAt;
+
+        const make = readValue(exif, r, ifd0.get(TAGS.make)) || '';
+        const model = readValue(exif, r, ifd0.get(TAGS.model)) || '';
+        // Most models already start with the make ("Canon EOS R6"); avoid "Canon Canon EOS R6"
+        const camera = model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`.trim();
+        if (camera) info.camera = camera;
+
+        const lat = toDegrees(readValue(exif, r, gpsIfd.get(TAGS.gpsLatitude)), readValue(exif, r, gpsIfd.get(TAGS.gpsLatitudeRef)));
+        const lon = toDegrees(readValue(exif, r, gpsIfd.get(TAGS.gpsLongitude)), readValue(exif, r, gpsIfd.get(TAGS.gpsLongitudeRef)));
+        if (lat !== null && lon !== null && Math.abs(lat) <= 90 && Math.abs(lon) <= 180 && (lat || lon)) {
+            info.gps = { lat: Number(lat.toFixed(6)), lon: Number(lon.toFixed(6)) };
+            const alt = readValue(exif, r, gpsIfd.get(TAGS.gpsAltitude));
+            if (typeof alt === 'number' && Number.isFinite(alt)) {
+                info.gps.alt = Math.round(readValue(exif, r, gpsIfd.get(TAGS.gpsAltitudeRef)) === 1 ? -alt : alt);
+            }
+        }
+    } catch (err) {
+        console.warn('Unreadable EXIF data:', err.message);
+        return {};
+    }
+    return info;
+}
+
+/**
+ * Returns a copy of `file` with its GPS block blanked, leaving the rest of the
+ * EXIF (orientation, capture time) and the image data untouched. `exif` is
+ * the block sharp extracted from that file. Returns null when the file has no
+ * GPS data or the block cannot be located in it.
+ */
+function stripGps(file, exif) {
+    const tiff = exif.subarray(tiffOffset(exif));
+    const at = file.indexOf(tiff.subarray(0, Math.min(tiff.length, 64)));
+    if (at === -1) return null;
+
+    const copy = Buffer.from(file);
+    const r = reader(copy, at);
+    const ifd0 = readIfd(copy, r, r.u32(at + 4));
+    const pointer = ifd0.get(TAGS.gpsIfd);
+    if (!pointer) return null;
+
+    const gpsOffset = readValue(copy, r, pointer);
+    const gpsIfd = readIfd(copy, r, gpsOffset);
+    for (const field of gpsIfd.values()) {
+        copy.fill(0, field.valueAt, field.valueAt + field.size);
+        copy.fill(0, field.entry, field.entry + 12);
+    }
+    // An empty GPS directory: readers see no position at all
+    copy.fill(0, at + gpsOffset, at + gpsOffset + 2);
+    return copy;
+}
+
+module.exports = {
+    parseExif,
+    stripGps
+};
@@ -0,0 +1,146 @@
+const archiver = require('archiver');
+const path = require('path');
+const { parseDateParam } = require('./query');
+
+// Normalises an export request body. Accepts JSON bodies as well as the
+// url-encoded form the gallery submits, where `urls` arrives as a JSON string.
+// `collection` limits the export to one collection's items (lib/collections.js).
+function parseExportRequest(body = {}) {
+    let urls = body.urls;
+    if (typeof urls === 'string') {
+        try {
+            urls = JSON.parse(urls);
+        } catch {
+            urls = urls.split(',');
+        }
+    }
+    if (!Array.isArray(urls)) urls = [];
+
+    return {
+        urls: urls.filter(url => typeof url === 'string' && url.length > 0),
+        from: parseDateParam(body.from),
+        to: parseDateParam(body.to, true),
+        name: typeof body.name === 'string' && body.name.trim() ? body.name.trim() : null,
+        share: typeof body.share === 'string' && body.share ? body.share : null,
+        collection: typeof body.collection === 'string' && body.collection ? body.collection : null
+    };
+}
+
+// Picks the items an export covers. Only items already known to the gallery
+// are returned, so a request can never make the server fetch arbitrary URLs.
+function selectExportItems(items, { urls = [], from = null, to = null } = {}) {
+    let selected = items;
+
+    if (urls.length > 0) {
+        const wanted = new Set(urls);
+        selected = selected.filter(item => wanted.has(item.url));
+    }
+    if (from !== null) selected = selected.filter(item => item.timestamp >= from);
+    if (to !== null) selected = selected.filter(item => item.timestamp <= to);
+
+    return selected;
+}
+
+function archiveName(name, { from, to } = {}) {
+    const base = name
+        || (from || to ? `gallery_${formatDay(from) || 'start'}_${formatDay(to) || 'now'}` : 'gallery');
+    return `${base.replace(/[^\w.-]+/g, '_').slice(0, 100) || 'gallery'}.zip`;
+}
+
+function formatDay(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString().slice(0, 10) : null;
+}
+
+// Keeps archive entry names unique when two items share a filename.
+function uniqueEntryName(filename, used) {
+    const base = path.basename(filename || 'file');
+    let candidate = base;
+    let counter = 1;
+    while (used.has(candidate)) {
+        const ext = path.extname(base);
+        candidate = `${path.basename(base, ext)}_${counter++}${ext}`;
+    }
+    used.add(candidate);
+    return candidate;
+}
+
+/**
+ * Streams a ZIP of `items` to `res`, followed by a `manifest.json`.
+ *
+ * Files are stored uncompressed (photos and videos are already compressed) and
+ * opened one at a time through `openItem(item)`, which must resolve to a
+ * readable stream. Items that fail to open are listed under `missing` in the
+ * manifest instead of aborting the whole archive.
+ */
+async function streamZip(res, items, { filename, openItem }) {
+    const archive = archiver('zip', { store: true });
+    const usedNames = new Set(['manifest.json']);
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        count: 0,
+        files: [],
+        missing: []
+    };
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    archive.on('warning', err => console.warn('Export warning:', err.message));
+    archive.on('error', err => {
+        console.error('Export archive error:', err.message);
+        res.destroy(err);
+    });
+    res.on('close', () => {
+        if (!res.writableFinished) archive.abort();
+    });
+    archive.pipe(res);
+
+    for (const item of items) {
+        if (res.destroyed) break;
+
+        let stream;
+        try {
+            stream = await openItem(item);
+        } catch (err) {
+            console.error(`Export skipped ${item.filename || item.url}:`, err.message);
+            manifest.missing.push({ url: item.url, filename: item.filename, error: err.message });
+            continue;
+        }
+
+        const name = uniqueEntryName(item.filename || item.url.split('/').pop(), usedNames);
+        // Wait for each entry to be written before opening the next file
+        await new Promise(resolve => {
+            const done = () => {
+                archive.off('entry', done);
+                archive.off('error', done);
+                resolve();
+            };
+            archive.on('entry', done);
+            archive.on('error', done);
+            archive.append(stream, { name, date: item.timestamp ? new Date(item.timestamp) : new Date() });
+        });
+        if (res.destroyed) break;
+
+        manifest.files.push({
+            name,
+            url: item.url,
+            uploadedBy: item.uploadedBy || null,
+            timestamp: item.timestamp || null,
+            size: item.size || null
+        });
+    }
+
+    manifest.count = manifest.files.length;
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    await archive.finalize();
+
+    return manifest;
+}
+
+module.exports = {
+    parseExportRequest,
+    selectExportItems,
+    archiveName,
+    streamZip
+};
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { getRedis } = require('./redis');
+const { ingestMedia } = require('./media-service');
+const { releaseUpload } = require('./upload-policy');
+const { BOT_DOWNLOAD_LIMIT, getTelegramFile, downloadTelegramFile, downloadTelegramThumbnail } = require('./telegram-api');
+const { formatSize } = require('./stats');
+const { recordAudit, telegramActor, auditTarget } = require('./audit');
+
+// Key layout:
+//   ingest:job:<id>     JSON job (one Telegram message with media)
+//   ingest:queue        sorted set of job ids scored by their next attempt time
+//   ingest:dead         sorted set of job ids that failed for good, scored by failure time
+//   ingest:lease:<id>   random token of the worker processing the job; expires if the worker dies
+const KEYS = {
+    job: id => `ingest:job:${id}`,
+    queue: 'ingest:queue',
+    dead: 'ingest:dead',
+    lease: id => `ingest:lease:${id}`
+};
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const LEASE_SECONDS = 5 * 60;
+
+function maxAttempts() {
+    const attempts = parseInt(process.env.INGEST_MAX_ATTEMPTS, 10);
+    return attempts > 0 ? attempts : DEFAULT_MAX_ATTEMPTS;
+}
+
+// 30s, 1m, 2m, 4m, ... capped at an hour
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+function parseJob(raw) {
+    if (!raw) return null;
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+}
+
+// What processing and reporting need from the Telegram message; the rest is not kept
+function messageSummary(message) {
+    return {
+        message_id: message.message_id,
+        chat: { id: message.chat?.id, type: message.chat?.type, title: message.chat?.title },
+        from: message.from && { id: message.from.id, username: message.from.username, first_name: message.from.first_name },
+        // Channel posts have no sender, only the channel and an optional signature
+        author_signature: message.author_signature,
+        caption: message.caption,
+        media_group_id: message.media_group_id
+    };
+}
+
+/**
+ * Persists one received Telegram upload as a job before anything is
+ * downloaded. `media` comes from extractMedia, `options.reservation` from
+ * authorizeUpload and `options.statusMessageId` is the receipt to edit later.
+ *
+ * The job id is the chat and message id, so a redelivered update finds its
+ * existing job instead of queueing the file twice. Files over the Bot API
+ * download limit go straight to the dead-letter list.
+ *
+ * Resolves to `{ job, created }`.
+ */
+async function enqueueIngest(message, media, { reservation = null, statusMessageId = null } = {}) {
+    const redis = getRedis();
+    const now = Date.now();
+    const job = {
+        id: `${message.chat?.id}:${message.message_id}`,
+        status: 'queued',
+        message: messageSummary(message),
+        media,
+        albumId: message.media_group_id ? `${message.chat?.id}-${message.media_group_id}` : null,
+        statusMessageId,
+        reservation,
+        attempts: 0,
+        createdAt: now,
+        updatedAt: now,
+        nextAttemptAt: now
+    };
+
+    const tooLarge = media.fileSize > BOT_DOWNLOAD_LIMIT;
+    if (tooLarge) {
+        Object.assign(job, {
+            status: 'dead',
+            failedAt: now,
+            reservation: null,
+            lastError: `File is ${formatSize(media.fileSize)}; bots can only download files up to ${formatSize(BOT_DOWNLOAD_LIMIT)}`
+        });
+    }
+
+    if (!await redis.set(KEYS.job(job.id), JSON.stringify(job), { nx: true })) {
+        return { job: parseJob(await redis.get(KEYS.job(job.id))), created: false };
+    }
+    if (tooLarge) {
+        await redis.zadd(KEYS.dead, { score: now, member: job.id });
+        await releaseUpload(reservation);
+        await auditIngest(job, 'dead');
+    } else {
+        await redis.zadd(KEYS.queue, { score: now, member: job.id });
+    }
+    return { job, created: true };
+}
+
+function uploaderName(message) {
+    const { from } = message;
+    return from?.username || from?.first_name || message.author_signature || message.chat?.title || 'Unknown';
+}
+
+// Final outcomes only: a retry is recorded once it is stored or dead
+function auditIngest(job, status, { entry, error } = {}) {
+    const { message, media } = job;
+    return recordAudit({
+        action: 'ingest',
+        outcome: { stored: 'ok', duplicate: 'duplicate', dead: 'failed' }[status],
+        actor: telegramActor(message.from, uploaderName(message)),
+        target: auditTarget(entry) || { id: job.id, filename: media.fileName },
+        details: { source: 'telegram', kind: media.kind, chatId: message.chat?.id, attempts: job.attempts, error: error?.message || job.lastError }
+    });
+}
+
+// One attempt at a job: download from Telegram, store and index
+async function ingestJob(job, { storage, onStep }) {
+    const { message, media } = job;
+    const file = await getTelegramFile(media.fileId);
+    const buffer = await downloadTelegramFile(file.file_path);
+
+    return ingestMedia(buffer, {
+        storage,
+        fileName: media.fileName || file.file_path,
+        declaredType: media.mimeType,
+        source: media.kind,
+        uploadedBy: uploaderName(message),
+        telegram: {
+            chatId: message.chat.id,
+            messageId: message.message_id,
+            fromId: message.from?.id,
+            // Tells a channel post edit that swaps the file from one that only changes the caption
+            fileUniqueId: media.fileUniqueId,
+            // Album items share one status message, so it cannot identify a single entry
+            replyMessageId: job.albumId ? undefined : job.statusMessageId || undefined
+        },
+        caption: message.caption,
+        albumId: job.albumId || undefined,
+        fallbackPoster: () => (media.posterFileId ? downloadTelegramThumbnail(media.posterFileId) : null),
+        onStep
+    });
+}
+
+/**
+ * Makes one attempt at a queued job, unless another worker holds it.
+ *
+ * A failure schedules the next attempt with exponential backoff; errors
+ * marked `permanent` and the last allowed attempt (INGEST_MAX_ATTEMPTS) move
+ * the job to the dead-letter list instead. Quota reservations are handed back
+ * when nothing new was stored.
+ *
+ * Resolves to `{ job, status, entry?, error? }` with status 'stored',
+ * 'duplicate', 'retry' or 'dead', or null when the job was skipped.
+ */
+async function processIngest(id, { storage, onStep = async () => {} }) {
+    const redis = getRedis();
+    const token = crypto.randomUUID();
+    if (!await redis.set(KEYS.lease(id), token, { nx: true, ex: LEASE_SECONDS })) return null;
+
+    try {
+        const job = parseJob(await redis.get(KEYS.job(id)));
+        if (!job || job.status === 'dead') {
+            await redis.zrem(KEYS.queue, id);
+            return null;
+        }
+
+        job.attempts++;
+        job.updatedAt = Date.now();
+        try {
+            const { entry, duplicate } = await ingestJob(job, { storage, onStep });
+            if (duplicate) await releaseUpload(job.reservation);
+
+            const tx = redis.multi();
+            tx.del(KEYS.job(id));
+            tx.zrem(KEYS.queue, id);
+            await tx.exec();
+            const status = duplicate ? 'duplicate' : 'stored';
+            await auditIngest(job, status, { entry });
+            return { job, status, entry };
+        } catch (err) {
+            job.lastError = err.message;
+            const tx = redis.multi();
+            const { reservation } = job;
+            let status;
+            if (err.permanent || job.attempts >= maxAttempts()) {
+                status = 'dead';
+                // The quota is handed back now, so a replay must not hand it back again
+                Object.assign(job, { status, failedAt: job.updatedAt, reservation: null });
+                tx.zrem(KEYS.queue, id);
+                tx.zadd(KEYS.dead, { score: job.updatedAt, member: id });
+            } else {
+                status = 'retry';
+                Object.assign(job, { status: 'retrying', nextAttemptAt: job.updatedAt + retryDelay(job.attempts) });
+                tx.zadd(KEYS.queue, { score: job.nextAttemptAt, member: id });
+            }
+            tx.set(KEYS.job(id), JSON.stringify(job));
+            await tx.exec();
+
+            if (status === 'dead') {
+                await releaseUpload(reservation);
+                await auditIngest(job, status, { error: err });
+            }
+            console.error(`Ingest ${id} attempt ${job.attempts} failed (${status}):`, err.message);
+            return { job, status, error: err };
+        }
+    } finally {
+        // An attempt that outlived its lease must not release the next worker's
+        if (await redis.get(KEYS.lease(id)) === token) await redis.del(KEYS.lease(id));
+    }
+}
+
+/**
+ * Works through jobs whose next attempt is due, oldest first. Also picks up
+ * jobs a crashed worker left behind once their lease has expired.
+ */
+async function processDueIngests({ storage, limit = 10 }) {
+    const ids = await getRedis().zrange(KEYS.queue, '-inf', Date.now(), { byScore: true, offset: 0, count: limit });
+    const outcomes = [];
+    for (const id of ids) {
+        const outcome = await processIngest(id, { storage });
+        if (outcome) outcomes.push(outcome);
+    }
+    return outcomes;
+}
+
+async function loadJobs(ids) {
+    if (ids.length === 0) return [];
+    const raw = await getRedis().mget(...ids.map(KEYS.job));
+    return raw.map(parseJob).filter(Boolean);
+}
+
+// Admin view: jobs waiting for an attempt and the dead-letter list (newest failures first)
+async function listIngestJobs() {
+    const redis = getRedis();
+    const [pending, dead] = await Promise.all([
+        redis.zrange(KEYS.queue, 0, -1),
+        redis.zrange(KEYS.dead, 0, -1, { rev: true })
+    ]);
+    return { pending: await loadJobs(pending), dead: await loadJobs(dead) };
+}
+
+/**
+ * Moves a dead job back into the queue with a fresh set of attempts. Returns
+ * the job, or null when no dead job has that id.
+ */
+async function replayIngest(id) {
+    const redis = getRedis();
+    const job = parseJob(await redis.get(KEYS.job(id)));
+    if (!job || job.status !== 'dead') return null;
+
+    const now = Date.now();
+    Object.assign(job, { status: 'queued', attempts: 0, updatedAt: now, nextAttemptAt: now, failedAt: undefined });
+    const tx = redis.multi();
+    tx.set(KEYS.job(id), JSON.stringify(job));
+    tx.zrem(KEYS.dead, id);
+    tx.zadd(KEYS.queue, { score: now, member: id });
+    await tx.exec();
+    return job;
+}
+
+// Drops a dead job for good; null when no dead job has that id
+async function discardIngest(id) {
+    const redis = getRedis();
+    const job = parseJob(await redis.get(KEYS.job(id)));
+    if (!job || job.status !== 'dead') return null;
+
+    const tx = redis.multi();
+    tx.del(KEYS.job(id));
+    tx.zrem(KEYS.dead, id);
+    await tx.exec();
+    return job;
+}
+
+module.exports = {
+    KEYS,
+    enqueueIngest,
+    processIngest,
+    processDueIngests,
+    listIngestJobs,
+    replayIngest,
+    discardIngest
+};
@@ -0,0 +1,153 @@
+const { getRedis } = require('./redis');
+const { callTelegram } = require('./telegram-api');
+
+// Album bookkeeping expires once Telegram has long finished delivering the group
+const ALBUM_TTL_SECONDS = 60 * 60;
+const ALBUM_STATUS_WAIT_MS = 5000;
+
+// Progress shown while a single item is ingested (see lib/media-service.js)
+const STEPS = {
+    upload: '⏳ **Step 2/4:** Uploading to storage...',
+    derivatives: '⏳ **Step 3/4:** Generating previews...',
+    save: '⏳ **Step 4/4:** Saving to Media History...'
+};
+
+function albumIdOf(message) {
+    return message.media_group_id ? `${message.chat?.id}-${message.media_group_id}` : null;
+}
+
+function editStatus(chatId, messageId, text, extra = {}) {
+    return callTelegram('editMessageText', { chat_id: chatId, message_id: messageId, text, parse_mode: 'Markdown', ...extra });
+}
+
+// Every item of an album arrives as its own update, usually in parallel invocations.
+// The first one to claim the album sends the shared progress message; the rest wait
+// for its message_id so they can edit the same message.
+async function albumStatusMessage(albumId, chatId, replyTo) {
+    const redis = getRedis();
+    const key = `album:${albumId}`;
+    const claimed = await redis.set(`${key}:claim`, '1', { nx: true, ex: ALBUM_TTL_SECONDS });
+
+    if (claimed) {
+        const reply = await callTelegram('sendMessage', {
+            chat_id: chatId,
+            text: '⏳ **Album received:** Processing...',
+            reply_to_message_id: replyTo,
+            parse_mode: 'Markdown'
+        });
+        const messageId = reply?.result?.message_id || null;
+        if (messageId) {
+            await redis.hset(key, { messageId });
+            await redis.expire(key, ALBUM_TTL_SECONDS);
+        }
+        return messageId;
+    }
+
+    const deadline = Date.now() + ALBUM_STATUS_WAIT_MS;
+    while (Date.now() < deadline) {
+        const messageId = await redis.hget(key, 'messageId');
+        if (messageId) return Number(messageId);
+        await new Promise(r => setTimeout(r, 250));
+    }
+    return null;
+}
+
+// Counts one finished album item and rewrites the shared progress message
+async function recordAlbumItem(albumId, chatId, messageId, outcome) {
+    const redis = getRedis();
+    const key = `album:${albumId}`;
+    const tx = redis.multi();
+    tx.hincrby(key, outcome, 1);
+    tx.expire(key, ALBUM_TTL_SECONDS);
+    tx.hgetall(key);
+    const [, , counts] = await tx.exec();
+
+    if (!messageId) return;
+    const saved = Number(counts?.saved || 0);
+    const duplicates = Number(counts?.duplicates || 0);
+    const failed = Number(counts?.failed || 0);
+    const lines = [`📚 **Album:** ${saved} saved`];
+    if (duplicates) lines.push(`♻️ ${duplicates} already in gallery`);
+    if (failed) lines.push(`❌ ${failed} failed`);
+
+    await editStatus(chatId, messageId, lines.join('\n'));
+}
+
+// Tells the sender why an upload was refused; once per album rather than once per item
+async function notifyRejected(message, reason) {
+    const albumId = albumIdOf(message);
+    const notify = !albumId || await getRedis().set(`album:${albumId}:rejected`, '1', { nx: true, ex: ALBUM_TTL_SECONDS });
+    if (notify) {
+        await callTelegram('sendMessage', { chat_id: message.chat.id, text: reason, reply_to_message_id: message.message_id });
+    }
+}
+
+/**
+ * Acknowledges a received upload before it is queued and resolves to the id
+ * of the status message later edited with the outcome (albums share one).
+ * Null when Telegram could not be reached; ingest goes ahead regardless.
+ */
+async function sendReceipt(message) {
+    const albumId = albumIdOf(message);
+    if (albumId) {
+        return albumStatusMessage(albumId, message.chat.id, message.message_id).catch(err => {
+            console.error('Album status failed:', err.message);
+            return null;
+        });
+    }
+    const reply = await callTelegram('sendMessage', {
+        chat_id: message.chat.id,
+        text: '⏳ **Received:** Queued for processing...',
+        reply_to_message_id: message.message_id,
+        parse_mode: 'Markdown'
+    });
+    return reply?.result?.message_id || null;
+}
+
+// Per-step progress for a job's status message; album items would overwrite each other
+function progressReporter(job) {
+    return async step => {
+        if (!job.statusMessageId || job.albumId || !STEPS[step]) return;
+        await editStatus(job.message.chat.id, job.statusMessageId, STEPS[step]);
+    };
+}
+
+/**
+ * Edits a job's status message with the outcome of processIngest. Success is
+ * only reported here, once the media is stored. `mediaLink(url)` turns a
+ * stored URL into one the sender can open.
+ */
+async function reportIngest(outcome, { mediaLink = url => url } = {}) {
+    const { job, status, entry, error } = outcome;
+    const chatId = job.message.chat.id;
+    const messageId = job.statusMessageId;
+
+    if (job.albumId) {
+        const counter = { stored: 'saved', duplicate: 'duplicates', dead: 'failed' }[status];
+        if (counter) await recordAlbumItem(job.albumId, chatId, messageId, counter);
+        return;
+    }
+    if (!messageId) return;
+
+    if (status === 'stored') {
+        const elapsed = ((Date.now() - job.createdAt) / 1000).toFixed(1);
+        await editStatus(chatId, messageId,
+            `✅ **Success!**\n\n**User:** ${entry.uploadedBy}\n**Size:** ${entry.size}\n**Time:** ${elapsed}s\n\n🔗 [View Media](${mediaLink(entry.url)})`,
+            { disable_web_page_preview: false });
+    } else if (status === 'duplicate') {
+        await editStatus(chatId, messageId,
+            `♻️ **Already in gallery**\n\nFirst uploaded by ${entry.uploadedBy || 'someone'} on ${new Date(entry.timestamp).toDateString()}\n\n🔗 [View Original](${mediaLink(entry.url)})`);
+    } else if (status === 'retry') {
+        const wait = Math.max(1, Math.round((job.nextAttemptAt - Date.now()) / 60000));
+        await editStatus(chatId, messageId, `⚠️ **Attempt ${job.attempts} failed:** ${error.message}\nRetrying in about ${wait} min...`);
+    } else if (status === 'dead') {
+        await editStatus(chatId, messageId, `❌ **Upload failed:** ${error?.message || job.lastError}`);
+    }
+}
+
+module.exports = {
+    notifyRejected,
+    sendReceipt,
+    progressReporter,
+    reportIngest
+};
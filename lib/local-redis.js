@@ -0,0 +1,549 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A small, single-process stand-in for the Upstash Redis client.
+ *
+ * It implements the subset of commands the gallery uses, with the same call
+ * signatures and the same automatic JSON (de)serialisation as `@upstash/redis`,
+ * and persists everything to a JSON file. Commands run synchronously inside one
+ * process, so MULTI blocks are atomic. If another process rewrites the file
+ * (e.g. a migration script), it is reloaded before the next command.
+ */
+class LocalRedis {
+    constructor({ file } = {}) {
+        this.file = file || null;
+        this.data = new Map();
+        this.expiries = new Map();
+        this.loadedMtime = 0;
+        this.saveTimer = null;
+        this.load();
+
+        if (this.file) {
+            process.on('exit', () => this.flush());
+        }
+    }
+
+    // --- persistence ---
+
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) return;
+        try {
+            const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.data = new Map(Object.entries(raw.data || {}).map(([key, { type, value }]) => [key, revive(type, value)]));
+            this.expiries = new Map(Object.entries(raw.expiries || {}));
+            this.loadedMtime = fs.statSync(this.file).mtimeMs;
+        } catch (err) {
+            console.error(`Local Redis: could not read ${this.file}:`, err.message);
+        }
+    }
+
+    reloadIfChanged() {
+        if (!this.file || this.saveTimer || !fs.existsSync(this.file)) return;
+        if (fs.statSync(this.file).mtimeMs !== this.loadedMtime) this.load();
+    }
+
+    scheduleSave() {
+        if (!this.file || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), 50);
+        this.saveTimer.unref?.();
+    }
+
+    flush() {
+        if (!this.file) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const data = {};
+        for (const [key, value] of this.data) data[key] = { type: typeOf(value), value: serialize(value) };
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ data, expiries: Object.fromEntries(this.expiries) }));
+        fs.renameSync(tmp, this.file);
+        this.loadedMtime = fs.statSync(this.file).mtimeMs;
+    }
+
+    // --- command plumbing ---
+
+    run(name, args) {
+        const command = COMMANDS[name];
+        if (!command) throw new Error(`Local Redis: unsupported command ${name}`);
+        this.reloadIfChanged();
+        const result = command.fn.call(this, ...args);
+        if (command.write) this.scheduleSave();
+        return result;
+    }
+
+    lookup(key, type) {
+        const expiresAt = this.expiries.get(key);
+        if (expiresAt !== undefined && expiresAt <= Date.now()) {
+            this.data.delete(key);
+            this.expiries.delete(key);
+        }
+        const value = this.data.get(key);
+        if (value === undefined) return undefined;
+        if (type && typeOf(value) !== type) {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+        return value;
+    }
+
+    create(key, type) {
+        let value = this.lookup(key, type);
+        if (value === undefined) {
+            value = type === 'hash' || type === 'zset' ? new Map() : type === 'set' ? new Set() : [];
+            if (type === 'zset') value.zset = true;
+            this.data.set(key, value);
+        }
+        return value;
+    }
+
+    // Drop empty containers like Redis does
+    prune(key) {
+        const value = this.data.get(key);
+        if (value !== undefined && typeof value !== 'string' && sizeOf(value) === 0) {
+            this.data.delete(key);
+            this.expiries.delete(key);
+        }
+    }
+
+    multi() {
+        return new LocalPipeline(this);
+    }
+
+    pipeline() {
+        return new LocalPipeline(this);
+    }
+}
+
+class LocalPipeline {
+    constructor(client) {
+        this.client = client;
+        this.queue = [];
+    }
+
+    async exec() {
+        // Runs synchronously, so no other command can interleave
+        return this.queue.map(([name, args]) => this.client.run(name, args));
+    }
+}
+
+// --- command implementations (called with `this` bound to the client) ---
+
+const COMMANDS = {
+    get: { fn(key) { return decode(this.lookup(key, 'string')); } },
+    mget: { fn(...keys) { return keys.flat().map(key => decode(this.lookup(key, 'string'))); } },
+    set: {
+        write: true,
+        fn(key, value, opts = {}) {
+            const exists = this.lookup(key) !== undefined;
+            if ((opts.nx && exists) || (opts.xx && !exists)) return null;
+            this.data.set(key, encode(value));
+            this.expiries.delete(key);
+            if (opts.ex) this.expiries.set(key, Date.now() + opts.ex * 1000);
+            if (opts.px) this.expiries.set(key, Date.now() + opts.px);
+            return 'OK';
+        }
+    },
+    del: {
+        write: true,
+        fn(...keys) {
+            let removed = 0;
+            for (const key of keys.flat()) {
+                if (this.lookup(key) !== undefined) removed++;
+                this.data.delete(key);
+                this.expiries.delete(key);
+            }
+            return removed;
+        }
+    },
+    exists: { fn(...keys) { return keys.flat().filter(key => this.lookup(key) !== undefined).length; } },
+    expire: {
+        write: true,
+        fn(key, seconds) {
+            if (this.lookup(key) === undefined) return 0;
+            this.expiries.set(key, Date.now() + seconds * 1000);
+            return 1;
+        }
+    },
+    ttl: {
+        fn(key) {
+            if (this.lookup(key) === undefined) return -2;
+            const expiresAt = this.expiries.get(key);
+            return expiresAt === undefined ? -1 : Math.ceil((expiresAt - Date.now()) / 1000);
+        }
+    },
+    rename: {
+        write: true,
+        fn(key, newKey) {
+            const value = this.lookup(key);
+            if (value === undefined) throw new Error('ERR no such key');
+            this.data.delete(key);
+            this.data.set(newKey, value);
+            const expiresAt = this.expiries.get(key);
+            this.expiries.delete(key);
+            this.expiries.delete(newKey);
+            if (expiresAt !== undefined) this.expiries.set(newKey, expiresAt);
+            return 'OK';
+        }
+    },
+    keys: {
+        fn(pattern) {
+            const regex = new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+            return [...this.data.keys()].filter(key => this.lookup(key) !== undefined && regex.test(key));
+        }
+    },
+    incr: { write: true, fn(key) { return COMMANDS.incrby.fn.call(this, key, 1); } },
+    decr: { write: true, fn(key) { return COMMANDS.incrby.fn.call(this, key, -1); } },
+    incrby: {
+        write: true,
+        fn(key, amount) {
+            const current = Number(this.lookup(key, 'string') ?? 0);
+            if (!Number.isInteger(current)) throw new Error('ERR value is not an integer or out of range');
+            const next = current + Number(amount);
+            this.data.set(key, String(next));
+            return next;
+        }
+    },
+
+    // hashes
+    hset: {
+        write: true,
+        fn(key, fields) {
+            const hash = this.create(key, 'hash');
+            let added = 0;
+            for (const [field, value] of Object.entries(fields)) {
+                if (!hash.has(field)) added++;
+                hash.set(field, encode(value));
+            }
+            return added;
+        }
+    },
+    hget: { fn(key, field) { return decode(this.lookup(key, 'hash')?.get(field)); } },
+    hmget: {
+        fn(key, ...fields) {
+            const hash = this.lookup(key, 'hash');
+            if (!hash) return null;
+            return Object.fromEntries(fields.flat().map(field => [field, decode(hash.get(field)) ?? null]));
+        }
+    },
+    hdel: {
+        write: true,
+        fn(key, ...fields) {
+            const hash = this.lookup(key, 'hash');
+            if (!hash) return 0;
+            const removed = fields.flat().filter(field => hash.delete(field)).length;
+            this.prune(key);
+            return removed;
+        }
+    },
+    hgetall: {
+        fn(key) {
+            const hash = this.lookup(key, 'hash');
+            if (!hash || hash.size === 0) return null;
+            return Object.fromEntries([...hash].map(([field, value]) => [field, decode(value)]));
+        }
+    },
+    hincrby: {
+        write: true,
+        fn(key, field, amount) {
+            const hash = this.create(key, 'hash');
+            const next = Number(hash.get(field) ?? 0) + Number(amount);
+            hash.set(field, String(next));
+            return next;
+        }
+    },
+    hlen: { fn(key) { return this.lookup(key, 'hash')?.size || 0; } },
+
+    // lists
+    lpush: {
+        write: true,
+        fn(key, ...values) {
+            const list = this.create(key, 'list');
+            for (const value of values) list.unshift(encode(value));
+            return list.length;
+        }
+    },
+    rpush: {
+        write: true,
+        fn(key, ...values) {
+            const list = this.create(key, 'list');
+            for (const value of values) list.push(encode(value));
+            return list.length;
+        }
+    },
+    lpop: {
+        write: true,
+        fn(key) {
+            const list = this.lookup(key, 'list');
+            const value = list?.shift();
+            this.prune(key);
+            return decode(value);
+        }
+    },
+    rpop: {
+        write: true,
+        fn(key) {
+            const list = this.lookup(key, 'list');
+            const value = list?.pop();
+            this.prune(key);
+            return decode(value);
+        }
+    },
+    llen: { fn(key) { return this.lookup(key, 'list')?.length || 0; } },
+    lrange: {
+        fn(key, start, stop) {
+            const list = this.lookup(key, 'list') || [];
+            const [from, to] = normalizeRange(list.length, start, stop);
+            return list.slice(from, to + 1).map(decode);
+        }
+    },
+    ltrim: {
+        write: true,
+        fn(key, start, stop) {
+            const list = this.lookup(key, 'list');
+            if (!list) return 'OK';
+            const [from, to] = normalizeRange(list.length, start, stop);
+            this.data.set(key, list.slice(from, to + 1));
+            this.prune(key);
+            return 'OK';
+        }
+    },
+    lrem: {
+        write: true,
+        fn(key, count, value) {
+            const list = this.lookup(key, 'list');
+            if (!list) return 0;
+            const target = encode(value);
+            let removed = 0;
+            const limit = count === 0 ? Infinity : Math.abs(count);
+            const indexes = count < 0 ? [...list.keys()].reverse() : [...list.keys()];
+            const drop = new Set();
+            for (const index of indexes) {
+                if (removed >= limit) break;
+                if (list[index] === target) {
+                    drop.add(index);
+                    removed++;
+                }
+            }
+            this.data.set(key, list.filter((_, index) => !drop.has(index)));
+            this.prune(key);
+            return removed;
+        }
+    },
+
+    // sets
+    sadd: {
+        write: true,
+        fn(key, ...members) {
+            const set = this.create(key, 'set');
+            let added = 0;
+            for (const member of members.flat()) {
+                const encoded = encode(member);
+                if (!set.has(encoded)) {
+                    set.add(encoded);
+                    added++;
+                }
+            }
+            return added;
+        }
+    },
+    srem: {
+        write: true,
+        fn(key, ...members) {
+            const set = this.lookup(key, 'set');
+            if (!set) return 0;
+            const removed = members.flat().filter(member => set.delete(encode(member))).length;
+            this.prune(key);
+            return removed;
+        }
+    },
+    smembers: { fn(key) { return [...(this.lookup(key, 'set') || [])].map(decode); } },
+    sismember: { fn(key, member) { return this.lookup(key, 'set')?.has(encode(member)) ? 1 : 0; } },
+    scard: { fn(key) { return this.lookup(key, 'set')?.size || 0; } },
+
+    // sorted sets
+    zadd: {
+        write: true,
+        fn(key, ...args) {
+            const opts = args[0] && !('member' in args[0]) ? args.shift() : {};
+            const zset = this.create(key, 'zset');
+            let changed = 0;
+            for (const { score, member } of args) {
+                const encoded = encode(member);
+                const exists = zset.has(encoded);
+                if ((opts.nx && exists) || (opts.xx && !exists)) continue;
+                if (opts.incr) {
+                    zset.set(encoded, (zset.get(encoded) || 0) + Number(score));
+                    return zset.get(encoded);
+                }
+                if (!exists || (opts.ch && zset.get(encoded) !== Number(score))) changed++;
+                zset.set(encoded, Number(score));
+            }
+            this.prune(key);
+            return changed;
+        }
+    },
+    zincrby: {
+        write: true,
+        fn(key, amount, member) {
+            const zset = this.create(key, 'zset');
+            const encoded = encode(member);
+            const next = (zset.get(encoded) || 0) + Number(amount);
+            zset.set(encoded, next);
+            return next;
+        }
+    },
+    zrem: {
+        write: true,
+        fn(key, ...members) {
+            const zset = this.lookup(key, 'zset');
+            if (!zset) return 0;
+            const removed = members.flat().filter(member => zset.delete(encode(member))).length;
+            this.prune(key);
+            return removed;
+        }
+    },
+    zscore: {
+        fn(key, member) {
+            const score = this.lookup(key, 'zset')?.get(encode(member));
+            return score === undefined ? null : score;
+        }
+    },
+    zcard: { fn(key) { return this.lookup(key, 'zset')?.size || 0; } },
+    zcount: {
+        fn(key, min, max) {
+            const [low, lowExclusive] = parseScore(min);
+            const [high, highExclusive] = parseScore(max);
+            return sortedEntries(this.lookup(key, 'zset'))
+                .filter(([, score]) => inScoreRange(score, low, lowExclusive, high, highExclusive)).length;
+        }
+    },
+    zrange: {
+        fn(key, min, max, opts = {}) {
+            let entries = sortedEntries(this.lookup(key, 'zset'));
+
+            if (opts.byScore) {
+                // With REV the bounds arrive as (max, min), exactly like Redis
+                const [lowArg, highArg] = opts.rev ? [max, min] : [min, max];
+                const [low, lowExclusive] = parseScore(lowArg);
+                const [high, highExclusive] = parseScore(highArg);
+                entries = entries.filter(([, score]) => inScoreRange(score, low, lowExclusive, high, highExclusive));
+                if (opts.rev) entries.reverse();
+                if (opts.offset !== undefined || opts.count !== undefined) {
+                    const offset = opts.offset || 0;
+                    entries = entries.slice(offset, opts.count === undefined || opts.count < 0 ? undefined : offset + opts.count);
+                }
+            } else {
+                if (opts.rev) entries.reverse();
+                const [from, to] = normalizeRange(entries.length, min, max);
+                entries = entries.slice(from, to + 1);
+            }
+
+            return opts.withScores
+                ? entries.flatMap(([member, score]) => [decode(member), score])
+                : entries.map(([member]) => decode(member));
+        }
+    },
+    zremrangebyscore: {
+        write: true,
+        fn(key, min, max) {
+            const zset = this.lookup(key, 'zset');
+            if (!zset) return 0;
+            const [low, lowExclusive] = parseScore(min);
+            const [high, highExclusive] = parseScore(max);
+            let removed = 0;
+            for (const [member, score] of [...zset]) {
+                if (inScoreRange(score, low, lowExclusive, high, highExclusive)) {
+                    zset.delete(member);
+                    removed++;
+                }
+            }
+            this.prune(key);
+            return removed;
+        }
+    }
+};
+
+for (const name of Object.keys(COMMANDS)) {
+    LocalRedis.prototype[name] = async function (...args) {
+        return this.run(name, args);
+    };
+    LocalPipeline.prototype[name] = function (...args) {
+        this.queue.push([name, args]);
+        return this;
+    };
+}
+
+// --- helpers ---
+
+// Mirrors @upstash/redis: non-strings are stored as JSON, reads parse JSON when possible
+function encode(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function decode(value) {
+    if (value === undefined || value === null) return null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+function typeOf(value) {
+    if (typeof value === 'string') return 'string';
+    if (Array.isArray(value)) return 'list';
+    if (value instanceof Set) return 'set';
+    // Hashes and sorted sets are both Maps; sorted sets only hold numeric values
+    return value.zset ? 'zset' : 'hash';
+}
+
+function sizeOf(value) {
+    return Array.isArray(value) ? value.length : value.size;
+}
+
+function serialize(value) {
+    if (typeof value === 'string' || Array.isArray(value)) return value;
+    if (value instanceof Set) return [...value];
+    return Object.fromEntries(value);
+}
+
+function revive(type, value) {
+    if (type === 'set') return new Set(value);
+    if (type === 'hash' || type === 'zset') {
+        const map = new Map(Object.entries(value));
+        if (type === 'zset') map.zset = true;
+        return map;
+    }
+    return value;
+}
+
+function normalizeRange(length, start, stop) {
+    let from = Number(start);
+    let to = Number(stop);
+    if (from < 0) from = Math.max(length + from, 0);
+    if (to < 0) to = length + to;
+    return [from, Math.min(to, length - 1)];
+}
+
+function parseScore(value) {
+    if (value === '-inf') return [-Infinity, false];
+    if (value === '+inf' || value === 'inf') return [Infinity, false];
+    if (typeof value === 'string' && value.startsWith('(')) return [Number(value.slice(1)), true];
+    return [Number(value), false];
+}
+
+function inScoreRange(score, low, lowExclusive, high, highExclusive) {
+    if (lowExclusive ? score <= low : score < low) return false;
+    if (highExclusive ? score >= high : score > high) return false;
+    return true;
+}
+
+// Ascending by score, then by member, like Redis
+function sortedEntries(zset) {
+    if (!zset) return [];
+    return [...zset].sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || (a < b ? -1 : a > b ? 1 : 0));
+}
+
+module.exports = { LocalRedis };
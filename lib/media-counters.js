@@ -0,0 +1,149 @@
+// Running totals behind the stats endpoints, updated in the same transactions
+// that add entries to and remove them from the listings (lib/media-store.js),
+// so stats never have to scan the whole gallery.
+//
+// Key layout:
+//   stats:totals            hash: files, bytes, imageFiles, imageBytes, videoFiles, videoBytes,
+//                           trashFiles, trashBytes, builtAt (set by rebuildCounters)
+//   stats:uploader:files    hash of uploader -> live entries
+//   stats:uploader:bytes    hash of uploader -> live bytes
+//   stats:day:files         hash of upload day (YYYY-MM-DD, UTC) -> live entries
+//   stats:day:bytes         hash of upload day -> live bytes
+//   stats:largest           sorted set of live ids scored by size in bytes
+const KEYS = {
+    totals: 'stats:totals',
+    uploaderFiles: 'stats:uploader:files',
+    uploaderBytes: 'stats:uploader:bytes',
+    dayFiles: 'stats:day:files',
+    dayBytes: 'stats:day:bytes',
+    largest: 'stats:largest'
+};
+
+const UNKNOWN_UPLOADER = 'unknown';
+const SIZE_UNITS = { B: 1, BYTES: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+const ZADD_BATCH = 500;
+
+// Entries written before `sizeBytes` existed only carry the formatted size
+function entryBytes(entry) {
+    if (typeof entry.sizeBytes === 'number') return entry.sizeBytes;
+    const match = String(entry.size || '').match(/([\d.]+)\s*(BYTES|B|KB|MB|GB)\b/i);
+    return match ? Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2].toUpperCase()]) : 0;
+}
+
+function uploadDay(entry) {
+    return new Date(entry.timestamp).toISOString().slice(0, 10);
+}
+
+function typeOf(entry) {
+    return entry.type === 'video' ? 'video' : 'image';
+}
+
+// `sign` is 1 when an entry joins the listings and -1 when it leaves them
+function countListed(tx, entry, sign) {
+    const bytes = entryBytes(entry);
+    const uploader = entry.uploadedBy || UNKNOWN_UPLOADER;
+    const day = uploadDay(entry);
+    const type = typeOf(entry);
+
+    tx.hincrby(KEYS.totals, 'files', sign);
+    tx.hincrby(KEYS.totals, 'bytes', sign * bytes);
+    tx.hincrby(KEYS.totals, `${type}Files`, sign);
+    tx.hincrby(KEYS.totals, `${type}Bytes`, sign * bytes);
+    tx.hincrby(KEYS.uploaderFiles, uploader, sign);
+    tx.hincrby(KEYS.uploaderBytes, uploader, sign * bytes);
+    tx.hincrby(KEYS.dayFiles, day, sign);
+    tx.hincrby(KEYS.dayBytes, day, sign * bytes);
+    if (sign > 0) tx.zadd(KEYS.largest, { score: bytes, member: entry.id });
+    else tx.zrem(KEYS.largest, entry.id);
+}
+
+// Trashed files still take up storage until they are purged
+function countTrashed(tx, entry, sign) {
+    tx.hincrby(KEYS.totals, 'trashFiles', sign);
+    tx.hincrby(KEYS.totals, 'trashBytes', sign * entryBytes(entry));
+}
+
+function increment(hash, field, amount) {
+    hash[field] = (hash[field] || 0) + amount;
+}
+
+/**
+ * Recomputes every counter from the live and trashed entries, replacing what
+ * was there. Used the first time stats are read and by scripts/rebuild-stats.js.
+ */
+async function rebuildCounters(redis, listed, trashed) {
+    const totals = { files: 0, bytes: 0, imageFiles: 0, imageBytes: 0, videoFiles: 0, videoBytes: 0, trashFiles: 0, trashBytes: 0 };
+    const uploaderFiles = {};
+    const uploaderBytes = {};
+    const dayFiles = {};
+    const dayBytes = {};
+
+    for (const entry of listed) {
+        const bytes = entryBytes(entry);
+        const uploader = entry.uploadedBy || UNKNOWN_UPLOADER;
+        const type = typeOf(entry);
+        totals.files++;
+        totals.bytes += bytes;
+        totals[`${type}Files`]++;
+        totals[`${type}Bytes`] += bytes;
+        increment(uploaderFiles, uploader, 1);
+        increment(uploaderBytes, uploader, bytes);
+        increment(dayFiles, uploadDay(entry), 1);
+        increment(dayBytes, uploadDay(entry), bytes);
+    }
+    for (const entry of trashed) {
+        totals.trashFiles++;
+        totals.trashBytes += entryBytes(entry);
+    }
+
+    const tx = redis.multi();
+    tx.del(...Object.values(KEYS));
+    tx.hset(KEYS.totals, { ...totals, builtAt: Date.now() });
+    const hashes = [[KEYS.uploaderFiles, uploaderFiles], [KEYS.uploaderBytes, uploaderBytes], [KEYS.dayFiles, dayFiles], [KEYS.dayBytes, dayBytes]];
+    for (const [key, values] of hashes) {
+        if (Object.keys(values).length) tx.hset(key, values);
+    }
+    for (let i = 0; i < listed.length; i += ZADD_BATCH) {
+        const members = listed.slice(i, i + ZADD_BATCH).map(entry => ({ score: entryBytes(entry), member: entry.id }));
+        tx.zadd(KEYS.largest, ...members);
+    }
+    await tx.exec();
+}
+
+function numbers(hash) {
+    const result = {};
+    for (const [field, value] of Object.entries(hash || {})) result[field] = Number(value);
+    return result;
+}
+
+/**
+ * Current counters as plain numbers, plus the ids of the `largest` biggest
+ * entries. `totals` is null until the counters have been built.
+ */
+async function readCounters(redis, { largest = 10 } = {}) {
+    const [totals, uploaderFiles, uploaderBytes, dayFiles, dayBytes, largestIds] = await Promise.all([
+        redis.hgetall(KEYS.totals),
+        redis.hgetall(KEYS.uploaderFiles),
+        redis.hgetall(KEYS.uploaderBytes),
+        redis.hgetall(KEYS.dayFiles),
+        redis.hgetall(KEYS.dayBytes),
+        redis.zrange(KEYS.largest, 0, largest - 1, { rev: true })
+    ]);
+    return {
+        totals: totals?.builtAt ? numbers(totals) : null,
+        uploaderFiles: numbers(uploaderFiles),
+        uploaderBytes: numbers(uploaderBytes),
+        dayFiles: numbers(dayFiles),
+        dayBytes: numbers(dayBytes),
+        largestIds: largestIds.map(String)
+    };
+}
+
+module.exports = {
+    KEYS,
+    entryBytes,
+    countListed,
+    countTrashed,
+    rebuildCounters,
+    readCounters
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { FFMPEG, runFfmpeg, withFile } = require('./derivatives');
+const { parseExif, stripGps } = require('./exif');
+const { extensionFor } = require('./mime');
+
+// ffprobe ships next to ffmpeg; FFPROBE_PATH overrides
+const FFPROBE = process.env.FFPROBE_PATH
+    || (path.dirname(FFMPEG) !== '.' ? path.join(path.dirname(FFMPEG), 'ffprobe') : 'ffprobe');
+
+function gpsStripEnabled() {
+    return ['1', 'true', 'yes'].includes(String(process.env.STRIP_GPS || '').toLowerCase());
+}
+
+// "+37.7749-122.4194+010.000/" (QuickTime/MP4 location tags) -> { lat, lon, alt }
+function parseIso6709(value) {
+    const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(value || '');
+    if (!match) return null;
+    const gps = { lat: Number(match[1]), lon: Number(match[2]) };
+    if (Math.abs(gps.lat) > 90 || Math.abs(gps.lon) > 180) return null;
+    if (match[3]) gps.alt = Math.round(Number(match[3]));
+    return gps;
+}
+
+// Day the photo was taken, straight from its wall-clock capture time
+function captureDate(capturedAt) {
+    return /^\d{4}-\d{2}-\d{2}/.exec(capturedAt || '')?.[0] || null;
+}
+
+async function imageInfo(input) {
+    const meta = await sharp(input, { failOn: 'none' }).metadata();
+    // Orientations 5-8 are rotated by 90°, so the displayed size is swapped
+    const rotated = meta.orientation >= 5;
+    return {
+        width: rotated ? meta.height : meta.width,
+        height: rotated ? meta.width : meta.height,
+        ...(meta.exif ? parseExif(meta.exif) : {})
+    };
+}
+
+async function videoInfo(filePath) {
+    const output = await runFfmpeg(['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath], FFPROBE);
+    const probe = JSON.parse(output.toString());
+    const video = (probe.streams || []).find(stream => stream.codec_type === 'video') || {};
+    const tags = probe.format?.tags || {};
+
+    const info = {};
+    if (video.width && video.height) {
+        const rotation = Math.abs(Number(video.tags?.rotate || video.side_data_list?.find(d => d.rotation !== undefined)?.rotation || 0));
+        Object.assign(info, rotation === 90 || rotation === 270
+            ? { width: video.height, height: video.width }
+            : { width: video.width, height: video.height });
+    }
+    const duration = Number(probe.format?.duration || video.duration);
+    if (duration > 0) info.duration = Math.round(duration * 10) / 10;
+
+    const created = tags['com.apple.quicktime.creationdate'] || tags.creation_time;
+    if (created && !Number.isNaN(Date.parse(created)) && !created.startsWith('1970')) info.capturedAt = created;
+
+    const camera = tags['com.apple.quicktime.model'] || tags.model;
+    if (camera) info.camera = camera;
+
+    const gps = parseIso6709(tags['com.apple.quicktime.location.ISO6709'] || tags.location);
+    if (gps) info.gps = gps;
+    return info;
+}
+
+/**
+ * Reads what the file says about itself: `{ width, height, capturedAt,
+ * captureDate, camera, gps: { lat, lon, alt? }, duration }` (only the fields
+ * found). Images use their EXIF block, videos ffprobe. `source` is
+ * `{ buffer }` or `{ filePath }`. Failures are logged and yield `{}` so ingest
+ * never fails on them.
+ */
+async function readMediaInfo(type, source) {
+    try {
+        const info = type === 'video'
+            ? await withFile(source, videoInfo)
+            : await imageInfo(source.buffer || source.filePath);
+        const date = captureDate(info.capturedAt);
+        return date ? { ...info, captureDate: date } : info;
+    } catch (err) {
+        console.error(`Reading media info failed: ${err.message}`);
+        return {};
+    }
+}
+
+// Remuxes into a temp file the caller streams from and removes
+async function stripVideoLocation(filePath, mimeType) {
+    const out = path.join(os.tmpdir(), `nolocation-${process.pid}-${Date.now()}${extensionFor(mimeType, path.extname(filePath))}`);
+    try {
+        await runFfmpeg(['-v', 'error', '-y', '-i', filePath, '-map', '0', '-c', 'copy', '-map_metadata', '-1', out]);
+        return { filePath: out };
+    } catch (err) {
+        fs.rmSync(out, { force: true });
+        throw err;
+    }
+}
+
+/**
+ * With STRIP_GPS set, returns a copy of a geotagged file without its location,
+ * to be served instead of the original. Images keep every other byte (only the
+ * EXIF GPS block is blanked); videos are remuxed by ffmpeg without container
+ * metadata. Resolves to `{ buffer }` for images and `{ filePath }` of a temp
+ * file for videos, which the caller removes once stored; or to null when
+ * nothing needs stripping or stripping failed. The coordinates stay in the
+ * entry either way so the map keeps working.
+ */
+async function stripLocation(type, source, { mimeType, gps } = {}) {
+    if (!gpsStripEnabled() || !gps) return null;
+    try {
+        if (type === 'video') return await withFile(source, filePath => stripVideoLocation(filePath, mimeType));
+        const buffer = source.buffer || fs.readFileSync(source.filePath);
+        const { exif } = await sharp(buffer, { failOn: 'none' }).metadata();
+        const clean = exif ? stripGps(buffer, exif) : null;
+        return clean && { buffer: clean };
+    } catch (err) {
+        console.error(`Stripping location failed: ${err.message}`);
+        return null;
+    }
+}
+
+// "July 14, 2023" for grouping; the capture day when known, else the upload day
+function displayDate(entry) {
+    const options = { month: 'long', day: 'numeric', year: 'numeric' };
+    if (entry.captureDate) return new Date(`${entry.captureDate}T00:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+    return new Date(entry.timestamp).toLocaleDateString('en-US', options);
+}
+
+// History, trash and event payloads carry the display date the gallery groups by
+function withDate(entry) {
+    return { ...entry, date: displayDate(entry) };
+}
+
+/**
+ * An entry as a reader may see it. With STRIP_GPS set the served files carry
+ * no location, and neither does the JSON for anyone without a session (public
+ * history, share links, live updates); signed-in users keep it for the map.
+ */
+function forReader(item, session) {
+    if (session || !item?.gps || !gpsStripEnabled()) return item;
+    const { gps, ...rest } = item;
+    return rest;
+}
+
+module.exports = {
+    FFPROBE,
+    gpsStripEnabled,
+    readMediaInfo,
+    stripLocation,
+    displayDate,
+    withDate,
+    forReader
+};
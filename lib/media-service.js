@@ -0,0 +1,108 @@
+const fs = require('fs');
+const { addMedia, createMediaId, findMediaByHash } = require('./media-store');
+const { hashBuffer, hashFile } = require('./dedupe');
+const { buildDerivatives, derivativeUrls, storageSaver } = require('./derivatives');
+const { resolveMimeType, resolveFileMimeType, mediaTypeFor, extensionFor } = require('./mime');
+const { captionMetadata } = require('./metadata');
+const { readMediaInfo, stripLocation } = require('./media-info');
+const { formatBytes } = require('./stats');
+const { removeStored } = require('./storage');
+const { queueTranscode, variantUrls } = require('./transcode');
+const { perceptualHash } = require('./similar');
+
+// Stored names keep the sender's file name but always end in the extension of
+// the detected type; the sender's own extension is never kept
+function storedFileName(originalName, mimeType) {
+    const base = String(originalName || 'file').split('/').pop().replace(/[^\w.-]/g, '_');
+    const stem = base.replace(/\.[^.]+$/, '') || 'file';
+    return `${Date.now()}-${stem}${extensionFor(mimeType)}`;
+}
+
+/**
+ * Stores one uploaded file and indexes it; the single ingest path behind the
+ * Telegram webhook, the node bot, browser uploads and chat export imports.
+ * `input` is the file's bytes, or `{ filePath }` for a file on disk that is
+ * streamed instead of read into memory (large browser uploads).
+ *
+ * The content type is detected from the bytes, identical files are not stored
+ * twice, and the original (without its location when STRIP_GPS is set) and its
+ * derivatives go to `options.storage` (lib/storage.js). `options` also carries
+ * the entry's provenance: `fileName`, `declaredType`, `uploadedBy`, `source`,
+ * `telegram`, `caption`, `albumId`, `timestamp` (when it was originally sent,
+ * defaults to now), plus `fallbackPoster()` for videos and an
+ * `onStep(step)` progress callback ('upload', 'derivatives', 'save').
+ *
+ * Resolves to `{ entry, duplicate }`; throws for unsupported content.
+ */
+async function ingestMedia(input, options) {
+    const { storage, fileName, declaredType, onStep = async () => {} } = options;
+    const source = Buffer.isBuffer(input) ? { buffer: input } : input;
+
+    const mimeType = source.buffer ? resolveMimeType(source.buffer) : resolveFileMimeType(source.filePath);
+    const type = mediaTypeFor(mimeType);
+    // No retry turns the bytes into a photo or video
+    if (!type) throw Object.assign(new Error(`Unsupported file type: ${declaredType || 'unrecognised content'}`), { permanent: true });
+
+    const sha256 = source.buffer ? hashBuffer(source.buffer) : await hashFile(source.filePath);
+    const original = await findMediaByHash(sha256);
+    if (original) return { entry: original, duplicate: true };
+
+    await onStep('upload');
+    // Capture time, camera, GPS and dimensions from the file itself
+    const info = await readMediaInfo(type, source);
+    // The hash above is of the original, so forwarded copies still match
+    const stripped = await stripLocation(type, source, { mimeType, gps: info.gps });
+    const stored = stripped || source;
+    const filename = storedFileName(fileName, mimeType);
+    let url, sizeBytes;
+    try {
+        sizeBytes = stored.buffer ? stored.buffer.length : fs.statSync(stored.filePath).size;
+        const body = stored.buffer || fs.createReadStream(stored.filePath);
+        url = await storage.put(`gallery/${filename}`, body, { contentType: mimeType, contentLength: sizeBytes });
+    } finally {
+        // A remuxed video without its location is a temp file
+        if (stripped?.filePath) fs.rmSync(stripped.filePath, { force: true });
+    }
+
+    await onStep('derivatives');
+    const id = createMediaId();
+    const fallbackPoster = type === 'video' && options.fallbackPoster ? await options.fallbackPoster() : null;
+    const derivatives = await buildDerivatives({ id, type, filename }, { ...source, fallbackPoster }, storageSaver(storage));
+    // For the similar photos review (lib/similar.js)
+    const phash = type === 'image' ? await perceptualHash(source.buffer || source.filePath) : null;
+
+    await onStep('save');
+    const entry = await addMedia({
+        id,
+        url,
+        filename,
+        type,
+        mimeType,
+        source: options.source,
+        timestamp: options.timestamp || Date.now(),
+        size: formatBytes(sizeBytes),
+        sizeBytes,
+        sha256,
+        uploadedBy: options.uploadedBy || null,
+        telegram: options.telegram,
+        ...captionMetadata(options.caption),
+        ...info,
+        ...(options.albumId && { albumId: options.albumId }),
+        ...(phash && { phash }),
+        ...derivatives
+    });
+    // Web-safe and adaptive versions are made later by the transcode worker (TRANSCODE_VIDEOS)
+    const queued = type === 'video' ? await queueTranscode(entry.id) : null;
+    return { entry: queued || entry, duplicate: false };
+}
+
+// Deletes an entry's original, derivatives and transcoded videos from whichever stores hold them
+function deleteMediaFiles(entry) {
+    return removeStored([entry.url, ...derivativeUrls(entry), ...variantUrls(entry.variants)]);
+}
+
+module.exports = {
+    storedFileName,
+    ingestMedia,
+    deleteMediaFiles
+};
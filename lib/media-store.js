@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const { getRedis } = require('./redis');
+const { matchesFilters, encodeCursor, isAfterCursor } = require('./query');
+const { countListed, countTrashed } = require('./media-counters');
+
+// Key layout:
+//   media:item:<id>               JSON media entry
+//   media:idx:time                sorted set of ids scored by timestamp
+//   media:idx:type:<type>         same, per media type
+//   media:idx:uploader:<name>     same, per uploader (lowercased)
+//   media:idx:album:<albumId>     same, per Telegram album (media group)
+//   media:idx:tag:<tag>           same, per tag
+//   media:idx:geo                 same, for entries with GPS coordinates (map view)
+//   media:tags                    sorted set of tags scored by how many entries carry them
+//   media:url                     hash of url -> id
+//   media:hash                    hash of sha256 content hash -> id (deduplication)
+//   media:telegram                hash of "<chatId>:<messageId>" -> id, for the upload and the bot's reply
+//   media:trash                   sorted set of trashed ids scored by deletedAt
+//
+// Trashed entries keep their item and lookup hashes (url, hash, telegram) but
+// leave the listing indexes, so history, tags and stats no longer see them.
+// Stats counters (lib/media-counters.js) follow the listings in the same transactions.
+const KEYS = {
+    item: id => `media:item:${id}`,
+    byTime: 'media:idx:time',
+    byType: type => `media:idx:type:${type}`,
+    byUploader: uploader => `media:idx:uploader:${String(uploader).toLowerCase()}`,
+    byAlbum: albumId => `media:idx:album:${albumId}`,
+    byTag: tag => `media:idx:tag:${tag}`,
+    byGeo: 'media:idx:geo',
+    tagCounts: 'media:tags',
+    byUrl: 'media:url',
+    byHash: 'media:hash',
+    byTelegram: 'media:telegram',
+    trash: 'media:trash'
+};
+
+// The pre-index storage: one Redis list of JSON entries (see scripts/migrate-media-history.js)
+const LEGACY_HISTORY_KEY = 'media_history';
+
+const SCAN_BATCH = 200;
+
+function createMediaId() {
+    return crypto.randomUUID();
+}
+
+function parseEntry(raw) {
+    if (!raw) return null;
+    try {
+        return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (parseError) {
+        console.error('Error parsing media entry:', parseError.message);
+        return null;
+    }
+}
+
+function indexKeys(entry) {
+    const keys = [KEYS.byTime];
+    if (entry.type) keys.push(KEYS.byType(entry.type));
+    if (entry.uploadedBy) keys.push(KEYS.byUploader(entry.uploadedBy));
+    if (entry.albumId) keys.push(KEYS.byAlbum(entry.albumId));
+    for (const tag of entry.tags || []) keys.push(KEYS.byTag(tag));
+    if (entry.gps) keys.push(KEYS.byGeo);
+    return keys;
+}
+
+// Telegram messages that identify an entry: the upload itself and the bot's status reply
+function telegramKeys(entry) {
+    const { chatId, messageId, replyMessageId } = entry.telegram || {};
+    if (!chatId) return [];
+    return [messageId, replyMessageId].filter(Boolean).map(id => `${chatId}:${id}`);
+}
+
+function addToListings(tx, entry) {
+    for (const key of indexKeys(entry)) tx.zadd(key, { score: entry.timestamp, member: entry.id });
+    for (const tag of entry.tags || []) tx.zincrby(KEYS.tagCounts, 1, tag);
+    countListed(tx, entry, 1);
+}
+
+function removeFromListings(tx, entry) {
+    for (const key of indexKeys(entry)) tx.zrem(key, entry.id);
+    if (entry.tags?.length) {
+        for (const tag of entry.tags) tx.zincrby(KEYS.tagCounts, -1, tag);
+        tx.zremrangebyscore(KEYS.tagCounts, '-inf', 0);
+    }
+    countListed(tx, entry, -1);
+}
+
+function addToIndexes(tx, entry) {
+    if (!entry.deletedAt) addToListings(tx, entry);
+    if (entry.url) tx.hset(KEYS.byUrl, { [entry.url]: entry.id });
+    if (entry.sha256) tx.hset(KEYS.byHash, { [entry.sha256]: entry.id });
+    for (const key of telegramKeys(entry)) tx.hset(KEYS.byTelegram, { [key]: entry.id });
+}
+
+function removeFromIndexes(tx, entry) {
+    if (!entry.deletedAt) removeFromListings(tx, entry);
+    if (entry.url) tx.hdel(KEYS.byUrl, entry.url);
+    if (entry.sha256) tx.hdel(KEYS.byHash, entry.sha256);
+    for (const key of telegramKeys(entry)) tx.hdel(KEYS.byTelegram, key);
+}
+
+/**
+ * Stores a new media entry under its own id and indexes it.
+ * Assigns `id` and `timestamp` when missing and returns the stored entry.
+ */
+async function addMedia(entry) {
+    const stored = {
+        ...entry,
+        id: entry.id || createMediaId(),
+        timestamp: Math.round(entry.timestamp || Date.now())
+    };
+
+    const tx = getRedis().multi();
+    tx.set(KEYS.item(stored.id), JSON.stringify(stored));
+    addToIndexes(tx, stored);
+    await tx.exec();
+
+    return stored;
+}
+
+// Lookups skip trashed entries unless `includeTrashed` is set
+function visible(entry, includeTrashed) {
+    return entry && (includeTrashed || !entry.deletedAt) ? entry : null;
+}
+
+async function getMedia(id, { includeTrashed = false } = {}) {
+    if (!id) return null;
+    return visible(parseEntry(await getRedis().get(KEYS.item(id))), includeTrashed);
+}
+
+// Fetches several entries at once, preserving order; missing ids are dropped
+async function getMediaMany(ids, { includeTrashed = false } = {}) {
+    if (ids.length === 0) return [];
+    const raw = await getRedis().mget(...ids.map(KEYS.item));
+    return raw.map(parseEntry).filter(entry => visible(entry, includeTrashed));
+}
+
+async function findMediaByUrl(url, options) {
+    if (!url) return null;
+    const id = await getRedis().hget(KEYS.byUrl, url);
+    return id ? getMedia(String(id), options) : null;
+}
+
+// Ids of the entries stored at `urls`, in the same order; null where no entry has the URL
+async function findMediaIdsByUrl(urls) {
+    if (urls.length === 0) return [];
+    const ids = await getRedis().hmget(KEYS.byUrl, ...urls) || {};
+    return urls.map(url => (ids[url] ? String(ids[url]) : null));
+}
+
+// The entry already holding these exact bytes, if any
+async function findMediaByHash(sha256, options) {
+    if (!sha256) return null;
+    const id = await getRedis().hget(KEYS.byHash, sha256);
+    return id ? getMedia(String(id), options) : null;
+}
+
+// The entry uploaded by (or announced in) a Telegram message
+async function findMediaByTelegramMessage(chatId, messageId, options) {
+    if (!chatId || !messageId) return null;
+    const id = await getRedis().hget(KEYS.byTelegram, `${chatId}:${messageId}`);
+    return id ? getMedia(String(id), options) : null;
+}
+
+/**
+ * Merges `changes` into an entry and moves it between indexes if its
+ * timestamp, type, uploader or tags changed. Returns the updated entry, or null.
+ */
+async function updateMedia(id, changes) {
+    const current = await getMedia(id);
+    if (!current) return null;
+
+    const updated = { ...current, ...changes, id: current.id };
+    const tx = getRedis().multi();
+    removeFromIndexes(tx, current);
+    tx.set(KEYS.item(id), JSON.stringify(updated));
+    addToIndexes(tx, updated);
+    await tx.exec();
+
+    return updated;
+}
+
+// Removes an entry (trashed or not) and all of its index memberships in one
+// transaction, then takes it out of any collections
+async function removeMedia(id) {
+    const redis = getRedis();
+    const entry = await getMedia(id, { includeTrashed: true });
+    if (!entry) return null;
+
+    // A newer upload of the same file, url or (edited) Telegram message may own the lookup by now; leave that one alone
+    const keys = telegramKeys(entry);
+    const [urlOwner, hashOwner, ...telegramOwners] = await Promise.all([
+        entry.url ? redis.hget(KEYS.byUrl, entry.url) : null,
+        entry.sha256 ? redis.hget(KEYS.byHash, entry.sha256) : null,
+        ...keys.map(key => redis.hget(KEYS.byTelegram, key))
+    ]);
+    const owned = {
+        ...entry,
+        url: String(urlOwner) === id ? entry.url : null,
+        sha256: String(hashOwner) === id ? entry.sha256 : null,
+        telegram: null
+    };
+
+    const tx = redis.multi();
+    tx.del(KEYS.item(id));
+    tx.zrem(KEYS.trash, id);
+    removeFromIndexes(tx, owned);
+    // Each message key on its own: the upload and the status reply may have moved to different entries
+    keys.forEach((key, i) => {
+        if (String(telegramOwners[i]) === id) tx.hdel(KEYS.byTelegram, key);
+    });
+    if (entry.deletedAt) countTrashed(tx, entry, -1);
+    await tx.exec();
+
+    // Required here rather than at the top: collections.js depends on this module
+    await require('./collections').removeMediaFromCollections(id);
+
+    return entry;
+}
+
+/**
+ * Moves an entry to the trash: it disappears from history, tags and stats but
+ * keeps its files and collection memberships until restored or purged.
+ * Returns the trashed entry, or null when there is no such live entry.
+ */
+async function trashMedia(id, { deletedBy = null } = {}) {
+    const entry = await getMedia(id);
+    if (!entry) return null;
+
+    const trashed = { ...entry, deletedAt: Date.now(), deletedBy };
+    const tx = getRedis().multi();
+    removeFromListings(tx, entry);
+    tx.set(KEYS.item(id), JSON.stringify(trashed));
+    tx.zadd(KEYS.trash, { score: trashed.deletedAt, member: id });
+    countTrashed(tx, trashed, 1);
+    await tx.exec();
+
+    return trashed;
+}
+
+// Puts a trashed entry back in the gallery; null when it is not in the trash
+async function restoreMedia(id) {
+    const entry = await getMedia(id, { includeTrashed: true });
+    if (!entry?.deletedAt) return null;
+
+    const { deletedAt, deletedBy, ...restored } = entry;
+    const tx = getRedis().multi();
+    tx.set(KEYS.item(id), JSON.stringify(restored));
+    tx.zrem(KEYS.trash, id);
+    countTrashed(tx, entry, -1);
+    addToIndexes(tx, restored);
+    await tx.exec();
+
+    return restored;
+}
+
+// Trashed entries, most recently deleted first; `before` limits it to older deletions
+async function listTrash({ before = '+inf' } = {}) {
+    const ids = await getRedis().zrange(KEYS.trash, before, '-inf', { byScore: true, rev: true });
+    return getMediaMany(ids.map(String), { includeTrashed: true });
+}
+
+function pickIndex({ album, tag, geo, uploader, type }) {
+    if (album) return KEYS.byAlbum(album);
+    if (tag) return KEYS.byTag(tag);
+    if (geo) return KEYS.byGeo;
+    if (uploader) return KEYS.byUploader(uploader);
+    if (type) return KEYS.byType(type);
+    return KEYS.byTime;
+}
+
+/**
+ * Pages through the gallery, newest first, using the most selective index for
+ * the filters (see `parseHistoryQuery`). Returns `{ items, nextCursor }`.
+ */
+async function queryMedia(options) {
+    const redis = getRedis();
+    const { limit, cursor, from, to } = options;
+    const index = pickIndex(options);
+
+    let upper = to !== null && to !== undefined ? to : '+inf';
+    if (cursor) upper = upper === '+inf' ? cursor.timestamp : Math.min(upper, cursor.timestamp);
+    const lower = from !== null && from !== undefined ? from : '-inf';
+
+    const matches = [];
+    for (let offset = 0; matches.length <= limit; offset += SCAN_BATCH) {
+        const ids = await redis.zrange(index, upper, lower, { byScore: true, rev: true, offset, count: SCAN_BATCH });
+        if (!ids || ids.length === 0) break;
+
+        const entries = await getMediaMany(ids.map(String));
+        for (const entry of entries) {
+            if (cursor && !isAfterCursor(entry, cursor)) continue;
+            if (!matchesFilters(entry, options)) continue;
+            matches.push(entry);
+            if (matches.length > limit) break;
+        }
+        if (ids.length < SCAN_BATCH) break;
+    }
+
+    const page = matches.slice(0, limit);
+    return {
+        items: page,
+        nextCursor: matches.length > limit ? encodeCursor(page[page.length - 1]) : null
+    };
+}
+
+// Every entry, newest first
+async function listMedia() {
+    const redis = getRedis();
+    const ids = await redis.zrange(KEYS.byTime, 0, -1, { rev: true });
+    const entries = [];
+    for (let i = 0; i < ids.length; i += SCAN_BATCH) {
+        entries.push(...await getMediaMany(ids.slice(i, i + SCAN_BATCH).map(String)));
+    }
+    return entries;
+}
+
+// The most used tags as `[{ tag, count }]`
+async function listTags(limit = 50) {
+    const flat = await getRedis().zrange(KEYS.tagCounts, 0, limit - 1, { rev: true, withScores: true });
+    const tags = [];
+    for (let i = 0; i < flat.length; i += 2) tags.push({ tag: String(flat[i]), count: Number(flat[i + 1]) });
+    return tags;
+}
+
+async function countMedia(type = null) {
+    return getRedis().zcard(type ? KEYS.byType(type) : KEYS.byTime);
+}
+
+module.exports = {
+    KEYS,
+    LEGACY_HISTORY_KEY,
+    createMediaId,
+    parseEntry,
+    addMedia,
+    getMedia,
+    getMediaMany,
+    findMediaByUrl,
+    findMediaIdsByUrl,
+    findMediaByHash,
+    findMediaByTelegramMessage,
+    updateMedia,
+    removeMedia,
+    trashMedia,
+    restoreMedia,
+    listTrash,
+    queryMedia,
+    listMedia,
+    listTags,
+    countMedia
+};
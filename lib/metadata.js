@@ -0,0 +1,83 @@
+// Telegram's own caption limit
+const MAX_CAPTION_LENGTH = 1024;
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 64;
+
+const HASHTAG = /(?:^|[^\p{L}\p{N}_])#([\p{L}\p{N}_]+)/gu;
+
+function normalizeTag(tag) {
+    return String(tag).trim().replace(/^#/, '').toLowerCase().slice(0, MAX_TAG_LENGTH);
+}
+
+// Unique, lowercased, without the leading #; accepts an array or a comma/space separated string
+function normalizeTags(input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(/[\s,]+/);
+    const tags = [];
+    for (const tag of list.map(normalizeTag)) {
+        if (tag && /^[\p{L}\p{N}_-]+$/u.test(tag) && !tags.includes(tag)) tags.push(tag);
+    }
+    return tags.slice(0, MAX_TAGS);
+}
+
+function extractTags(text) {
+    return normalizeTags([...String(text || '').matchAll(HASHTAG)].map(match => match[1]));
+}
+
+function normalizeCaption(caption) {
+    const text = String(caption || '').trim().slice(0, MAX_CAPTION_LENGTH);
+    return text || null;
+}
+
+/**
+ * Caption and tags for a new entry from a Telegram caption: the text is kept
+ * as-is and every #hashtag in it becomes a tag.
+ */
+function captionMetadata(caption) {
+    const text = normalizeCaption(caption);
+    return text ? { caption: text, tags: extractTags(text) } : {};
+}
+
+/**
+ * Applies a caption/tags edit to an entry. An explicit `tags` list replaces the
+ * entry's tags; a caption on its own keeps them and adds its hashtags.
+ * Returns the fields to store.
+ */
+function editMetadata(entry, { caption, tags } = {}) {
+    const changes = {};
+    if (caption !== undefined) changes.caption = normalizeCaption(caption);
+    if (tags !== undefined) {
+        changes.tags = normalizeTags(tags);
+    } else if (changes.caption) {
+        changes.tags = normalizeTags([...(entry.tags || []), ...extractTags(changes.caption)]);
+    }
+    return changes;
+}
+
+/**
+ * True when an entry matches every term of a search query. Terms are matched
+ * against the filename, caption, tags and uploader; `#term` only matches tags.
+ */
+function matchesSearch(entry, query) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return true;
+
+    const tags = entry.tags || [];
+    const text = [entry.filename, entry.caption, entry.uploadedBy, ...tags]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+
+    return terms.every(term => term.startsWith('#')
+        ? tags.includes(normalizeTag(term))
+        : text.includes(term));
+}
+
+module.exports = {
+    MAX_CAPTION_LENGTH,
+    normalizeTag,
+    normalizeTags,
+    extractTags,
+    captionMetadata,
+    editMetadata,
+    matchesSearch
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+
+// Extensions for the MIME types the gallery accepts
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/heic': '.heic',
+    'image/heif': '.heif',
+    'image/avif': '.avif',
+    'video/mp4': '.mp4',
+    'video/quicktime': '.mov',
+    'video/webm': '.webm',
+    'video/x-matroska': '.mkv',
+    'video/3gpp': '.3gp'
+};
+
+const BY_EXTENSION = Object.fromEntries(Object.entries(EXTENSIONS).map(([mime, ext]) => [ext, mime]));
+BY_EXTENSION['.jpeg'] = 'image/jpeg';
+BY_EXTENSION['.m4v'] = 'video/mp4';
+
+// ISO-BMFF "ftyp" brands that identify still images rather than video
+const IMAGE_BRANDS = {
+    heic: 'image/heic', heix: 'image/heic', hevc: 'image/heic', heim: 'image/heic', heis: 'image/heic',
+    mif1: 'image/heif', msf1: 'image/heif',
+    avif: 'image/avif', avis: 'image/avif'
+};
+
+/**
+ * Identifies a file from its first bytes. Returns a MIME type, or null when
+ * the content is not a format the gallery recognises.
+ */
+function sniffMimeType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    if (buffer[0] === 0x1a && buffer[1] === 0x45 && buffer[2] === 0xdf && buffer[3] === 0xa3) {
+        return buffer.includes('webm') ? 'video/webm' : 'video/x-matroska';
+    }
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+        const brand = buffer.toString('ascii', 8, 12);
+        if (IMAGE_BRANDS[brand]) return IMAGE_BRANDS[brand];
+        if (brand === 'qt  ') return 'video/quicktime';
+        if (brand.startsWith('3g')) return 'video/3gpp';
+        return 'video/mp4';
+    }
+    return null;
+}
+
+function mimeFromFileName(fileName) {
+    const match = /\.[^.]+$/.exec(fileName || '');
+    return match ? BY_EXTENSION[match[0].toLowerCase()] || null : null;
+}
+
+function extensionFor(mimeType, fallback = '') {
+    return EXTENSIONS[mimeType] || fallback;
+}
+
+// 'image' | 'video' for gallery media, null for anything else
+function mediaTypeFor(mimeType) {
+    if (mimeType?.startsWith('image/')) return 'image';
+    if (mimeType?.startsWith('video/')) return 'video';
+    return null;
+}
+
+/**
+ * Settles on a content type from the bytes alone. Telegram and browsers
+ * report whatever the sender's client claimed, so a declared type or file name
+ * is never trusted: content that does not sniff as a supported format (HTML,
+ * SVG, ...) resolves to null and is refused.
+ */
+function resolveMimeType(buffer) {
+    return sniffMimeType(buffer);
+}
+
+// Same as resolveMimeType for a file on disk; only its first bytes are read
+function resolveFileMimeType(filePath) {
+    const head = Buffer.alloc(64);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const length = fs.readSync(fd, head, 0, head.length, 0);
+        return resolveMimeType(head.subarray(0, length));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Whether a stored file may be shown inline: gallery formats and the HLS
+// playlists and segments of transcoded videos. Anything else under the upload
+// directories (SVG, HTML, text) is only ever sent as a download.
+function isInlineMedia(fileName) {
+    return Boolean(mediaTypeFor(mimeFromFileName(fileName))) || /\.(m3u8|ts)$/i.test(fileName || '');
+}
+
+module.exports = {
+    sniffMimeType,
+    mimeFromFileName,
+    extensionFor,
+    mediaTypeFor,
+    resolveMimeType,
+    resolveFileMimeType,
+    isInlineMedia
+};
@@ -0,0 +1,112 @@
+const { normalizeTag, matchesSearch } = require('./metadata');
+
+const DEFAULT_LIMIT = 60;
+const MAX_LIMIT = 200;
+const MEDIA_TYPES = ['image', 'video'];
+
+// Parses a `from`/`to` request value: epoch milliseconds or any Date-parsable string.
+// A bare `YYYY-MM-DD` upper bound covers the whole day.
+function parseDateParam(value, endOfDay = false) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d+$/.test(String(value))) return Number(value);
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) return parsed + 24 * 60 * 60 * 1000 - 1;
+    return parsed;
+}
+
+// Cursors are opaque to clients: base64url of "<timestamp>:<key>" for the last item of a page
+function encodeCursor(item) {
+    return Buffer.from(`${item.timestamp}:${itemKey(item)}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    if (!cursor) return null;
+    try {
+        const decoded = Buffer.from(String(cursor), 'base64url').toString('utf8');
+        const separator = decoded.indexOf(':');
+        const timestamp = Number(decoded.slice(0, separator));
+        if (separator < 1 || Number.isNaN(timestamp)) return null;
+        return { timestamp, key: decoded.slice(separator + 1) };
+    } catch {
+        return null;
+    }
+}
+
+function itemKey(item) {
+    return item.id || item.url || item.filename || '';
+}
+
+// Normalises the query string of a history request into paging options and filters
+function parseHistoryQuery(query = {}) {
+    const limit = parseInt(query.limit, 10);
+    const type = typeof query.type === 'string' ? query.type.toLowerCase() : '';
+
+    return {
+        limit: Number.isNaN(limit) || limit < 1 ? DEFAULT_LIMIT : Math.min(limit, MAX_LIMIT),
+        cursor: decodeCursor(query.cursor),
+        type: MEDIA_TYPES.includes(type) ? type : null,
+        uploader: typeof query.uploader === 'string' && query.uploader.trim() ? query.uploader.trim().toLowerCase() : null,
+        from: parseDateParam(query.from),
+        to: parseDateParam(query.to, true),
+        q: typeof query.q === 'string' && query.q.trim() ? query.q.trim().toLowerCase() : null,
+        album: typeof query.album === 'string' && query.album.trim() ? query.album.trim() : null,
+        tag: typeof query.tag === 'string' && normalizeTag(query.tag) ? normalizeTag(query.tag) : null,
+        // ?geo=1 keeps only entries with GPS coordinates
+        geo: ['1', 'true'].includes(String(query.geo))
+    };
+}
+
+function matchesFilters(item, { type, uploader, from, to, q, album, tag, geo }) {
+    if (type && item.type !== type) return false;
+    if (geo && !item.gps) return false;
+    if (album && item.albumId !== album) return false;
+    if (tag && !(item.tags || []).includes(tag)) return false;
+    if (uploader && String(item.uploadedBy || '').toLowerCase() !== uploader) return false;
+    if (from !== null && from !== undefined && item.timestamp < from) return false;
+    if (to !== null && to !== undefined && item.timestamp > to) return false;
+    if (q && !matchesSearch(item, q)) return false;
+    return true;
+}
+
+// Newest first; ties broken by key so pages never overlap or skip items
+function compareItems(a, b) {
+    if (b.timestamp !== a.timestamp) return b.timestamp - a.timestamp;
+    return itemKey(b) < itemKey(a) ? -1 : itemKey(b) > itemKey(a) ? 1 : 0;
+}
+
+function isAfterCursor(item, cursor) {
+    if (item.timestamp !== cursor.timestamp) return item.timestamp < cursor.timestamp;
+    return itemKey(item) < cursor.key;
+}
+
+/**
+ * Filters and pages an in-memory list of history items.
+ * Returns `{ items, nextCursor }`; `nextCursor` is null on the last page.
+ */
+function queryHistory(items, options) {
+    const { limit, cursor } = options;
+
+    const matching = items
+        .filter(item => matchesFilters(item, options))
+        .filter(item => !cursor || isAfterCursor(item, cursor))
+        .sort(compareItems);
+
+    const page = matching.slice(0, limit);
+    return {
+        items: page,
+        nextCursor: matching.length > limit ? encodeCursor(page[page.length - 1]) : null
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseDateParam,
+    encodeCursor,
+    decodeCursor,
+    parseHistoryQuery,
+    matchesFilters,
+    isAfterCursor,
+    queryHistory
+};
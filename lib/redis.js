@@ -0,0 +1,33 @@
+const path = require('path');
+const { Redis } = require('@upstash/redis');
+const { LocalRedis } = require('./local-redis');
+
+let client = null;
+
+/**
+ * Returns the shared Redis client, the metadata store behind every index.
+ *
+ * METADATA_DRIVER picks it: "redis" for Upstash (or Vercel KV) over REST,
+ * "file" for a file-backed local stand-in so `sync.js`, the scripts and local
+ * development work without any Redis server (`LOCAL_REDIS_FILE` moves the
+ * file). Unset, Redis is used whenever its REST credentials are configured.
+ */
+function getRedis() {
+    if (client) return client;
+
+    const hasCredentials = Boolean(process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL);
+    const driver = process.env.METADATA_DRIVER || (hasCredentials ? 'redis' : 'file');
+
+    if (driver === 'redis') {
+        if (!hasCredentials) throw new Error('METADATA_DRIVER=redis needs UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN');
+        client = Redis.fromEnv();
+    } else if (driver === 'file') {
+        const file = process.env.LOCAL_REDIS_FILE || path.join(__dirname, '..', 'data', 'local-redis.json');
+        client = new LocalRedis({ file });
+    } else {
+        throw new Error(`Unknown METADATA_DRIVER "${driver}" (use redis or file)`);
+    }
+    return client;
+}
+
+module.exports = { getRedis };
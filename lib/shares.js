@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { getRedis } = require('./redis');
+const { getMedia } = require('./media-store');
+const { getCollection, withItems } = require('./collections');
+
+// Key layout:
+//   share:<id>       JSON share record, expiring together with the share
+//   shares:idx       sorted set of share ids scored by expiresAt
+const KEYS = {
+    item: id => `share:${id}`,
+    byExpiry: 'shares:idx'
+};
+
+const SCOPES = ['media', 'collection'];
+const DEFAULT_TTL_HOURS = 7 * 24;
+const MAX_TTL_HOURS = 365 * 24;
+
+// Tokens are signed with SHARE_SECRET (falls back to ADMIN_PASSWORD so existing setups work)
+function signingSecret() {
+    const secret = process.env.SHARE_SECRET || process.env.ADMIN_PASSWORD;
+    if (!secret) throw new Error('SHARE_SECRET is not configured');
+    return secret;
+}
+
+function sign(id, expiresAt) {
+    return crypto.createHmac('sha256', signingSecret()).update(`${id}.${expiresAt}`).digest('base64url');
+}
+
+// "<id>.<expiresAt base36>.<signature>"; expiry and integrity are checked before Redis is consulted
+function encodeToken(share) {
+    return `${share.id}.${share.expiresAt.toString(36)}.${sign(share.id, share.expiresAt)}`;
+}
+
+function decodeToken(token) {
+    const [id, expiry, signature] = String(token || '').split('.');
+    if (!id || !expiry || !signature) return null;
+    const expiresAt = parseInt(expiry, 36);
+    if (!Number.isFinite(expiresAt)) return null;
+
+    const expected = Buffer.from(sign(id, expiresAt));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+    return { id, expiresAt };
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [salt, hash] = stored.split(':');
+    const candidate = crypto.scryptSync(String(password || ''), salt, 32);
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+async function scopeName({ type, id }) {
+    if (type === 'media') return (await getMedia(id))?.filename || null;
+    return (await getCollection(id))?.name || null;
+}
+
+// What share views and admin listings may see; never the password hash
+function publicShare(share) {
+    return {
+        id: share.id,
+        type: share.type,
+        targetId: share.targetId,
+        name: share.name,
+        label: share.label || null,
+        createdAt: share.createdAt,
+        expiresAt: share.expiresAt,
+        passwordProtected: !!share.passwordHash
+    };
+}
+
+/**
+ * Creates a share for one media entry or collection. `expiresInHours`
+ * defaults to a week. Resolves to `{ share, token }` or `{ error }`.
+ */
+async function createShare({ type, id, expiresInHours, password, label } = {}) {
+    if (!SCOPES.includes(type)) return { error: `type must be one of: ${SCOPES.join(', ')}` };
+
+    const name = await scopeName({ type, id });
+    if (!name) return { error: `No ${type} with id ${id}` };
+
+    const hours = expiresInHours === undefined || expiresInHours === null || expiresInHours === ''
+        ? DEFAULT_TTL_HOURS
+        : Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_TTL_HOURS) {
+        return { error: `expiresInHours must be between 0 and ${MAX_TTL_HOURS}` };
+    }
+
+    const now = Date.now();
+    const share = {
+        id: crypto.randomBytes(12).toString('base64url'),
+        type,
+        targetId: id,
+        name,
+        label: typeof label === 'string' && label.trim() ? label.trim().slice(0, 100) : null,
+        createdAt: now,
+        expiresAt: now + Math.round(hours * 60 * 60 * 1000),
+        passwordHash: password ? hashPassword(String(password)) : null
+    };
+
+    const tx = getRedis().multi();
+    tx.set(KEYS.item(share.id), JSON.stringify(share), { px: share.expiresAt - now });
+    tx.zadd(KEYS.byExpiry, { score: share.expiresAt, member: share.id });
+    await tx.exec();
+
+    return { share: publicShare(share), token: encodeToken(share) };
+}
+
+// Active shares, soonest to expire first, with their tokens so links can be copied again
+async function listShares() {
+    const redis = getRedis();
+    await redis.zremrangebyscore(KEYS.byExpiry, '-inf', Date.now());
+    const ids = await redis.zrange(KEYS.byExpiry, 0, -1);
+    if (ids.length === 0) return [];
+
+    const raw = await redis.mget(...ids.map(id => KEYS.item(String(id))));
+    return raw
+        .map(item => (typeof item === 'string' ? JSON.parse(item) : item))
+        .filter(Boolean)
+        .map(share => ({ ...publicShare(share), token: encodeToken(share) }));
+}
+
+async function revokeShare(id) {
+    const tx = getRedis().multi();
+    tx.del(KEYS.item(id));
+    tx.zrem(KEYS.byExpiry, id);
+    const [deleted] = await tx.exec();
+    return deleted > 0;
+}
+
+/**
+ * Looks up the share behind a token. Resolves to `{ share }`, or
+ * `{ status, error }` with 404 for unknown, expired or revoked tokens and 401
+ * when the share's password is missing or wrong.
+ */
+async function resolveShare(token, password) {
+    const notFound = { status: 404, error: 'Share not found' };
+    const decoded = decodeToken(token);
+    if (!decoded || decoded.expiresAt <= Date.now()) return notFound;
+
+    const raw = await getRedis().get(KEYS.item(decoded.id));
+    const share = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (!share || share.expiresAt <= Date.now()) return notFound;
+
+    if (share.passwordHash && !verifyPassword(password, share.passwordHash)) {
+        return { status: 401, error: password ? 'Wrong password' : 'Password required', passwordRequired: true };
+    }
+    return { share };
+}
+
+// The media a share exposes, in display order; null when its target is gone
+async function shareItems(share) {
+    if (share.type === 'media') {
+        const entry = await getMedia(share.targetId);
+        return entry ? [entry] : null;
+    }
+    const collection = await getCollection(share.targetId);
+    return collection ? (await withItems(collection)).items : null;
+}
+
+/**
+ * Resolves a token straight to what it exposes: `{ share, items }`, or
+ * `{ status, error }` as from `resolveShare` (404 also when the target is gone).
+ * Used by the history and export paths of both backends.
+ */
+async function loadSharedItems(token, password) {
+    const result = await resolveShare(token, password);
+    if (!result.share) return result;
+    const items = await shareItems(result.share);
+    if (!items) return { status: 404, error: 'Share not found' };
+    return { share: result.share, items };
+}
+
+// The share password travels as a header for API calls and as a form field for downloads
+function sharePassword(req) {
+    return req.headers?.['x-share-password'] || req.body?.password || req.query?.password || null;
+}
+
+module.exports = {
+    KEYS,
+    publicShare,
+    createShare,
+    listShares,
+    revokeShare,
+    resolveShare,
+    shareItems,
+    loadSharedItems,
+    sharePassword
+};
@@ -0,0 +1,105 @@
+const sharp = require('sharp');
+
+// dHash: a 9x8 greyscale thumbnail, one bit per pair of horizontal neighbours,
+// stored on the entry as `phash` (16 hex digits). Re-compressed, resized or
+// lightly edited copies and burst shots end up a few bits apart.
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Differing bits (of 64) for two images to count as similar
+const DEFAULT_THRESHOLD = 10;
+const MAX_THRESHOLD = 24;
+
+/**
+ * Perceptual hash of an image (a buffer or file path). Resolves to null when
+ * the image cannot be decoded; a missing hash only keeps the entry out of the
+ * similar photos review.
+ */
+async function perceptualHash(input) {
+    try {
+        const { data, info } = await sharp(input, { failOn: 'none' })
+            .rotate() // same orientation as the derivatives people look at
+            .removeAlpha()
+            .greyscale()
+            .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const pixel = (x, y) => data[(y * HASH_WIDTH + x) * info.channels];
+        let hash = '';
+        for (let y = 0; y < HASH_HEIGHT; y++) {
+            let byte = 0;
+            for (let x = 0; x < HASH_WIDTH - 1; x++) byte = (byte << 1) | (pixel(x, y) > pixel(x + 1, y) ? 1 : 0);
+            hash += byte.toString(16).padStart(2, '0');
+        }
+        return hash;
+    } catch (err) {
+        console.warn('Perceptual hash failed:', err.message);
+        return null;
+    }
+}
+
+function popcount(n) {
+    n -= (n >>> 1) & 0x55555555;
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+    return Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+function hashWords(hash) {
+    return [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8, 16), 16)];
+}
+
+function parseThreshold(value) {
+    const threshold = parseInt(value, 10);
+    if (Number.isNaN(threshold)) return DEFAULT_THRESHOLD;
+    return Math.min(Math.max(threshold, 0), MAX_THRESHOLD);
+}
+
+// The shot to keep: most pixels, then the largest file (the least re-compressed), then the oldest
+function bestShot(items) {
+    const pixels = item => (item.width || 0) * (item.height || 0);
+    return [...items].sort((a, b) => pixels(b) - pixels(a) || (b.sizeBytes || 0) - (a.sizeBytes || 0) || a.timestamp - b.timestamp)[0];
+}
+
+/**
+ * Groups images whose perceptual hashes are at most `threshold` bits apart;
+ * chains of similar images (a burst drifting across frames) form one group.
+ * Entries without a hash are left out. Returns `[{ items, keep }]` with the
+ * items in the order they were taken and `keep` the suggested best shot,
+ * newest groups first.
+ */
+function findSimilarGroups(entries, { threshold = DEFAULT_THRESHOLD } = {}) {
+    const images = entries.filter(entry => entry.type === 'image' && /^[0-9a-f]{16}$/.test(entry.phash || ''));
+    const high = Uint32Array.from(images, entry => hashWords(entry.phash)[0]);
+    const low = Uint32Array.from(images, entry => hashWords(entry.phash)[1]);
+
+    // Union-find over every pair within the threshold
+    const parent = images.map((_, i) => i);
+    const root = i => {
+        while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+        return i;
+    };
+    for (let i = 0; i < images.length; i++) {
+        for (let j = i + 1; j < images.length; j++) {
+            if (popcount(high[i] ^ high[j]) + popcount(low[i] ^ low[j]) <= threshold) parent[root(j)] = root(i);
+        }
+    }
+
+    const groups = new Map();
+    images.forEach((entry, i) => {
+        const key = root(i);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    });
+    return [...groups.values()]
+        .filter(items => items.length > 1)
+        .map(items => ({ items: items.sort((a, b) => a.timestamp - b.timestamp), keep: bestShot(items).id }))
+        .sort((a, b) => b.items[b.items.length - 1].timestamp - a.items[a.items.length - 1].timestamp);
+}
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    perceptualHash,
+    parseThreshold,
+    findSimilarGroups
+};
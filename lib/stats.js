@@ -0,0 +1,143 @@
+const { getRedis } = require('./redis');
+const { listMedia, listTrash, getMediaMany } = require('./media-store');
+const { entryBytes, rebuildCounters, readCounters } = require('./media-counters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SERIES_LENGTH = { day: 30, week: 12, month: 12 };
+const LARGEST_COUNT = 10;
+
+const SIZE_UNITS = { MB: 1024 ** 2, GB: 1024 ** 3 };
+
+// "1.46 MB" for a single file
+function formatBytes(bytes, decimals = 2) {
+    if (!bytes) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
+}
+
+function formatSize(bytes) {
+    if (bytes > SIZE_UNITS.GB) return `${(bytes / SIZE_UNITS.GB).toFixed(2)} GB`;
+    return `${(bytes / SIZE_UNITS.MB).toFixed(2)} MB`;
+}
+
+// STORAGE_BUDGET_GB as bytes, or null when no budget is configured
+function storageBudget() {
+    const gb = parseFloat(process.env.STORAGE_BUDGET_GB);
+    return gb > 0 ? Math.round(gb * SIZE_UNITS.GB) : null;
+}
+
+// The period a UTC day ('YYYY-MM-DD') falls in: itself, its week's Monday, or 'YYYY-MM'
+function periodOf(day, unit) {
+    if (unit === 'day') return day;
+    if (unit === 'month') return day.slice(0, 7);
+    const date = new Date(`${day}T00:00:00Z`);
+    const sinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - sinceMonday * DAY_MS).toISOString().slice(0, 10);
+}
+
+// The last `SERIES_LENGTH[unit]` periods up to `now`, oldest first, including empty ones
+function recentPeriods(unit, now) {
+    const periods = [];
+    const cursor = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    while (periods.length < SERIES_LENGTH[unit]) {
+        const period = periodOf(cursor.toISOString().slice(0, 10), unit);
+        if (periods[0] !== period) periods.unshift(period);
+        if (unit === 'month') cursor.setUTCDate(0);
+        else cursor.setTime(cursor.getTime() - (unit === 'week' ? 7 : 1) * DAY_MS);
+    }
+    return periods;
+}
+
+// Uploads per period as `[{ period, files, bytes }]`, built from the per-day counters
+function uploadSeries(dayFiles, dayBytes, unit, now) {
+    const series = new Map(recentPeriods(unit, now).map(period => [period, { period, files: 0, bytes: 0 }]));
+    for (const [day, files] of Object.entries(dayFiles)) {
+        const bucket = series.get(periodOf(day, unit));
+        if (!bucket) continue;
+        bucket.files += files;
+        bucket.bytes += dayBytes[day] || 0;
+    }
+    return [...series.values()];
+}
+
+async function loadCounters(redis) {
+    let counters = await readCounters(redis, { largest: LARGEST_COUNT });
+    if (!counters.totals) {
+        // First read since the counters were introduced (or after a wipe): count once
+        console.log('Building stats counters from the gallery...');
+        await rebuildCounters(redis, await listMedia(), await listTrash());
+        counters = await readCounters(redis, { largest: LARGEST_COUNT });
+    }
+    return counters;
+}
+
+/**
+ * Gallery statistics, shared by the stats endpoints and the bot's /stats command.
+ *
+ * Besides the totals it reports uploads per day, week and month (UTC, by upload
+ * time), files and bytes per uploader, the split by media type, the largest
+ * files and storage use (trash included) against STORAGE_BUDGET_GB. Everything
+ * comes from the counters in lib/media-counters.js rather than a gallery scan.
+ */
+async function getMediaStats({ now = new Date() } = {}) {
+    const redis = getRedis();
+    const { totals, uploaderFiles, uploaderBytes, dayFiles, dayBytes, largestIds } = await loadCounters(redis);
+
+    const uploaders = Object.entries(uploaderFiles)
+        .filter(([, files]) => files > 0)
+        .map(([name, files]) => ({ name, files, bytes: uploaderBytes[name] || 0 }))
+        .sort((a, b) => b.bytes - a.bytes || b.files - a.files);
+
+    const largest = (await getMediaMany(largestIds)).map(entry => ({
+        id: entry.id,
+        url: entry.url,
+        thumbnailUrl: entry.thumbnailUrl,
+        filename: entry.filename,
+        type: entry.type,
+        uploadedBy: entry.uploadedBy,
+        timestamp: entry.timestamp,
+        sizeBytes: entryBytes(entry),
+        size: formatBytes(entryBytes(entry))
+    }));
+
+    const usedBytes = totals.bytes + totals.trashBytes;
+    const budgetBytes = storageBudget();
+
+    return {
+        totalFiles: totals.files,
+        totalSize: formatSize(totals.bytes),
+        totalSizeBytes: totals.bytes,
+        images: totals.imageFiles,
+        videos: totals.videoFiles,
+        types: {
+            image: { files: totals.imageFiles, bytes: totals.imageBytes },
+            video: { files: totals.videoFiles, bytes: totals.videoBytes }
+        },
+        uploads: {
+            daily: uploadSeries(dayFiles, dayBytes, 'day', now),
+            weekly: uploadSeries(dayFiles, dayBytes, 'week', now),
+            monthly: uploadSeries(dayFiles, dayBytes, 'month', now)
+        },
+        uploaders,
+        largest,
+        storage: {
+            usedBytes,
+            used: formatSize(usedBytes),
+            trashFiles: totals.trashFiles,
+            trashBytes: totals.trashBytes,
+            budgetBytes,
+            budget: budgetBytes ? formatSize(budgetBytes) : null,
+            percentUsed: budgetBytes ? Math.round(usedBytes / budgetBytes * 1000) / 10 : null
+        },
+        lastUpdated: now.toISOString()
+    };
+}
+
+module.exports = {
+    entryBytes,
+    formatBytes,
+    formatSize,
+    getMediaStats
+};
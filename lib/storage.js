@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Local files live under public/, which the node server serves as-is
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+/**
+ * Storage drivers share one shape:
+ *
+ *   put(key, body, { contentType, contentLength })
+ *                                     -> public URL of the stored object; `body` is a
+ *                                        Buffer or a readable stream of `contentLength` bytes
+ *   open(url)                         -> readable stream of a stored object
+ *   remove(urls)                      -> deletes stored objects, ignoring missing ones
+ *   owns(url)                         -> whether the URL points into this store
+ *
+ * Keys are relative paths such as "gallery/photo.jpg" or "derivatives/<id>-thumb.webp".
+ */
+
+// Files under `root`, addressed by root-relative URLs ("/gallery/photo.jpg")
+function diskStorage(root = PUBLIC_DIR) {
+    const pathFor = url => {
+        const filePath = path.resolve(root, `.${path.posix.normalize(`/${url.replace(/^\/+/, '')}`)}`);
+        if (!filePath.startsWith(path.resolve(root) + path.sep)) throw new Error(`Outside local storage: ${url}`);
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        pathFor,
+        owns: url => String(url).startsWith('/'),
+        async put(key, body) {
+            const filePath = pathFor(key);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            if (Buffer.isBuffer(body)) fs.writeFileSync(filePath, body);
+            else await pipeline(body, fs.createWriteStream(filePath));
+            return `/${key}`;
+        },
+        // Resolves once the file is open, so a missing file is reported instead of crashing a stream
+        open(url) {
+            return new Promise((resolve, reject) => {
+                const stream = fs.createReadStream(pathFor(url));
+                stream.once('open', () => resolve(stream));
+                stream.once('error', reject);
+            });
+        },
+        async remove(urls) {
+            for (const url of urls) fs.rmSync(pathFor(url), { force: true });
+        }
+    };
+}
+
+async function download(url, init) {
+    const response = await fetch(url, init);
+    if (!response.ok || !response.body) throw new Error(`Download failed: ${response.status}`);
+    return Readable.fromWeb(response.body);
+}
+
+// Public Vercel Blob objects (BLOB_READ_WRITE_TOKEN)
+function blobStorage() {
+    const { put, del } = require('@vercel/blob');
+    return {
+        name: 'blob',
+        owns: url => /^https:\/\/[^/]+\.blob\.vercel-storage\.com\//.test(url),
+        async put(key, body, { contentType } = {}) {
+            const blob = await put(key, body, {
+                access: 'public',
+                contentType,
+                addRandomSuffix: false,
+                allowOverwrite: true
+            });
+            return blob.url;
+        },
+        open: url => download(url),
+        async remove(urls) {
+            if (urls.length > 0) await del(urls);
+        }
+    };
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// RFC 3986 encoding of each path segment, as SigV4 expects
+function encodeKey(key) {
+    return key.split('/')
+        .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+        .join('/');
+}
+
+/**
+ * Any S3-compatible store (AWS S3, Cloudflare R2, MinIO, Backblaze B2, ...)
+ * using path-style URLs and AWS Signature Version 4. Objects are served from
+ * S3_PUBLIC_URL (a public bucket URL or CDN in front of it), defaulting to
+ * "<S3_ENDPOINT>/<S3_BUCKET>".
+ */
+function s3Storage({
+    endpoint = process.env.S3_ENDPOINT,
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'auto',
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl = process.env.S3_PUBLIC_URL
+} = {}) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    const base = endpoint.replace(/\/$/, '');
+    const publicBase = (publicUrl || `${base}/${bucket}`).replace(/\/$/, '');
+
+    function signedRequest(method, key, body = Buffer.alloc(0), headers = {}) {
+        const url = new URL(`${base}/${bucket}/${encodeKey(key)}`);
+        const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+        const day = amzDate.slice(0, 8);
+        // Streams are sent without hashing them first
+        const payloadHash = Buffer.isBuffer(body) ? sha256Hex(body) : 'UNSIGNED-PAYLOAD';
+        const signed = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+        const names = Object.keys(signed).sort();
+
+        const canonical = [
+            method,
+            url.pathname,
+            '',
+            ...names.map(name => `${name}:${signed[name]}`),
+            '',
+            names.join(';'),
+            payloadHash
+        ].join('\n');
+        const scope = `${day}/${region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonical)].join('\n');
+        const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return {
+            url: url.toString(),
+            init: {
+                method,
+                headers: {
+                    ...headers,
+                    'x-amz-content-sha256': payloadHash,
+                    'x-amz-date': amzDate,
+                    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+                },
+                ...(method === 'PUT' && { body }),
+                ...(method === 'PUT' && !Buffer.isBuffer(body) && { duplex: 'half' })
+            }
+        };
+    }
+
+    const keyFor = url => decodeURIComponent(url.slice(publicBase.length + 1));
+
+    return {
+        name: 's3',
+        owns: url => String(url).startsWith(`${publicBase}/`),
+        async put(key, body, { contentType, contentLength } = {}) {
+            const headers = {
+                ...(contentType && { 'content-type': contentType }),
+                // S3 refuses chunked uploads, so streams need their length up front
+                ...(!Buffer.isBuffer(body) && { 'content-length': String(contentLength) })
+            };
+            const { url, init } = signedRequest('PUT', key, body, headers);
+            const response = await fetch(url, init);
+            if (!response.ok) throw new Error(`S3 upload failed: ${response.status} ${await response.text()}`);
+            return `${publicBase}/${encodeKey(key)}`;
+        },
+        open(url) {
+            const request = signedRequest('GET', keyFor(url));
+            return download(request.url, request.init);
+        },
+        async remove(urls) {
+            for (const url of urls) {
+                const request = signedRequest('DELETE', keyFor(url));
+                const response = await fetch(request.url, request.init);
+                if (!response.ok && response.status !== 404) throw new Error(`S3 delete failed: ${response.status}`);
+            }
+        }
+    };
+}
+
+const DRIVERS = { local: diskStorage, blob: blobStorage, s3: s3Storage };
+const instances = {};
+
+function driver(name) {
+    if (!DRIVERS[name]) throw new Error(`Unknown STORAGE_DRIVER "${name}" (use ${Object.keys(DRIVERS).join(', ')})`);
+    return (instances[name] ||= DRIVERS[name]());
+}
+
+/**
+ * The store new uploads go to: STORAGE_DRIVER when set, otherwise the entry
+ * point's own default (local disk for sync.js, Vercel Blob for the API).
+ */
+function getStorage(fallback = 'local') {
+    return driver(process.env.STORAGE_DRIVER || fallback);
+}
+
+/**
+ * The store holding an existing URL. Entries keep the URLs they were created
+ * with, so reads and deletes still work after switching STORAGE_DRIVER.
+ */
+function storageForUrl(url) {
+    if (String(url).startsWith('/')) return driver('local');
+    if (process.env.S3_BUCKET && driver('s3').owns(url)) return driver('s3');
+    return driver('blob');
+}
+
+// Deletes URLs from whichever stores hold them
+async function removeStored(urls) {
+    const byStore = new Map();
+    for (const url of urls.filter(Boolean)) {
+        const store = storageForUrl(url);
+        byStore.set(store, [...(byStore.get(store) || []), url]);
+    }
+    for (const [store, storeUrls] of byStore) await store.remove(storeUrls);
+}
+
+module.exports = {
+    PUBLIC_DIR,
+    diskStorage,
+    blobStorage,
+    s3Storage,
+    getStorage,
+    storageForUrl,
+    removeStored
+};
@@ -0,0 +1,87 @@
+// Bot API calls shared by the webhook and the node bot (TELEGRAM_TOKEN)
+
+// getFile refuses anything larger, so such files can never be downloaded by a bot
+const BOT_DOWNLOAD_LIMIT = 20 * 1024 * 1024;
+
+// TELEGRAM_API_URL points the bot at a self-hosted Bot API server (or a fake one for testing)
+const API_BASE = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/$/, '');
+
+function botToken() {
+    const token = process.env.TELEGRAM_TOKEN;
+    if (!token) throw new Error('TELEGRAM_TOKEN is not configured');
+    return token;
+}
+
+// Errors no retry can fix (the file is gone or too big) carry `permanent`
+function permanentError(message) {
+    const err = new Error(message);
+    err.permanent = true;
+    return err;
+}
+
+/**
+ * Calls a Bot API method and resolves to its JSON reply, failed or not, or
+ * null when the request itself failed; for messages, where a failed notice
+ * must not fail the upload it reports on. A FormData `payload` is sent as a
+ * multipart upload (files for sendPhoto, sendMediaGroup, ...).
+ */
+async function callTelegram(method, payload) {
+    try {
+        const res = await fetch(`${API_BASE}/bot${botToken()}/${method}`, payload instanceof FormData
+            ? { method: 'POST', body: payload, signal: AbortSignal.timeout(90000) }
+            : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+        return await res.json();
+    } catch (err) {
+        console.error(`Telegram ${method} failed:`, err.message);
+        return null;
+    }
+}
+
+async function getTelegramFile(fileId) {
+    const res = await fetch(`${API_BASE}/bot${botToken()}/getFile?file_id=${encodeURIComponent(fileId)}`);
+    const data = await res.json().catch(() => ({}));
+    if (data.ok) return data.result;
+
+    const description = data.description || `HTTP ${res.status}`;
+    // 400s ("file is too big", "wrong file_id") will not change on retry
+    if (res.status === 400) throw permanentError(`Telegram getFile failed: ${description}`);
+    throw new Error(`Telegram getFile failed: ${description}`);
+}
+
+// Downloads a file returned by getFile; non-2xx responses are errors, not content
+async function downloadTelegramFile(filePath, maxRetries = 3) {
+    let lastError;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            const res = await fetch(`${API_BASE}/file/bot${botToken()}/${filePath}`, { signal: AbortSignal.timeout(60000) });
+            if (res.status === 404) throw permanentError('Download failed: file no longer available');
+            if (!res.ok) throw new Error(`Download failed: ${res.status}`);
+            return Buffer.from(await res.arrayBuffer());
+        } catch (err) {
+            if (err.permanent) throw err;
+            lastError = err;
+            if (attempt < maxRetries) await new Promise(r => setTimeout(r, 1000 * attempt));
+        }
+    }
+    throw lastError;
+}
+
+// The small JPEG Telegram attaches to videos (poster fallback); null when unavailable
+async function downloadTelegramThumbnail(fileId) {
+    try {
+        const file = await getTelegramFile(fileId);
+        return await downloadTelegramFile(file.file_path);
+    } catch (err) {
+        console.warn('Telegram thumbnail unavailable:', err.message);
+        return null;
+    }
+}
+
+module.exports = {
+    BOT_DOWNLOAD_LIMIT,
+    permanentError,
+    callTelegram,
+    getTelegramFile,
+    downloadTelegramFile,
+    downloadTelegramThumbnail
+};
@@ -0,0 +1,67 @@
+const { mediaTypeFor, mimeFromFileName } = require('./mime');
+
+/**
+ * Picks the downloadable media out of a Telegram message.
+ *
+ * Handles compressed photos and videos, animations (GIFs, which Telegram
+ * usually converts to MP4), round video notes, and images or videos sent as
+ * uncompressed documents. Returns null for anything else.
+ *
+ * The result's `mimeType` is what Telegram declared; callers should confirm it
+ * against the downloaded bytes with `resolveMimeType`.
+ */
+function extractMedia(message) {
+    if (!message) return null;
+
+    if (message.photo?.length) {
+        const photo = message.photo[message.photo.length - 1];
+        return {
+            kind: 'photo',
+            fileId: photo.file_id,
+            fileUniqueId: photo.file_unique_id,
+            fileSize: photo.file_size,
+            mimeType: 'image/jpeg',
+            type: 'image'
+        };
+    }
+
+    // Animations also carry a `document` field, so they must be checked first
+    if (message.animation) {
+        const mimeType = message.animation.mime_type || 'video/mp4';
+        return fromFile('animation', message.animation, mimeType, mediaTypeFor(mimeType) || 'video');
+    }
+
+    if (message.video) {
+        return fromFile('video', message.video, message.video.mime_type || 'video/mp4', 'video');
+    }
+
+    if (message.video_note) {
+        return fromFile('video_note', message.video_note, 'video/mp4', 'video');
+    }
+
+    if (message.document) {
+        const declared = message.document.mime_type;
+        const mimeType = mediaTypeFor(declared) ? declared : mimeFromFileName(message.document.file_name);
+        const type = mediaTypeFor(mimeType);
+        if (!type) return null;
+        return fromFile('document', message.document, mimeType, type);
+    }
+
+    return null;
+}
+
+function fromFile(kind, file, mimeType, type) {
+    return {
+        kind,
+        fileId: file.file_id,
+        fileUniqueId: file.file_unique_id,
+        fileSize: file.file_size,
+        fileName: file.file_name,
+        mimeType,
+        type,
+        // Telegram's small JPEG preview; the poster frame fallback for videos
+        posterFileId: (file.thumbnail || file.thumb)?.file_id || null
+    };
+}
+
+module.exports = { extractMedia };
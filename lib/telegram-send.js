@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { getRedis } = require('./redis');
+const { getMediaMany } = require('./media-store');
+const { entryBytes } = require('./media-counters');
+const { storageForUrl } = require('./storage');
+const { callTelegram } = require('./telegram-api');
+
+// Key layout:
+//   send:<id>             JSON send job: the albums planned for one selection and how far it got
+//   send:lease:<id>       held while an album of the job is being sent
+//   send:pace:<chatId>    time (ms) before which nothing more is sent to the chat
+//
+// The browser drives a job one album per request, like chunked uploads, so a
+// long selection fits serverless time limits and reports progress as it goes.
+const KEYS = {
+    job: id => `send:${id}`,
+    lease: id => `send:lease:${id}`,
+    pace: chatId => `send:pace:${chatId}`
+};
+
+const ALBUM_SIZE = 10;
+const MAX_ITEMS = 500;
+const JOB_TTL_SECONDS = 24 * 60 * 60;
+const LEASE_SECONDS = 120;
+// Bots can upload files up to 50 MB; sendPhoto refuses photos over 10 MB
+const UPLOAD_LIMIT = 50 * 1024 * 1024;
+const PHOTO_LIMIT = 10 * 1024 * 1024;
+// Bigger videos go as documents: the original file instead of a re-encoded stream
+const LARGE_VIDEO = 20 * 1024 * 1024;
+const CAPTION_LIMIT = 1024;
+// Telegram allows about 20 messages a minute in a group and one a second in a private chat
+const GROUP_MS_PER_MESSAGE = 3000;
+const PRIVATE_MS_PER_MESSAGE = 1000;
+
+function idList(value) {
+    return String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// Chats selections may be sent to: the upload allowlist and the mirrored channels
+function sendTargets() {
+    return [...new Set([...idList(process.env.TELEGRAM_ALLOWED_CHAT_IDS), ...idList(process.env.TELEGRAM_CHANNEL_IDS)])];
+}
+
+/**
+ * The allowed chats with their names as the bot sees them; chats the bot was
+ * removed from are left out.
+ */
+async function listSendTargets() {
+    const chats = [];
+    for (const id of sendTargets()) {
+        const reply = await callTelegram('getChat', { chat_id: id });
+        if (!reply?.ok) continue;
+        const chat = reply.result;
+        chats.push({ id, type: chat.type, title: chat.title || [chat.first_name, chat.last_name].filter(Boolean).join(' ') || chat.username || id });
+    }
+    return chats;
+}
+
+// photo, video or document, by what Telegram accepts for each
+function sendKind(entry) {
+    const bytes = entryBytes(entry);
+    const { width = 0, height = 0 } = entry;
+    const oddShape = width + height > 10000 || Math.max(width, height) > 20 * Math.max(Math.min(width, height), 1);
+    if (entry.type === 'image' && entry.mimeType !== 'image/gif' && bytes <= PHOTO_LIMIT && !oddShape) return 'photo';
+    if (entry.type === 'video' && bytes <= LARGE_VIDEO) return 'video';
+    return 'document';
+}
+
+// Photos and videos share albums; documents can only be grouped with documents
+function planAlbums(entries) {
+    const albums = [];
+    for (const group of [entries.filter(e => sendKind(e) !== 'document'), entries.filter(e => sendKind(e) === 'document')]) {
+        for (let i = 0; i < group.length; i += ALBUM_SIZE) {
+            albums.push(group.slice(i, i + ALBUM_SIZE).map(entry => entry.id));
+        }
+    }
+    return albums;
+}
+
+function parseJob(raw) {
+    if (!raw) return null;
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+}
+
+async function saveJob(job) {
+    job.updatedAt = Date.now();
+    await getRedis().set(KEYS.job(job.id), JSON.stringify(job), { ex: JOB_TTL_SECONDS });
+}
+
+// What the browser needs to show progress
+function sendStatus(job) {
+    const { id, chatId, status, total, sent, skipped, error } = job;
+    return { id, chatId, status, total, sent, albums: job.albums.length, next: job.next, skipped, error };
+}
+
+/**
+ * Plans sending the media `ids` to `chatId` (one of sendTargets()) for the
+ * signed-in `session`. Files over the bot upload limit and ids no longer in
+ * the gallery are skipped up front.
+ *
+ * Resolves to `{ job }` or `{ status, error }`.
+ */
+async function createSend(session, { chatId, ids } = {}) {
+    if (!sendTargets().includes(String(chatId))) return { status: 403, error: 'That chat is not on the allowlist' };
+    const unique = Array.isArray(ids) ? [...new Set(ids.filter(id => typeof id === 'string' && id))] : [];
+    if (unique.length === 0) return { status: 400, error: 'ids must be a non-empty list' };
+    if (unique.length > MAX_ITEMS) return { status: 400, error: `At most ${MAX_ITEMS} items per send` };
+
+    const entries = await getMediaMany(unique);
+    const sendable = entries.filter(entry => entryBytes(entry) <= UPLOAD_LIMIT);
+    const missing = unique.filter(id => !entries.some(entry => entry.id === id));
+    const job = {
+        id: crypto.randomUUID(),
+        chatId: String(chatId),
+        status: sendable.length ? 'sending' : 'done',
+        albums: planAlbums(sendable),
+        next: 0,
+        total: sendable.length,
+        sent: 0,
+        skipped: [
+            ...missing.map(id => ({ id, reason: 'No longer in the gallery' })),
+            ...entries
+                .filter(entry => !sendable.includes(entry))
+                .map(entry => ({ id: entry.id, filename: entry.filename, reason: 'Larger than the 50 MB bots can send' }))
+        ],
+        createdBy: session.name,
+        createdAt: Date.now()
+    };
+    await saveJob(job);
+    return { job };
+}
+
+async function getSend(id) {
+    return parseJob(await getRedis().get(KEYS.job(id)));
+}
+
+async function readFile(entry) {
+    const chunks = [];
+    for await (const chunk of await storageForUrl(entry.url).open(entry.url)) chunks.push(chunk);
+    return new Blob([Buffer.concat(chunks)], { type: entry.mimeType || 'application/octet-stream' });
+}
+
+// A single item goes with sendPhoto/sendVideo/sendDocument, since albums need at least two
+async function albumRequest(chatId, entries) {
+    const form = new FormData();
+    form.append('chat_id', chatId);
+    const items = entries.map((entry, i) => ({
+        type: sendKind(entry),
+        media: `attach://file${i}`,
+        caption: (entry.caption || '').slice(0, CAPTION_LIMIT) || undefined
+    }));
+
+    if (entries.length === 1) {
+        const [{ type, caption }] = items;
+        form.append(type, await readFile(entries[0]), entries[0].filename);
+        if (caption) form.append('caption', caption);
+        return { method: { photo: 'sendPhoto', video: 'sendVideo', document: 'sendDocument' }[type], form };
+    }
+    for (const [i, entry] of entries.entries()) form.append(`file${i}`, await readFile(entry), entry.filename);
+    form.append('media', JSON.stringify(items));
+    return { method: 'sendMediaGroup', form };
+}
+
+/**
+ * Sends the next album of job `id`, unless the chat's rate limit (or another
+ * request working on the job) says to wait.
+ *
+ * Resolves to `{ job, retryAfter? }`, `retryAfter` in seconds, or null for an
+ * unknown job. A refusal from Telegram other than flood control fails the
+ * job; network errors reject and leave the job as it was, so the same album
+ * can be retried.
+ */
+async function sendNextAlbum(id) {
+    const redis = getRedis();
+    if (!await redis.set(KEYS.lease(id), '1', { nx: true, ex: LEASE_SECONDS })) {
+        const job = await getSend(id);
+        return job && { job, retryAfter: 2 };
+    }
+
+    try {
+        const job = await getSend(id);
+        if (!job || job.status !== 'sending') return job && { job };
+
+        const wait = Number(await redis.get(KEYS.pace(job.chatId)) || 0) - Date.now();
+        if (wait > 0) return { job, retryAfter: Math.ceil(wait / 1000) };
+
+        const ids = job.albums[job.next];
+        const entries = await getMediaMany(ids);
+        for (const missing of ids.filter(itemId => !entries.some(entry => entry.id === itemId))) {
+            job.skipped.push({ id: missing, reason: 'No longer in the gallery' });
+        }
+
+        if (entries.length > 0) {
+            const { method, form } = await albumRequest(job.chatId, entries);
+            const reply = await callTelegram(method, form);
+            if (!reply) throw new Error(`Telegram ${method} could not be completed`);
+            if (reply.error_code === 429) {
+                const retryAfter = reply.parameters?.retry_after || 5;
+                await redis.set(KEYS.pace(job.chatId), Date.now() + retryAfter * 1000, { ex: retryAfter + 60 });
+                return { job, retryAfter };
+            }
+            if (!reply.ok) {
+                Object.assign(job, { status: 'failed', error: reply.description || 'Telegram refused the album' });
+                await saveJob(job);
+                return { job };
+            }
+
+            const perMessage = String(job.chatId).startsWith('-') ? GROUP_MS_PER_MESSAGE : PRIVATE_MS_PER_MESSAGE;
+            const pause = entries.length * perMessage;
+            await redis.set(KEYS.pace(job.chatId), Date.now() + pause, { ex: Math.ceil(pause / 1000) + 60 });
+        }
+
+        job.sent += entries.length;
+        job.total -= ids.length - entries.length;
+        job.next++;
+        if (job.next >= job.albums.length) job.status = 'done';
+        // Cancelled while this album was on its way
+        if ((await getSend(id))?.status === 'cancelled') job.status = 'cancelled';
+        await saveJob(job);
+        return { job };
+    } finally {
+        await redis.del(KEYS.lease(id));
+    }
+}
+
+async function cancelSend(job) {
+    if (job.status === 'sending') {
+        job.status = 'cancelled';
+        await saveJob(job);
+    }
+    return job;
+}
+
+module.exports = {
+    KEYS,
+    sendTargets,
+    listSendTargets,
+    sendStatus,
+    createSend,
+    getSend,
+    sendNextAlbum,
+    cancelSend
+};
@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { getRedis } = require('./redis');
+const { getMedia, updateMedia } = require('./media-store');
+const { runFfmpeg } = require('./derivatives');
+const { FFPROBE } = require('./media-info');
+const { storageForUrl, removeStored } = require('./storage');
+
+// Key layout:
+//   transcode:queue         sorted set of video ids waiting to be transcoded, scored by their next attempt time
+//   transcode:lease:<id>    random token of the worker transcoding the video; expires if the worker dies
+const KEYS = {
+    queue: 'transcode:queue',
+    lease: id => `transcode:lease:${id}`
+};
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 10 * 60 * 1000;
+const LEASE_SECONDS = 60 * 60;
+
+// Longest edge of the web-safe MP4; larger videos are scaled down
+const MAX_EDGE = 1920;
+const HLS_SEGMENT_SECONDS = 6;
+const AUDIO_BITRATE = '128k';
+
+const CONTENT_TYPES = {
+    mp4: 'video/mp4',
+    m3u8: 'application/vnd.apple.mpegurl',
+    ts: 'video/mp2t'
+};
+
+function transcodeEnabled() {
+    return ['1', 'true', 'yes'].includes(String(process.env.TRANSCODE_VIDEOS || '').toLowerCase());
+}
+
+// TRANSCODE_HLS_HEIGHTS="1080,720,360" -> [1080, 720, 360]; empty means MP4 only
+function hlsHeights() {
+    return String(process.env.TRANSCODE_HLS_HEIGHTS || '')
+        .split(',')
+        .map(value => parseInt(value, 10))
+        .filter(height => height >= 144)
+        .sort((a, b) => b - a);
+}
+
+// libx264 preset; slower ones compress better at a high CPU cost
+function x264Preset() {
+    return process.env.TRANSCODE_PRESET || 'veryfast';
+}
+
+async function probe(filePath) {
+    const output = await runFfmpeg(['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath], FFPROBE);
+    const result = JSON.parse(output.toString());
+    const streams = result.streams || [];
+    const video = streams.find(stream => stream.codec_type === 'video');
+    if (video) {
+        // Phones record portrait video as rotated landscape; ffmpeg turns it upright when encoding
+        const rotation = Math.abs(Number(video.tags?.rotate || video.side_data_list?.find(d => d.rotation !== undefined)?.rotation || 0));
+        const turned = rotation === 90 || rotation === 270;
+        video.displayWidth = turned ? video.height : video.width;
+        video.displayHeight = turned ? video.width : video.height;
+    }
+    return {
+        video,
+        audio: streams.find(stream => stream.codec_type === 'audio'),
+        duration: Number(result.format?.duration) || null
+    };
+}
+
+// H.264 in yuv420p with AAC (or no) audio plays everywhere; only the container needs fixing
+function isWebSafe({ video, audio }) {
+    return video.codec_name === 'h264'
+        && video.pix_fmt === 'yuv420p'
+        && (!audio || audio.codec_name === 'aac')
+        && Math.max(video.displayWidth, video.displayHeight) <= MAX_EDGE;
+}
+
+function h264Args(preset) {
+    return ['-c:v', 'libx264', '-preset', preset, '-profile:v', 'high', '-pix_fmt', 'yuv420p'];
+}
+
+function aacArgs() {
+    return ['-c:a', 'aac', '-b:a', AUDIO_BITRATE, '-ac', '2'];
+}
+
+// The web-safe MP4: remuxed when the streams already qualify, re-encoded otherwise
+async function normalize(input, output, streams) {
+    // Container tags (location, device) are dropped; stream side data such as rotation is kept
+    const common = ['-v', 'error', '-y', '-i', input, '-map', '0:v:0', '-map', '0:a:0?', '-map_metadata:g', '-1'];
+    const codecs = isWebSafe(streams)
+        ? ['-c', 'copy']
+        : [
+            ...h264Args(x264Preset()), '-crf', '23',
+            '-vf', `scale=w='min(${MAX_EDGE},iw)':h='min(${MAX_EDGE},ih)':force_original_aspect_ratio=decrease:force_divisible_by=2`,
+            ...aacArgs()
+        ];
+    await runFfmpeg([...common, ...codecs, '-movflags', '+faststart', output]);
+}
+
+// Roughly 5 Mbit/s at 1080p, 2.3 at 720p, 0.6 at 360p
+function targetKbps(height) {
+    return Math.max(300, Math.round(height * height * 0.0045));
+}
+
+function even(value) {
+    return Math.max(2, Math.round(value / 2) * 2);
+}
+
+// The configured heights the video is large enough for, or its own size when it is smaller than all of them.
+// For portrait video the height applies to the width, so "720p" stays 720 pixels across the short edge.
+function renditionSizes(width, height) {
+    const portrait = height > width;
+    const shortEdge = Math.min(width, height);
+    const fitting = hlsHeights().filter(target => target <= shortEdge);
+    const targets = fitting.length ? fitting : [even(shortEdge)];
+    return targets.map(target => {
+        const longEdge = even(target * Math.max(width, height) / shortEdge);
+        return {
+            name: `${target}p`,
+            target,
+            width: portrait ? target : longEdge,
+            height: portrait ? longEdge : target,
+            // -2 keeps the aspect ratio at an even size once ffmpeg has turned the frame upright
+            scale: portrait ? `${target}:-2` : `-2:${target}`
+        };
+    });
+}
+
+// One HLS rendition as a single .ts file addressed by byte ranges from its playlist
+async function encodeRendition(input, dir, size) {
+    const kbps = targetKbps(size.target);
+    const gop = HLS_SEGMENT_SECONDS * 24;
+    await runFfmpeg([
+        '-v', 'error', '-y', '-i', input, '-map', '0:v:0', '-map', '0:a:0?',
+        ...h264Args(x264Preset()),
+        '-vf', `scale=${size.scale}`,
+        '-b:v', `${kbps}k`, '-maxrate', `${Math.round(kbps * 1.1)}k`, '-bufsize', `${kbps * 2}k`,
+        '-g', String(gop), '-keyint_min', String(gop), '-sc_threshold', '0',
+        ...aacArgs(),
+        '-f', 'hls', '-hls_time', String(HLS_SEGMENT_SECONDS), '-hls_playlist_type', 'vod',
+        '-hls_flags', 'single_file', '-hls_segment_filename', path.join(dir, `${size.name}.ts`),
+        path.join(dir, `${size.name}.m3u8`)
+    ]);
+}
+
+function masterPlaylist(renditions) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:4'];
+    for (const rendition of renditions) {
+        lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`);
+        lines.push(`${rendition.name}.m3u8`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Transcodes one video entry and stores the results next to its original, in
+ * the same storage driver, under `videos/<id>/`. Needs only a CPU build of
+ * ffmpeg (libx264 and the native AAC encoder).
+ *
+ * Always produces a web-safe H.264/AAC MP4 with the index up front, remuxed
+ * when the original already qualifies. With TRANSCODE_HLS_HEIGHTS set it also
+ * writes an HLS rendition per height plus a master playlist. Resolves to the
+ * `variants` field for the entry:
+ *
+ *   { mp4: { url, width, height, bytes },
+ *     hls?: { url, renditions: [{ name, width, height, bandwidth, url, mediaUrl }] } }
+ */
+async function transcodeVideo(entry) {
+    const storage = storageForUrl(entry.url);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcode-'));
+    const prefix = `videos/${entry.id}`;
+    try {
+        const input = path.join(dir, 'original');
+        await pipeline(await storage.open(entry.url), fs.createWriteStream(input));
+
+        const streams = await probe(input);
+        if (!streams.video) throw new Error('No video stream');
+
+        const mp4Path = path.join(dir, 'web.mp4');
+        await normalize(input, mp4Path, streams);
+        fs.rmSync(input, { force: true });
+
+        const { video, duration } = await probe(mp4Path);
+        const mp4 = fs.readFileSync(mp4Path);
+        const variants = {
+            mp4: {
+                url: await storage.put(`${prefix}/web.mp4`, mp4, { contentType: CONTENT_TYPES.mp4 }),
+                width: video.displayWidth,
+                height: video.displayHeight,
+                bytes: mp4.length
+            }
+        };
+        if (hlsHeights().length === 0) return variants;
+
+        const renditions = [];
+        for (const size of renditionSizes(video.displayWidth, video.displayHeight)) {
+            await encodeRendition(mp4Path, dir, size);
+            const media = fs.readFileSync(path.join(dir, `${size.name}.ts`));
+            const playlist = fs.readFileSync(path.join(dir, `${size.name}.m3u8`));
+            renditions.push({
+                name: size.name,
+                width: size.width,
+                height: size.height,
+                // Measured rather than the target, so players pick renditions they can sustain
+                bandwidth: duration ? Math.round(media.length * 8 / duration) : targetKbps(size.target) * 1000,
+                mediaUrl: await storage.put(`${prefix}/${size.name}.ts`, media, { contentType: CONTENT_TYPES.ts }),
+                url: await storage.put(`${prefix}/${size.name}.m3u8`, playlist, { contentType: CONTENT_TYPES.m3u8 })
+            });
+        }
+        variants.hls = {
+            url: await storage.put(`${prefix}/master.m3u8`, Buffer.from(masterPlaylist(renditions)), { contentType: CONTENT_TYPES.m3u8 }),
+            renditions
+        };
+        return variants;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function variantUrls(variants) {
+    if (!variants) return [];
+    const { mp4, hls } = variants;
+    return [mp4?.url, hls?.url, ...(hls?.renditions || []).flatMap(r => [r.url, r.mediaUrl])].filter(Boolean);
+}
+
+/**
+ * Queues a video for transcoding (TRANSCODE_VIDEOS) and marks its entry.
+ * Also used to redo a video, e.g. after a failure or a change of renditions.
+ * Returns the updated entry, or null when there is nothing to transcode.
+ */
+async function queueTranscode(id) {
+    if (!transcodeEnabled()) return null;
+    const entry = await getMedia(id);
+    if (entry?.type !== 'video') return null;
+
+    const updated = await updateMedia(id, { transcode: { status: 'queued', attempts: 0, queuedAt: Date.now() } });
+    await getRedis().zadd(KEYS.queue, { score: Date.now(), member: id });
+    return updated;
+}
+
+/**
+ * Transcodes one queued video, unless another worker holds it. Failures are
+ * retried later, up to three attempts, after which the entry is marked failed
+ * and keeps playing its original.
+ *
+ * Resolves to `{ entry, status }` with status 'done', 'retry' or 'failed', or
+ * null when the video was skipped (taken, deleted or trashed meanwhile).
+ */
+async function processTranscode(id) {
+    const redis = getRedis();
+    const token = crypto.randomUUID();
+    if (!await redis.set(KEYS.lease(id), token, { nx: true, ex: LEASE_SECONDS })) return null;
+
+    try {
+        const entry = await getMedia(id);
+        if (entry?.type !== 'video') {
+            await redis.zrem(KEYS.queue, id);
+            return null;
+        }
+
+        const attempts = (entry.transcode?.attempts || 0) + 1;
+        try {
+            const variants = await transcodeVideo(entry);
+            const updated = await updateMedia(id, {
+                variants,
+                transcode: { status: 'done', attempts, transcodedAt: Date.now() }
+            });
+            await redis.zrem(KEYS.queue, id);
+
+            // Files of an earlier transcode this one no longer has; all new ones if the video went meanwhile
+            const current = new Set(variantUrls(variants));
+            const stale = updated ? variantUrls(entry.variants).filter(url => !current.has(url)) : [...current];
+            if (stale.length) await removeStored(stale);
+
+            return updated ? { entry: updated, status: 'done' } : null;
+        } catch (err) {
+            const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'retry';
+            console.error(`Transcode ${id} attempt ${attempts} failed (${status}):`, err.message);
+            const updated = await updateMedia(id, {
+                transcode: { status: status === 'failed' ? 'failed' : 'queued', attempts, error: err.message, failedAt: Date.now() }
+            });
+            if (status === 'failed' || !updated) await redis.zrem(KEYS.queue, id);
+            else await redis.zadd(KEYS.queue, { score: Date.now() + RETRY_DELAY_MS * attempts, member: id });
+            return updated ? { entry: updated, status } : null;
+        }
+    } finally {
+        // A transcode that outlived its lease must not release the next worker's
+        if (await redis.get(KEYS.lease(id)) === token) await redis.del(KEYS.lease(id));
+    }
+}
+
+/**
+ * Works through videos whose transcode is due, oldest first, until `limit`
+ * have been attempted or `deadline` (ms timestamp) has passed.
+ */
+async function processDueTranscodes({ limit = 1, deadline = Infinity } = {}) {
+    const ids = await getRedis().zrange(KEYS.queue, '-inf', Date.now(), { byScore: true, offset: 0, count: limit });
+    const outcomes = [];
+    for (const id of ids.map(String)) {
+        if (Date.now() > deadline) break;
+        const outcome = await processTranscode(id);
+        if (outcome) outcomes.push(outcome);
+    }
+    return outcomes;
+}
+
+module.exports = {
+    KEYS,
+    transcodeEnabled,
+    transcodeVideo,
+    variantUrls,
+    queueTranscode,
+    processTranscode,
+    processDueTranscodes
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { getMedia, listTrash, removeMedia } = require('./media-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+// How long deleted media stays restorable (TRASH_RETENTION_DAYS)
+function retentionDays() {
+    const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// When a trashed entry will be purged automatically
+function purgeAt(entry) {
+    return entry.deletedAt + retentionDays() * DAY_MS;
+}
+
+// Permanently deletes one trashed entry and its files; null when it is not in the trash
+async function purgeMedia(id, deleteFiles) {
+    const entry = await getMedia(id, { includeTrashed: true });
+    if (!entry?.deletedAt) return null;
+    await deleteFiles(entry);
+    await removeMedia(entry.id);
+    return entry;
+}
+
+/**
+ * Permanently deletes trashed media: everything past the retention period, or
+ * the whole trash with `all`. `deleteFiles(entry)` removes the stored original
+ * and derivatives; an entry whose files cannot be deleted stays in the trash
+ * for the next run. `onPurged(entry)` is awaited after each deletion (for the
+ * audit log). Resolves to `{ purged, failed }` (lists of ids).
+ */
+async function purgeTrash(deleteFiles, { all = false, onPurged = async () => {} } = {}) {
+    const entries = await listTrash(all ? {} : { before: Date.now() - retentionDays() * DAY_MS });
+    const purged = [];
+    const failed = [];
+
+    for (const entry of entries) {
+        try {
+            await purgeMedia(entry.id, deleteFiles);
+            purged.push(entry.id);
+            await onPurged(entry);
+        } catch (err) {
+            console.error(`Purging ${entry.filename || entry.id} failed:`, err.message);
+            failed.push(entry.id);
+        }
+    }
+    return { purged, failed };
+}
+
+// Cron jobs authenticate with `Authorization: Bearer <CRON_SECRET>` (what Vercel Cron sends)
+function isCronRequest(req) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return false;
+    const a = Buffer.from(String(req.headers?.authorization || ''));
+    const b = Buffer.from(`Bearer ${secret}`);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+    retentionDays,
+    purgeAt,
+    purgeMedia,
+    purgeTrash,
+    isCronRequest
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { getRedis } = require('./redis');
+const { formatSize } = require('./stats');
+
+// Quota counters outlive their day slightly so late uploads near midnight still see them
+const QUOTA_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+function idList(value) {
+    return new Set(String(value || '').split(',').map(id => id.trim()).filter(Boolean));
+}
+
+// Telegram user ids allowed to run destructive commands (TELEGRAM_ADMIN_IDS, comma separated)
+function isAdmin(userId) {
+    return userId !== undefined && userId !== null && idList(process.env.TELEGRAM_ADMIN_IDS).has(String(userId));
+}
+
+// Telegram users who may only view the gallery (TELEGRAM_VIEWER_IDS, comma separated)
+function isListedViewer(userId) {
+    return userId !== undefined && userId !== null && idList(process.env.TELEGRAM_VIEWER_IDS).has(String(userId));
+}
+
+function megabytes(value) {
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) || parsed <= 0 ? null : Math.round(parsed * 1024 * 1024);
+}
+
+function positiveInt(value) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed <= 0 ? null : parsed;
+}
+
+// Limits come from the environment; unset values mean no limit
+function uploadLimits() {
+    return {
+        allowedChats: idList(process.env.TELEGRAM_ALLOWED_CHAT_IDS),
+        allowedUsers: idList(process.env.TELEGRAM_ALLOWED_USER_IDS),
+        maxFileBytes: megabytes(process.env.UPLOAD_MAX_FILE_MB),
+        dailyCount: positiveInt(process.env.UPLOAD_DAILY_COUNT),
+        dailyBytes: megabytes(process.env.UPLOAD_DAILY_MB)
+    };
+}
+
+/**
+ * Checks Telegram's `X-Telegram-Bot-Api-Secret-Token` header against
+ * TELEGRAM_WEBHOOK_SECRET (the `secret_token` passed to setWebhook).
+ * Without a configured secret every request passes, as before.
+ */
+function verifyWebhookSecret(headers = {}) {
+    const expected = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!expected) return true;
+    const received = String(headers['x-telegram-bot-api-secret-token'] || '');
+    const a = Buffer.from(received);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * True when a Telegram user is named as an uploader: admins, users on
+ * TELEGRAM_ALLOWED_USER_IDS and users whose private chat with the bot is on
+ * TELEGRAM_ALLOWED_CHAT_IDS. Used to grant the uploader role at web login, so
+ * unlike bot uploads an empty allowlist lets nobody in.
+ */
+function isListedUploader(userId) {
+    if (isAdmin(userId)) return true;
+    const limits = uploadLimits();
+    return limits.allowedUsers.has(String(userId)) || limits.allowedChats.has(String(userId));
+}
+
+/**
+ * Whether the chat or sender of a Telegram message is let in: admins always,
+ * chats and users on either allowlist, and everyone while neither list is
+ * configured unless `listedOnly` is set.
+ */
+function chatAllowed(message, { listedOnly = false } = {}) {
+    const limits = uploadLimits();
+    if (isAdmin(message.from?.id)) return true;
+    if (!listedOnly && !limits.allowedChats.size && !limits.allowedUsers.size) return true;
+    return limits.allowedChats.has(String(message.chat?.id)) || limits.allowedUsers.has(String(message.from?.id));
+}
+
+function quotaKey(userId) {
+    return `quota:${userId}:${new Date().toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Checks the size limit and reserves one file of `bytes` against the daily
+ * quota of `quotaId`. Quotas are reserved up front with HINCRBY so parallel
+ * uploads (album items) cannot overshoot them.
+ */
+async function reserveUpload(quotaId, fileSize) {
+    const limits = uploadLimits();
+    const noop = async () => {};
+
+    const bytes = fileSize || 0;
+    if (limits.maxFileBytes && bytes > limits.maxFileBytes) {
+        return { allowed: false, reason: `⛔ File is too large (${formatSize(bytes)}, limit ${formatSize(limits.maxFileBytes)}).` };
+    }
+
+    if (!limits.dailyCount && !limits.dailyBytes) return { allowed: true, release: noop, reservation: null };
+    if (!quotaId) return { allowed: false, reason: '⛔ Anonymous uploads are not allowed.' };
+
+    const redis = getRedis();
+    const key = quotaKey(quotaId);
+    const tx = redis.multi();
+    tx.hincrby(key, 'count', 1);
+    tx.hincrby(key, 'bytes', bytes);
+    tx.expire(key, QUOTA_TTL_SECONDS);
+    const [count, total] = await tx.exec();
+
+    const reservation = { key, bytes };
+    const release = () => releaseUpload(reservation);
+
+    if (limits.dailyCount && count > limits.dailyCount) {
+        await release();
+        return { allowed: false, reason: `⛔ Daily upload limit reached (${limits.dailyCount} files).` };
+    }
+    if (limits.dailyBytes && total > limits.dailyBytes) {
+        await release();
+        return { allowed: false, reason: `⛔ Daily upload limit reached (${formatSize(limits.dailyBytes)}).` };
+    }
+    return { allowed: true, release, reservation };
+}
+
+/**
+ * Decides whether a Telegram message may add `fileSize` bytes to the gallery.
+ *
+ * Chats and users are allowed when neither allowlist is configured, or when
+ * either list contains them; admins (TELEGRAM_ADMIN_IDS) always pass and have
+ * no quota.
+ *
+ * Resolves to `{ allowed: true, release, reservation }` or `{ allowed: false, reason }`.
+ * Call `release()` when the upload does not end up stored (duplicate or
+ * failure) to hand the reservation back; `reservation` is the same as plain
+ * data (null without quotas) for `releaseUpload` once the upload is queued.
+ */
+async function authorizeUpload(message, fileSize) {
+    const userId = message.from?.id;
+    if (isAdmin(userId)) return { allowed: true, release: async () => {}, reservation: null };
+    if (!chatAllowed(message)) return { allowed: false, reason: '⛔ Uploads from this chat are not allowed.' };
+    return reserveUpload(userId, fileSize);
+}
+
+/**
+ * Same decision for an upload from the web gallery by a signed-in user (see
+ * lib/auth.js). Admins have no limits; Telegram logins share the daily quota
+ * of their bot uploads. Resolves like `authorizeUpload`.
+ */
+async function authorizeWebUpload(session, fileSize) {
+    if (session.role === 'admin') return { allowed: true, release: async () => {}, reservation: null };
+    const quotaId = String(session.sub || '').replace(/^tg:/, '');
+    return reserveUpload(quotaId, fileSize);
+}
+
+// Hands a quota reservation from authorizeUpload back
+async function releaseUpload(reservation) {
+    if (!reservation) return;
+    const undo = getRedis().multi();
+    undo.hincrby(reservation.key, 'count', -1);
+    undo.hincrby(reservation.key, 'bytes', -reservation.bytes);
+    await undo.exec();
+}
+
+module.exports = {
+    isAdmin,
+    isListedViewer,
+    verifyWebhookSecret,
+    isListedUploader,
+    chatAllowed,
+    authorizeUpload,
+    authorizeWebUpload,
+    releaseUpload
+};
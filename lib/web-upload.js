@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { getRedis } = require('./redis');
+const { ingestMedia } = require('./media-service');
+const { authorizeWebUpload, releaseUpload } = require('./upload-policy');
+const { diskStorage, storageForUrl, removeStored } = require('./storage');
+
+// Key layout:
+//   upload:<id>        JSON upload in progress
+//   upload:pending     sorted set of upload ids scored by their last activity; a day without
+//                      new chunks and purgeStaleUploads gives the upload up
+//
+// Chunks are kept until the upload completes, so a transfer can resume in a
+// later request (or, for serverless functions, on another instance) from
+// wherever it stopped. With local storage they wait under UPLOAD_STAGING_DIR
+// (data/uploads), outside the served public/ directory; remote stores hold
+// them as `uploads/<key>/<n>`, where `<key>` is a random name never sent to
+// the browser. Completing streams the chunks into one temp file for ingest.
+const KEYS = {
+    upload: id => `upload:${id}`,
+    pending: 'upload:pending'
+};
+
+// Vercel functions accept request bodies up to 4.5 MB
+const CHUNK_SIZE = 4 * 1024 * 1024;
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+const STAGING_DIR = process.env.UPLOAD_STAGING_DIR || path.join(__dirname, '..', 'data', 'uploads');
+
+let staging;
+function stagingStorage() {
+    return (staging ||= diskStorage(STAGING_DIR));
+}
+
+// Staged chunks on local disk have root-relative URLs, like local gallery files
+function partStorage(url) {
+    return String(url).startsWith('/') ? stagingStorage() : storageForUrl(url);
+}
+
+function parseUpload(raw) {
+    if (!raw) return null;
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+}
+
+async function saveUpload(upload) {
+    const redis = getRedis();
+    upload.updatedAt = Date.now();
+    const tx = redis.multi();
+    tx.set(KEYS.upload(upload.id), JSON.stringify(upload));
+    tx.zadd(KEYS.pending, { score: upload.updatedAt, member: upload.id });
+    await tx.exec();
+}
+
+async function dropUpload(upload) {
+    const tx = getRedis().multi();
+    tx.del(KEYS.upload(upload.id));
+    tx.zrem(KEYS.pending, upload.id);
+    await tx.exec();
+    // Chunks staged on local disk share one directory per upload
+    fs.rmSync(path.join(STAGING_DIR, upload.id), { recursive: true, force: true });
+    await removeStored(upload.parts.filter(url => !String(url).startsWith('/')));
+}
+
+// What the browser needs to continue an upload
+function uploadStatus(upload) {
+    const { id, fileName, size, received, chunkSize } = upload;
+    return { id, fileName, size, received, chunkSize };
+}
+
+/**
+ * Starts an upload from the web gallery for the signed-in `session` (at least
+ * the uploader role). `file` is `{ fileName, size, type }` as the browser
+ * reports it; the size limit and daily quota apply as for bot uploads.
+ *
+ * Resolves to `{ upload }` or `{ status, error }`.
+ */
+async function startUpload(session, { fileName, size, type } = {}) {
+    const bytes = Number(size);
+    if (!fileName || typeof fileName !== 'string') return { status: 400, error: 'fileName is required' };
+    if (!Number.isInteger(bytes) || bytes <= 0) return { status: 400, error: 'size must be a positive number of bytes' };
+
+    const grant = await authorizeWebUpload(session, bytes);
+    if (!grant.allowed) return { status: 413, error: grant.reason.replace(/^⛔ /, '') };
+
+    const upload = {
+        id: crypto.randomUUID(),
+        fileName: fileName.slice(0, 255),
+        declaredType: typeof type === 'string' ? type : undefined,
+        size: bytes,
+        chunkSize: CHUNK_SIZE,
+        received: 0,
+        parts: [],
+        owner: session.sub,
+        uploadedBy: session.name,
+        reservation: grant.reservation,
+        stagingKey: crypto.randomUUID(),
+        createdAt: Date.now()
+    };
+    await saveUpload(upload);
+    return { upload };
+}
+
+/**
+ * An upload in progress, if `session` started it (admins may see any).
+ * Resolves to null otherwise.
+ */
+async function getUpload(id, session) {
+    const upload = parseUpload(await getRedis().get(KEYS.upload(id)));
+    if (!upload) return null;
+    return upload.owner === session.sub || session.role === 'admin' ? upload : null;
+}
+
+/**
+ * Stores the next chunk. `offset` must equal the bytes received so far, so a
+ * retried or out-of-order chunk is refused with the offset to continue from.
+ * Resolves to `{ upload }` or `{ status, error, received }`.
+ */
+async function appendChunk(upload, offset, chunk, { storage }) {
+    if (Number(offset) !== upload.received) {
+        return { status: 409, error: 'Unexpected offset', received: upload.received };
+    }
+    if (!chunk?.length || chunk.length > CHUNK_SIZE) {
+        return { status: 400, error: `Chunks must be 1 byte to ${CHUNK_SIZE} bytes` };
+    }
+    if (upload.received + chunk.length > upload.size) {
+        return { status: 400, error: 'More data than the announced size', received: upload.received };
+    }
+
+    // Uploads started before staging keys existed keep their id as the key
+    const url = storage.name === 'local'
+        ? await stagingStorage().put(`${upload.id}/${upload.parts.length}`, chunk)
+        : await storage.put(`uploads/${upload.stagingKey || upload.id}/${upload.parts.length}`, chunk, { contentType: 'application/octet-stream' });
+    upload.parts.push(url);
+    upload.received += chunk.length;
+    await saveUpload(upload);
+    return { upload };
+}
+
+// Streams the chunks into `filePath` in order
+async function assembleParts(upload, filePath) {
+    async function* chunks() {
+        for (const url of upload.parts) yield* await partStorage(url).open(url);
+    }
+    await pipeline(chunks, fs.createWriteStream(filePath));
+}
+
+/**
+ * Assembles a fully received upload and ingests it like a Telegram upload
+ * (lib/media-service.js), with `uploadedBy` from the session that started it.
+ * The quota is handed back unless a new entry was stored. When ingest fails
+ * for any reason other than the content, the chunks are kept so completing
+ * can be retried.
+ *
+ * Resolves to `{ entry, duplicate }` or `{ status, error }`.
+ */
+async function completeUpload(upload, { storage }) {
+    if (upload.received !== upload.size) {
+        return { status: 409, error: `Upload incomplete (${upload.received} of ${upload.size} bytes)` };
+    }
+
+    let result;
+    const filePath = path.join(os.tmpdir(), `upload-${upload.id}`);
+    try {
+        await assembleParts(upload, filePath);
+        result = await ingestMedia({ filePath }, {
+            storage,
+            fileName: upload.fileName,
+            declaredType: upload.declaredType,
+            source: 'web',
+            uploadedBy: upload.uploadedBy
+        });
+    } catch (err) {
+        if (!/^Unsupported file type/.test(err.message)) throw err;
+        result = { status: 415, error: err.message };
+    } finally {
+        fs.rmSync(filePath, { force: true });
+    }
+
+    await dropUpload(upload);
+    if (!result.entry || result.duplicate) await releaseUpload(upload.reservation);
+    return result;
+}
+
+// Gives up an upload: its chunks are deleted and its quota handed back
+async function abortUpload(upload) {
+    await dropUpload(upload);
+    await releaseUpload(upload.reservation);
+}
+
+// Gives up uploads that received nothing for a day, deleting their chunks
+async function purgeStaleUploads() {
+    const redis = getRedis();
+    const stale = await redis.zrange(KEYS.pending, '-inf', Date.now() - STALE_AFTER_MS, { byScore: true });
+    for (const id of stale.map(String)) {
+        const upload = parseUpload(await redis.get(KEYS.upload(id)));
+        if (upload) await abortUpload(upload);
+        else await redis.zrem(KEYS.pending, id);
+    }
+    return stale.length;
+}
+
+module.exports = {
+    KEYS,
+    CHUNK_SIZE,
+    uploadStatus,
+    startUpload,
+    getUpload,
+    appendChunk,
+    completeUpload,
+    abortUpload,
+    purgeStaleUploads
+};
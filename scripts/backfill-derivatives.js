@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Generates thumbnails, previews and poster frames for media entries that
+ * don't have them yet (anything ingested before the derivative pipeline).
+ *
+ *   node scripts/backfill-derivatives.js [--dry-run] [--limit=N]
+ *
+ * Each original is read from the store that holds it (lib/storage.js) and its
+ * derivatives are written next to it: public/derivatives for local files,
+ * Vercel Blob (BLOB_READ_WRITE_TOKEN) or the S3 bucket (S3_*) otherwise.
+ */
+require('dotenv').config();
+const { listMedia, updateMedia } = require('../lib/media-store');
+const { buildDerivatives, needsDerivatives, storageSaver } = require('../lib/derivatives');
+const { storageForUrl } = require('../lib/storage');
+
+async function loadSource(entry, store) {
+    if (store.pathFor) return { filePath: store.pathFor(entry.url) };
+    const chunks = [];
+    for await (const chunk of await store.open(entry.url)) chunks.push(chunk);
+    return { buffer: Buffer.concat(chunks) };
+}
+
+async function backfill({ dryRun, limit }) {
+    const pending = (await listMedia()).filter(needsDerivatives).slice(0, limit);
+    console.log(`${pending.length} media entries need derivatives`);
+    if (dryRun) return;
+
+    let done = 0;
+    let failed = 0;
+
+    for (const entry of pending) {
+        try {
+            const store = storageForUrl(entry.url);
+            const derivatives = await buildDerivatives(entry, await loadSource(entry, store), storageSaver(store));
+            if (Object.keys(derivatives).length === 0) throw new Error('no derivatives produced');
+
+            await updateMedia(entry.id, derivatives);
+            done++;
+            console.log(`✅ ${entry.filename}`);
+        } catch (err) {
+            failed++;
+            console.error(`❌ ${entry.filename}: ${err.message}`);
+        }
+    }
+
+    console.log(`Backfill complete: ${done} updated, ${failed} failed`);
+}
+
+const args = process.argv.slice(2);
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+backfill({
+    dryRun: args.includes('--dry-run'),
+    limit: limitArg ? parseInt(limitArg.split('=')[1], 10) : undefined
+})
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('❌ Backfill failed:', err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Computes the perceptual hash behind the similar photos review for images
+ * ingested before it was recorded.
+ *
+ *   node scripts/backfill-phash.js [--dry-run] [--limit=N]
+ *
+ * Each original is read from the store that holds it (lib/storage.js); images
+ * that cannot be decoded are reported and stay out of the review.
+ */
+require('dotenv').config();
+const { listMedia, updateMedia } = require('../lib/media-store');
+const { perceptualHash } = require('../lib/similar');
+const { storageForUrl } = require('../lib/storage');
+
+async function loadSource(entry) {
+    const store = storageForUrl(entry.url);
+    if (store.pathFor) return store.pathFor(entry.url);
+    const chunks = [];
+    for await (const chunk of await store.open(entry.url)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+async function backfill({ dryRun, limit }) {
+    const pending = (await listMedia()).filter(entry => entry.type === 'image' && !entry.phash).slice(0, limit);
+    console.log(`${pending.length} images need a perceptual hash`);
+    if (dryRun) return;
+
+    let done = 0;
+    let failed = 0;
+
+    for (const entry of pending) {
+        try {
+            const phash = await perceptualHash(await loadSource(entry));
+            if (!phash) throw new Error('image could not be decoded');
+
+            await updateMedia(entry.id, { phash });
+            done++;
+        } catch (err) {
+            failed++;
+            console.error(`❌ ${entry.filename}: ${err.message}`);
+        }
+    }
+
+    console.log(`Backfill complete: ${done} hashed, ${failed} failed`);
+}
+
+const args = process.argv.slice(2);
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+backfill({
+    dryRun: args.includes('--dry-run'),
+    limit: limitArg ? parseInt(limitArg.split('=')[1], 10) : undefined
+})
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('❌ Backfill failed:', err.message);
+        process.exit(1);
+    });
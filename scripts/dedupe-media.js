@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Finds media stored more than once and merges each set of copies into the
+ * oldest entry.
+ *
+ *   node scripts/dedupe-media.js [--dry-run]
+ *
+ * Entries without a content hash (ingested before deduplication) are hashed
+ * first. For every group of identical files the oldest entry is kept, gains
+ * any metadata only the copies had and takes their place in collections, and
+ * the copies are deleted together with their stored files and derivatives
+ * (local files under public/, Vercel Blob objects with BLOB_READ_WRITE_TOKEN,
+ * S3 objects with the S3_* settings).
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const { getRedis } = require('../lib/redis');
+const { KEYS, listMedia, updateMedia, removeMedia } = require('../lib/media-store');
+const { findDuplicateGroups, planMerge } = require('../lib/dedupe');
+const { replaceMediaInCollections } = require('../lib/collections');
+const { deleteMediaFiles } = require('../lib/media-service');
+const { storageForUrl } = require('../lib/storage');
+
+async function hashEntry(entry) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of await storageForUrl(entry.url).open(entry.url)) hash.update(chunk);
+    return hash.digest('hex');
+}
+
+async function dedupe({ dryRun }) {
+    const entries = await listMedia();
+
+    // 1. Hash anything ingested before hashes were recorded
+    let hashed = 0;
+    for (const entry of entries.filter(e => !e.sha256)) {
+        try {
+            entry.sha256 = await hashEntry(entry);
+            if (!dryRun) await updateMedia(entry.id, { sha256: entry.sha256 });
+            hashed++;
+        } catch (err) {
+            console.error(`❌ Could not hash ${entry.filename}: ${err.message}`);
+        }
+    }
+    console.log(`Hashed ${hashed} entries`);
+
+    // 2. Merge every group of identical files into its oldest entry
+    const groups = findDuplicateGroups(entries);
+    let removed = 0;
+    for (const group of groups) {
+        const { keep, changes, remove } = planMerge(group);
+        console.log(`${keep.filename}: ${remove.length} duplicate(s) ${remove.map(e => e.filename).join(', ')}`);
+        if (dryRun) continue;
+
+        for (const duplicate of remove) {
+            try {
+                await deleteMediaFiles(duplicate);
+            } catch (err) {
+                console.error(`⚠️  Could not delete files of ${duplicate.filename}: ${err.message}`);
+            }
+            await replaceMediaInCollections(duplicate.id, keep.id);
+            await removeMedia(duplicate.id);
+            removed++;
+        }
+        // Removing a copy also drops the shared hash -> id mapping; point it back at the survivor
+        await updateMedia(keep.id, changes);
+        await getRedis().hset(KEYS.byHash, { [keep.sha256]: keep.id });
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}${groups.length} duplicate group(s), ${dryRun ? 0 : removed} entries removed`);
+}
+
+dedupe({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('❌ Dedupe failed:', err.message);
+        process.exit(1);
+    });
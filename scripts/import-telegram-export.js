@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Imports the photos and videos of a Telegram Desktop chat export ("Export
+ * chat history" with the JSON format and media included).
+ *
+ *   node scripts/import-telegram-export.js <export folder> [--dry-run] [--chat-id=-100123]
+ *
+ * Every file goes through the same ingest as bot uploads (lib/media-service.js)
+ * and keeps its original send date, sender and caption. Files are linked to
+ * their chat and message like uploads the bot received, so messages imported
+ * before, or already uploaded through the bot, are skipped and the import can
+ * be re-run after an interruption. The chat id is derived from the export in
+ * Bot API form (-100... for channels and supergroups); pass --chat-id when it
+ * should match a different id. An export of the whole account imports every
+ * chat in it, each under its own id (--chat-id is refused there).
+ *
+ * Files go to the configured store (STORAGE_DRIVER, local disk by default),
+ * and open galleries are told about every new item.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { findMediaByTelegramMessage } = require('../lib/media-store');
+const { ingestMedia } = require('../lib/media-service');
+const { getStorage } = require('../lib/storage');
+const { recordAudit, telegramActor, auditTarget } = require('../lib/audit');
+const { publishEvent } = require('../lib/events');
+const { withDate } = require('../lib/media-info');
+
+const VIDEO_MEDIA_TYPES = ['video_file', 'video_message', 'animation'];
+
+// Ids in exports lack the prefix the Bot API puts on group and channel ids
+function botApiChatId(chat) {
+    if (/supergroup|channel/.test(chat.type)) return Number(`-100${chat.id}`);
+    if (chat.type === 'private_group') return -chat.id;
+    return chat.id;
+}
+
+// The photo or video file of a message, if the export includes it
+function exportedFile(message) {
+    const file = message.photo || (VIDEO_MEDIA_TYPES.includes(message.media_type) || /^(image|video)\//.test(message.mime_type || '') ? message.file : null);
+    // Files left out of the export are listed as "(File not included. ...)"
+    return typeof file === 'string' && !file.startsWith('(') ? file : null;
+}
+
+// Message text is a string, or an array of strings and formatted parts
+function messageText(text) {
+    if (Array.isArray(text)) return text.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+    return text || '';
+}
+
+function sentAt(message) {
+    return message.date_unixtime ? Number(message.date_unixtime) * 1000 : new Date(message.date).getTime();
+}
+
+function senderId(message) {
+    const match = /^user(\d+)$/.exec(message.from_id || '');
+    return match ? Number(match[1]) : undefined;
+}
+
+async function importChat(chat, folder, { dryRun, chatId, counts }) {
+    const storage = getStorage();
+    const messages = (chat.messages || []).filter(message => message.type === 'message' && exportedFile(message));
+    console.log(`📂 ${chat.name || chatId}: ${messages.length} photos and videos`);
+
+    for (const message of messages) {
+        if (await findMediaByTelegramMessage(chatId, message.id, { includeTrashed: true })) {
+            counts.skipped++;
+            continue;
+        }
+        const file = exportedFile(message);
+        if (dryRun) {
+            counts.imported++;
+            continue;
+        }
+
+        const fromId = senderId(message);
+        const audit = {
+            action: 'ingest',
+            actor: telegramActor(fromId && { id: fromId, first_name: message.from }, message.from || chat.name),
+            details: { source: 'import', chatId }
+        };
+        try {
+            const { entry, duplicate } = await ingestMedia(await fs.promises.readFile(path.join(folder, file)), {
+                storage,
+                fileName: path.basename(file),
+                declaredType: message.mime_type,
+                source: 'import',
+                uploadedBy: message.from || chat.name || 'Unknown',
+                telegram: { chatId, messageId: message.id, fromId },
+                caption: messageText(message.text),
+                timestamp: sentAt(message)
+            });
+            await recordAudit({ ...audit, outcome: duplicate ? 'duplicate' : 'ok', target: auditTarget(entry) });
+            if (duplicate) {
+                counts.duplicates++;
+            } else {
+                counts.imported++;
+                await publishEvent('new-media', withDate(entry));
+                console.log(`✅ ${file}`);
+            }
+        } catch (err) {
+            await recordAudit({ ...audit, outcome: 'failed', target: { filename: path.basename(file) }, details: { ...audit.details, error: err.message } });
+            counts.failed++;
+            console.error(`❌ ${file}: ${err.message}`);
+        }
+    }
+}
+
+async function importExport(folder, { dryRun, chatId }) {
+    if (!folder) throw new Error('Usage: node scripts/import-telegram-export.js <export folder> [--dry-run] [--chat-id=-100123]');
+    const exported = JSON.parse(await fs.promises.readFile(path.join(folder, 'result.json'), 'utf8'));
+    const chats = exported.chats?.list || [exported];
+    // One id for several chats would make their same-numbered messages look imported already
+    if (chatId && chats.length > 1) throw new Error(`--chat-id only applies to a single chat; this export has ${chats.length}`);
+
+    const counts = { imported: 0, skipped: 0, duplicates: 0, failed: 0 };
+    for (const chat of chats) {
+        await importChat(chat, folder, { dryRun, chatId: chatId || botApiChatId(chat), counts });
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Imported ${counts.imported}, skipped ${counts.skipped} imported before, ${counts.duplicates} already in gallery, ${counts.failed} failed.`);
+}
+
+const args = process.argv.slice(2);
+const chatIdArg = args.find(arg => arg.startsWith('--chat-id='));
+importExport(args.find(arg => !arg.startsWith('--')), {
+    dryRun: args.includes('--dry-run'),
+    chatId: chatIdArg ? Number(chatIdArg.split('=')[1]) : undefined
+})
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('❌ Import failed:', err.message);
+        process.exit(1);
+    });
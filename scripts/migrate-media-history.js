@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Converts the legacy `media_history` Redis list into the indexed media store.
+ *
+ *   node scripts/migrate-media-history.js [--dry-run] [--keep]
+ *
+ * Entries whose URL is already indexed are skipped, so the script can be re-run
+ * safely. Afterwards the list is renamed to `media_history:migrated:<time>` as a
+ * backup (pass --keep to leave it in place). Without Upstash credentials in the
+ * environment it runs against the local Redis stand-in (see lib/redis.js).
+ */
+require('dotenv').config();
+const { getRedis } = require('../lib/redis');
+const { LEGACY_HISTORY_KEY, parseEntry, addMedia, findMediaByUrl } = require('../lib/media-store');
+
+async function migrate({ dryRun, keep }) {
+    const redis = getRedis();
+    const history = await redis.lrange(LEGACY_HISTORY_KEY, 0, -1);
+
+    if (!history || history.length === 0) {
+        console.log(`No "${LEGACY_HISTORY_KEY}" list found, nothing to migrate.`);
+        return;
+    }
+
+    let migrated = 0;
+    let skipped = 0;
+    let corrupted = 0;
+
+    for (const raw of history) {
+        const entry = parseEntry(raw);
+        if (!entry || !entry.url) {
+            corrupted++;
+            continue;
+        }
+        if (await findMediaByUrl(entry.url)) {
+            skipped++;
+            continue;
+        }
+        if (!dryRun) await addMedia(entry);
+        migrated++;
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Migrated ${migrated}, skipped ${skipped} already indexed, dropped ${corrupted} corrupted.`);
+
+    if (!dryRun && !keep) {
+        const backupKey = `${LEGACY_HISTORY_KEY}:migrated:${Date.now()}`;
+        await redis.rename(LEGACY_HISTORY_KEY, backupKey);
+        console.log(`Legacy list renamed to ${backupKey}`);
+    }
+}
+
+const args = process.argv.slice(2);
+migrate({ dryRun: args.includes('--dry-run'), keep: args.includes('--keep') })
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('❌ Migration failed:', err.message);
+        process.exit(1);
+    });
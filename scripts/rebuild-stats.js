@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Records exact byte sizes for entries that only have a formatted size and
+ * rebuilds the stats counters from scratch.
+ *
+ *   node scripts/rebuild-stats.js [--dry-run]
+ *
+ * Entries ingested before `sizeBytes` existed are measured by reading their
+ * stored original (local files under public/, Vercel Blob objects, S3 objects
+ * with the S3_* settings). The counters are normally kept up to date on every
+ * ingest and delete; run this once after upgrading, or whenever they drift.
+ */
+require('dotenv').config();
+const { getRedis } = require('../lib/redis');
+const { KEYS, listMedia, listTrash, updateMedia } = require('../lib/media-store');
+const { rebuildCounters } = require('../lib/media-counters');
+const { storageForUrl } = require('../lib/storage');
+
+async function measureEntry(entry) {
+    let bytes = 0;
+    for await (const chunk of await storageForUrl(entry.url).open(entry.url)) bytes += chunk.length;
+    return bytes;
+}
+
+async function rebuild({ dryRun }) {
+    const redis = getRedis();
+    const listed = await listMedia();
+    const trashed = await listTrash();
+
+    // 1. Measure anything stored before exact sizes were recorded
+    let measured = 0;
+    for (const entry of [...listed, ...trashed].filter(e => typeof e.sizeBytes !== 'number')) {
+        try {
+            entry.sizeBytes = await measureEntry(entry);
+            measured++;
+            if (dryRun) continue;
+            // Trashed entries are out of the listings, so their item can be rewritten as is
+            if (entry.deletedAt) await redis.set(KEYS.item(entry.id), JSON.stringify(entry));
+            else await updateMedia(entry.id, { sizeBytes: entry.sizeBytes });
+        } catch (err) {
+            console.error(`❌ Could not measure ${entry.filename}: ${err.message}`);
+        }
+    }
+    console.log(`Measured ${measured} entries`);
+
+    // 2. Recount from the (now exact) sizes
+    if (!dryRun) await rebuildCounters(redis, listed, trashed);
+    console.log(`${dryRun ? '[dry run] ' : ''}Counted ${listed.length} entries and ${trashed.length} in the trash`);
+}
+
+rebuild({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('❌ Stats rebuild failed:', err.message);
+        process.exit(1);
+    });
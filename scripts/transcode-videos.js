@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Queues videos ingested before transcoding was enabled (TRANSCODE_VIDEOS)
+ * and optionally transcodes them right here.
+ *
+ *   node scripts/transcode-videos.js [--all] [--run]
+ *
+ * Without --all only videos that have no transcoded variants yet (or whose
+ * transcode failed) are queued; --all redoes every video, e.g. after changing
+ * TRANSCODE_HLS_HEIGHTS. With --run the queue is worked through in this
+ * process, one video at a time; otherwise the node server or the
+ * /api/transcode/process cron picks the videos up.
+ */
+require('dotenv').config();
+const { listMedia } = require('../lib/media-store');
+const { transcodeEnabled, queueTranscode, processDueTranscodes } = require('../lib/transcode');
+
+async function transcodeVideos({ all, run }) {
+    if (!transcodeEnabled()) throw new Error('TRANSCODE_VIDEOS is not enabled');
+
+    const videos = (await listMedia()).filter(entry => entry.type === 'video');
+    const pending = all ? videos : videos.filter(entry => !entry.variants && entry.transcode?.status !== 'queued');
+    for (const entry of pending) await queueTranscode(entry.id);
+    console.log(`Queued ${pending.length} of ${videos.length} videos`);
+    if (!run) return;
+
+    let done = 0;
+    let failed = 0;
+    for (;;) {
+        const [outcome] = await processDueTranscodes({ limit: 1 });
+        if (!outcome) break;
+        if (outcome.status === 'done') {
+            done++;
+            console.log(`✅ ${outcome.entry.filename}`);
+        } else {
+            failed++;
+            console.error(`❌ ${outcome.entry.filename}: ${outcome.entry.transcode.error}`);
+        }
+    }
+    console.log(`${done} transcoded, ${failed} failed (failures are retried later until they give up)`);
+}
+
+transcodeVideos({ all: process.argv.includes('--all'), run: process.argv.includes('--run') })
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('❌ Transcoding failed:', err.message);
+        process.exit(1);
+    });
@@ -6,25 +6,60 @@ const { Server } = require('socket.io');
 const chokidar = require('chokidar');
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const moment = require('moment');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const { parseHistoryQuery } = require('./lib/query');
+const { addMedia, createMediaId, findMediaByUrl, getMedia, updateMedia, removeMedia, trashMedia, restoreMedia, listTrash, queryMedia, listMedia, listTags } = require('./lib/media-store');
+const { buildDerivatives, storageSaver } = require('./lib/derivatives');
+const { hashFile } = require('./lib/dedupe');
+const { perceptualHash, parseThreshold, findSimilarGroups } = require('./lib/similar');
+const { parseExportRequest, selectExportItems, archiveName, streamZip } = require('./lib/export');
+const { getMediaStats, formatBytes } = require('./lib/stats');
+const { handleCommand } = require('./lib/bot-commands');
+const { authorizeUpload } = require('./lib/upload-policy');
+const { extractMedia } = require('./lib/telegram-media');
+const { isMirroredChannel, applyChannelEdit } = require('./lib/channel-posts');
+const { listSendTargets, createSend, getSend, sendNextAlbum, cancelSend, sendStatus } = require('./lib/telegram-send');
+const { editMetadata } = require('./lib/metadata');
+const { authorize, authorizeRead, login, authStatus } = require('./lib/auth');
+const { purgeAt, purgeMedia, purgeTrash, isCronRequest } = require('./lib/trash');
+const { parseBatchRequest, batchRole, runBatch } = require('./lib/batch');
+const { readMediaInfo, withDate, forReader } = require('./lib/media-info');
+const { resolveFileMimeType, mediaTypeFor, isInlineMedia } = require('./lib/mime');
+const { getStorage, storageForUrl } = require('./lib/storage');
+const { deleteMediaFiles } = require('./lib/media-service');
+const { enqueueIngest, processIngest, processDueIngests, listIngestJobs, replayIngest, discardIngest } = require('./lib/ingest-queue');
+const { notifyRejected, sendReceipt, progressReporter, reportIngest } = require('./lib/ingest-status');
+const { transcodeEnabled, queueTranscode, processDueTranscodes } = require('./lib/transcode');
+const { startUpload, getUpload, appendChunk, completeUpload, abortUpload, uploadStatus, CHUNK_SIZE, purgeStaleUploads } = require('./lib/web-upload');
+const { publishEvent, streamEvents } = require('./lib/events');
+const { getCollection, withItems, listCollections, createCollection, updateCollection, deleteCollection } = require('./lib/collections');
+const { publicShare, createShare, listShares, revokeShare, loadSharedItems, sharePassword } = require('./lib/shares');
+const { ACTIONS, recordAudit, auditRequest, auditDenied, auditTarget, ingestJobTarget, collectionTarget, collectionChanges, telegramActor, clientIp, parseAuditQuery, queryAudit, purgeAudit } = require('./lib/audit');
 
 const token = process.env.TELEGRAM_TOKEN;
 const PORT = process.env.PORT || 3000;
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'changeme';
+const GALLERY_URL = (process.env.GALLERY_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
 
 if (!token) {
     console.error("❌ ERROR: TELEGRAM_TOKEN missing in .env file");
     process.exit(1);
 }
 
-const bot = new TelegramBot(token, { polling: true });
+const bot = new TelegramBot(token, {
+    polling: true,
+    ...(process.env.TELEGRAM_API_URL && { baseApiUrl: process.env.TELEGRAM_API_URL.replace(/\/$/, '') })
+});
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 
+// Behind a reverse proxy, TRUST_PROXY (a hop count, or addresses such as "loopback")
+// lets req.ip, the rate limit and the audit log see the client instead of the proxy
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: false, // Allow inline scripts for Alpine.js
@@ -33,181 +68,929 @@ app.use(helmet({
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100, // limit each IP to 100 requests per windowMs
+    // A large browser upload is sent as many chunks
+    skip: req => req.method === 'PUT' && req.path.startsWith('/upload/')
 });
 app.use('/api/', limiter);
 
 app.use(express.json());
-app.use(express.static('public'));
+app.use(express.urlencoded({ extended: false }));
+// Stored uploads share the page's origin: only media is shown inline, anything
+// else (SVG, HTML, text) is sent as a download so it never runs as a page
+const UPLOAD_DIRS = ['gallery', 'derivatives', 'videos'].map(dir => path.join(__dirname, 'public', dir) + path.sep);
+app.use(express.static('public', {
+    setHeaders: (res, filePath) => {
+        if (!UPLOAD_DIRS.some(dir => filePath.startsWith(dir)) || isInlineMedia(filePath)) return;
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Content-Disposition', 'attachment');
+    }
+}));
 
+// Uploads go to public/ (served above) unless STORAGE_DRIVER picks blob or s3;
+// files dropped into public/gallery by hand are indexed either way
+const storage = getStorage('local');
 const GALLERY_DIR = path.join(__dirname, 'public/gallery');
 if (!fs.existsSync(GALLERY_DIR)) fs.mkdirSync(GALLERY_DIR, { recursive: true });
 
-// Simple auth middleware (for production, use proper JWT/sessions)
-const authMiddleware = (req, res, next) => {
-    const authHeader = req.headers.authorization;
-    if (authHeader === `Bearer ${ADMIN_PASSWORD}`) {
-        next();
-    } else {
-        res.status(401).json({ error: 'Unauthorized' });
+// Thumbnails, previews and posters live outside the watched gallery directory
+const saveDerivative = storageSaver(storage);
+
+if (!process.env.ADMIN_PASSWORD && !process.env.AUTH_USERS) {
+    console.warn("⚠️  No ADMIN_PASSWORD or AUTH_USERS set: password login is disabled");
+}
+
+// Requires a signed session with at least `role` (viewer < uploader < admin)
+const requireRole = role => async (req, res, next) => {
+    const auth = authorize(req, role);
+    if (!auth.allowed) {
+        await auditDenied(req, `${req.method} ${req.path}`, auth);
+        return res.status(auth.status).json({ error: auth.error });
+    }
+    req.session = auth.session;
+    next();
+};
+
+// Reading the gallery needs a viewer session only when AUTH_REQUIRE_VIEWER is set
+const readAccess = async (req, res, next) => {
+    const auth = authorizeRead(req);
+    if (!auth.allowed) {
+        await auditDenied(req, `${req.method} ${req.path}`, auth);
+        return res.status(auth.status).json({ error: auth.error });
     }
+    req.session = auth.session;
+    next();
 };
 
 // --- API ROUTES ---
 
-// Get all files with timestamps and metadata
-app.get('/api/history', (req, res) => {
+// Current user and login methods; POST logs in with a password or Telegram Login Widget data
+app.get('/api/auth', (req, res) => {
+    res.set('Cache-Control', 'no-store').json(authStatus(req));
+});
+
+app.post('/api/auth', async (req, res) => {
     try {
-        fs.readdir(GALLERY_DIR, (err, files) => {
-            if (err) {
-                console.error('Error reading gallery:', err);
-                return res.status(500).json({ error: 'Failed to read gallery' });
+        const body = req.body || {};
+        const session = login(body);
+        if (!session) {
+            // The attempted name is kept, never the password
+            const attempted = body.telegram ? `tg:${body.telegram.id}` : body.username || null;
+            console.warn(`⛔ Rejected login for ${attempted || 'no user'} from ${clientIp(req) || 'unknown address'}`);
+            await auditRequest(req, 'login', { outcome: 'denied', details: { attempted } });
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        console.log(`🔑 Login: ${session.user.name} (${session.user.role})`);
+        await auditRequest(req, 'login', { session: session.user });
+        res.set('Cache-Control', 'no-store').json(session);
+    } catch (err) {
+        console.error('Error in /api/auth:', err);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Absolute link for bot replies; local files are served by this server
+function mediaLink(url) {
+    return url.startsWith('/') ? `${GALLERY_URL}${url}` : url;
+}
+
+// Index a file that reached the gallery directory without going through the bot;
+// resolves to null for anything that is not an image or video
+async function registerGalleryFile(fileName, { derivatives = true } = {}) {
+    const url = `/gallery/${fileName}`;
+    const existing = await findMediaByUrl(url, { includeTrashed: true });
+    if (existing) return existing;
+
+    const filePath = path.join(GALLERY_DIR, fileName);
+    const mimeType = resolveFileMimeType(filePath);
+    const type = mediaTypeFor(mimeType);
+    if (!type) return null;
+
+    const stats = fs.statSync(filePath);
+    const entry = {
+        id: createMediaId(),
+        url,
+        filename: fileName,
+        type,
+        mimeType,
+        timestamp: stats.mtimeMs,
+        size: formatBytes(stats.size),
+        sizeBytes: stats.size,
+        sha256: await hashFile(filePath),
+        uploadedBy: null
+    };
+    Object.assign(entry, await readMediaInfo(entry.type, { filePath }));
+    if (derivatives) Object.assign(entry, await buildDerivatives(entry, { filePath }, saveDerivative));
+    if (derivatives && type === 'image') entry.phash = await perceptualHash(filePath) || undefined;
+    const stored = await addMedia(entry);
+    return (type === 'video' && await queueTranscode(stored.id)) || stored;
+}
+
+// Bring the store in line with the directory: index new files, drop entries whose file is gone
+async function reconcileGallery() {
+    const files = fs.readdirSync(GALLERY_DIR).filter(file => !file.startsWith('.')); // Skip hidden files
+    const onDisk = new Set(files.map(file => `/gallery/${file}`));
+
+    let added = 0;
+    let removed = 0;
+    for (const file of files) {
+        // Trashed files stay on disk until purged and must not come back as new uploads
+        if (!await findMediaByUrl(`/gallery/${file}`, { includeTrashed: true })) {
+            // Derivatives and perceptual hashes for these come from `npm run backfill:derivatives` and `backfill:phash`
+            if (await registerGalleryFile(file, { derivatives: false })) added++;
+        }
+    }
+    for (const entry of await listMedia()) {
+        if (entry.url?.startsWith('/gallery/') && !onDisk.has(entry.url)) {
+            await removeMedia(entry.id);
+            removed++;
+        }
+    }
+    if (added || removed) console.log(`🗂️  Index reconciled: +${added} / -${removed}`);
+}
+
+// Deleting moves media to the trash; its files stay until the trash is purged
+async function deleteGalleryMedia(entry, deletedBy = null) {
+    const trashed = await trashMedia(entry.id, { deletedBy });
+    console.log(`🗑️  Trashed: ${entry.filename}`);
+
+    // Notify all clients
+    broadcast('media-deleted', { id: entry.id, filename: entry.filename });
+    return trashed;
+}
+
+async function purgeExpiredTrash() {
+    const { purged, failed } = await purgeTrash(deleteMediaFiles, {
+        onPurged: entry => recordAudit({ action: 'purge', target: auditTarget(entry), details: { reason: 'retention' } })
+    });
+    if (purged.length || failed.length) console.log(`🧹 Trash purge: ${purged.length} purged, ${failed.length} failed`);
+    return { purged, failed };
+}
+
+// Push a change to socket.io clients and to the shared event log behind /api/events
+function broadcast(type, data) {
+    // Socket.io clients are not signed in
+    io.emit(type, forReader(data, null));
+    publishEvent(type, data);
+}
+
+// Get a page of files with timestamps and metadata (?limit, ?cursor, ?type, ?uploader, ?from, ?to, ?q),
+// or everything a share link exposes (?share=<token>)
+app.get('/api/history', async (req, res) => {
+    try {
+        if (req.query.share) {
+            const shared = await loadSharedItems(req.query.share, sharePassword(req));
+            if (!shared.share) {
+                return res.status(shared.status).json({ error: shared.error, passwordRequired: shared.passwordRequired });
             }
-            
-            const history = files
-                .filter(file => !file.startsWith('.')) // Skip hidden files
-                .map(file => {
-                    try {
-                        const stats = fs.statSync(path.join(GALLERY_DIR, file));
-                        return {
-                            url: `/gallery/${file}`,
-                            filename: file,
-                            date: moment(stats.mtime).format('MMMM D, YYYY'),
-                            timestamp: stats.mtimeMs,
-                            type: file.startsWith('vid') ? 'video' : 'image',
-                            size: formatBytes(stats.size)
-                        };
-                    } catch (err) {
-                        console.error(`Error stating file ${file}:`, err);
-                        return null;
-                    }
-                })
-                .filter(item => item !== null)
-                .sort((a, b) => b.timestamp - a.timestamp);
-            
-            res.json(history);
-        });
+            // Share links are for people without an account
+            const items = shared.items.map(item => forReader(withDate(item), null));
+            return res.json({ items, nextCursor: null, share: publicShare(shared.share) });
+        }
+
+        const auth = authorizeRead(req);
+        if (!auth.allowed) {
+            await auditDenied(req, 'gallery read', auth);
+            return res.status(auth.status).json({ error: auth.error });
+        }
+
+        const page = await queryMedia(parseHistoryQuery(req.query));
+        res.json({ ...page, items: page.items.map(item => forReader(withDate(item), auth.session)) });
     } catch (err) {
         console.error('Error in /api/history:', err);
-        res.status(500).json({ error: 'Server error' });
+        res.status(500).json({ error: 'Failed to read gallery' });
     }
 });
 
-// Get all image URLs (for bulk download)
-app.get('/api/all-images', (req, res) => {
+// Stream a ZIP of selected URLs, a collection, a date range, or the whole gallery
+app.post('/api/export', async (req, res) => {
+    const request = parseExportRequest(req.body);
     try {
-        fs.readdir(GALLERY_DIR, (err, files) => {
-            if (err) return res.status(500).json({ error: 'Failed to read gallery' });
-            res.json(files
-                .filter(file => !file.startsWith('.'))
-                .map(file => `/gallery/${file}`)
-            );
+        let items;
+        if (request.share) {
+            const shared = await loadSharedItems(request.share, sharePassword(req));
+            if (!shared.share) return res.status(shared.status).json({ error: shared.error });
+            items = shared.items;
+        } else {
+            const auth = authorizeRead(req);
+            if (!auth.allowed) {
+                await auditDenied(req, 'export', auth);
+                return res.status(auth.status).json({ error: auth.error });
+            }
+            if (request.collection) {
+                const collection = await getCollection(request.collection);
+                if (!collection) return res.status(404).json({ error: 'Collection not found' });
+                items = (await withItems(collection)).items;
+                request.name ||= collection.name;
+            } else {
+                items = await listMedia();
+            }
+        }
+
+        const selected = selectExportItems(items, request);
+        if (selected.length === 0) {
+            return res.status(404).json({ error: 'No media matched the export request' });
+        }
+
+        const manifest = await streamZip(res, selected, {
+            filename: archiveName(request.name, request),
+            openItem: item => storageForUrl(item.url).open(item.url)
         });
+        console.log(`📦 Export: ${manifest.count} files, ${manifest.missing.length} missing`);
+    } catch (err) {
+        console.error('Error in /api/export:', err);
+        if (!res.headersSent) res.status(500).json({ error: 'Failed to export gallery' });
+        else res.destroy(err);
+    }
+});
+
+// Get all media URLs (for bulk download); from the index, so trashed files stay out
+app.get('/api/all-images', readAccess, async (req, res) => {
+    try {
+        res.json((await listMedia()).map(entry => entry.url));
     } catch (err) {
+        console.error('Error in /api/all-images:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// Delete by id or url, same contract as the serverless /api/delete (protected)
+app.post('/api/delete', requireRole('admin'), async (req, res) => {
+    const { id, url } = req.body;
+    if (!id && !url) return res.status(400).json({ error: 'Missing required field: id or url' });
+
+    try {
+        const entry = id ? await getMedia(id) : await findMediaByUrl(url);
+        if (!entry) return res.json({ success: true, message: 'Already deleted' });
+
+        const trashed = await deleteGalleryMedia(entry, req.session.name);
+        await auditRequest(req, 'delete', { session: req.session, target: auditTarget(entry) });
+        res.json({ success: true, trashed: 1, id: entry.id, purgeAt: purgeAt(trashed) });
+    } catch (err) {
+        console.error('Error deleting file:', err);
+        res.status(500).json({ error: 'Failed to delete file' });
+    }
+});
+
+// One operation on many items with a status per item, same contract as the serverless /api/batch
+app.post('/api/batch', async (req, res) => {
+    const request = parseBatchRequest(req.body || {});
+    if (request.error) return res.status(400).json({ error: request.error });
+
+    const auth = authorize(req, batchRole(request.op));
+    if (!auth.allowed) {
+        await auditDenied(req, `batch ${request.op}`, auth);
+        return res.status(auth.status).json({ error: auth.error });
+    }
+
+    try {
+        const outcome = await runBatch(request, {
+            actor: auth.session.name,
+            record: (action, entry, details) => auditRequest(req, action, { session: auth.session, target: auditTarget(entry), details: { batch: true, ...details } }),
+            notify: (type, data) => broadcast(type, type === 'media-deleted' ? data : withDate(data))
+        });
+        if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+        console.log(`📋 Batch ${request.op}: ${outcome.succeeded} ok, ${outcome.failed} failed`);
+        res.json({ success: outcome.failed === 0, op: request.op, ...outcome });
+    } catch (err) {
+        console.error('Error in /api/batch:', err);
+        res.status(500).json({ error: 'Batch failed' });
+    }
+});
+
 // Delete a file (protected)
-app.delete('/api/media/:filename', authMiddleware, (req, res) => {
+app.delete('/api/media/:filename', requireRole('admin'), async (req, res) => {
     try {
         const filename = path.basename(req.params.filename); // Prevent path traversal
-        const filePath = path.join(GALLERY_DIR, filename);
+        const entry = await findMediaByUrl(`/gallery/${filename}`);
         
-        if (!fs.existsSync(filePath)) {
+        if (!entry) {
             return res.status(404).json({ error: 'File not found' });
         }
         
-        fs.unlinkSync(filePath);
-        console.log(`🗑️  Deleted: ${filename}`);
-        
-        // Notify all clients
-        io.emit('media-deleted', { filename });
-        
-        res.json({ success: true, message: 'File deleted' });
+        await deleteGalleryMedia(entry, req.session.name);
+        await auditRequest(req, 'delete', { session: req.session, target: auditTarget(entry) });
+        res.json({ success: true, message: 'File moved to trash' });
     } catch (err) {
         console.error('Error deleting file:', err);
         res.status(500).json({ error: 'Failed to delete file' });
     }
 });
 
+// Edit caption and tags ({ caption?, tags? })
+app.patch('/api/media/:id', requireRole('uploader'), async (req, res) => {
+    try {
+        const { caption, tags } = req.body || {};
+        if (caption === undefined && tags === undefined) {
+            return res.status(400).json({ error: 'Nothing to update: send caption and/or tags' });
+        }
+
+        const entry = await getMedia(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Media not found' });
+        }
+
+        const updated = await updateMedia(entry.id, editMetadata(entry, { caption, tags }));
+        await auditRequest(req, 'edit', {
+            session: req.session,
+            target: auditTarget(updated),
+            details: { before: { caption: entry.caption, tags: entry.tags }, after: { caption: updated.caption, tags: updated.tags } }
+        });
+        broadcast('media-updated', withDate(updated));
+        res.json({ success: true, item: withDate(updated) });
+    } catch (err) {
+        console.error('Error updating media:', err);
+        res.status(500).json({ error: 'Failed to update media' });
+    }
+});
+
+// Collections with their items as this reader may see them (STRIP_GPS)
+async function readableCollection(collection, session) {
+    const full = await withItems(collection);
+    return { ...full, items: full.items.map(item => forReader(item, session)) };
+}
+
+// Collections of media ids
+app.get('/api/collections', readAccess, async (req, res) => {
+    try {
+        const collections = await Promise.all((await listCollections()).map(collection => readableCollection(collection, req.session)));
+        res.json({ collections });
+    } catch (err) {
+        console.error('Error in /api/collections:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/collections', requireRole('uploader'), async (req, res) => {
+    try {
+        const { collection, unresolved, error } = await createCollection(req.body || {});
+        if (error) return res.status(400).json({ error });
+        await auditRequest(req, 'collection.create', { session: req.session, target: collectionTarget(collection), details: { items: collection.itemIds.length } });
+        res.status(201).json({ collection: await withItems(collection), unresolved });
+    } catch (err) {
+        console.error('Error creating collection:', err);
+        res.status(500).json({ error: 'Failed to create collection' });
+    }
+});
+
+app.get('/api/collections/:id', readAccess, async (req, res) => {
+    try {
+        const collection = await getCollection(req.params.id);
+        if (!collection) return res.status(404).json({ error: 'Collection not found' });
+        res.json({ collection: await readableCollection(collection, req.session) });
+    } catch (err) {
+        console.error('Error in /api/collections/:id:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.patch('/api/collections/:id', requireRole('uploader'), async (req, res) => {
+    try {
+        const result = await updateCollection(req.params.id, req.body || {});
+        if (!result) return res.status(404).json({ error: 'Collection not found' });
+        if (result.error) return res.status(400).json({ error: result.error });
+        await auditRequest(req, 'collection.edit', { session: req.session, target: collectionTarget(result.collection), details: collectionChanges(req.body) });
+        res.json({ collection: await withItems(result.collection) });
+    } catch (err) {
+        console.error('Error updating collection:', err);
+        res.status(500).json({ error: 'Failed to update collection' });
+    }
+});
+
+app.delete('/api/collections/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const removed = await deleteCollection(req.params.id);
+        if (!removed) return res.status(404).json({ error: 'Collection not found' });
+        await auditRequest(req, 'collection.delete', { session: req.session, target: collectionTarget(removed) });
+        res.json({ success: true, id: req.params.id });
+    } catch (err) {
+        console.error('Error deleting collection:', err);
+        res.status(500).json({ error: 'Failed to delete collection' });
+    }
+});
+
+// Share links (admin): list active ones, create, revoke
+app.get('/api/shares', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ shares: await listShares() });
+    } catch (err) {
+        console.error('Error in /api/shares:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/shares', requireRole('admin'), async (req, res) => {
+    try {
+        const { share, token, error } = await createShare(req.body || {});
+        if (error) return res.status(400).json({ error });
+        await auditRequest(req, 'share.create', {
+            session: req.session,
+            target: { id: share.id, filename: share.label || share.name },
+            details: { type: share.type, targetId: share.targetId, expiresAt: share.expiresAt, passwordProtected: share.passwordProtected }
+        });
+        res.status(201).json({ share, token, path: `/?share=${token}` });
+    } catch (err) {
+        console.error('Error creating share:', err);
+        res.status(500).json({ error: 'Failed to create share' });
+    }
+});
+
+app.delete('/api/shares/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!await revokeShare(req.params.id)) return res.status(404).json({ error: 'Share not found' });
+        await auditRequest(req, 'share.revoke', { session: req.session, target: { id: req.params.id } });
+        res.json({ success: true, id: req.params.id });
+    } catch (err) {
+        console.error('Error revoking share:', err);
+        res.status(500).json({ error: 'Failed to revoke share' });
+    }
+});
+
+// Trash (admin): list, empty, restore or permanently delete one item
+app.get('/api/trash', requireRole('admin'), async (req, res) => {
+    try {
+        const items = (await listTrash()).map(entry => ({ ...withDate(entry), purgeAt: purgeAt(entry) }));
+        res.json({ items });
+    } catch (err) {
+        console.error('Error in /api/trash:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/trash', requireRole('admin'), async (req, res) => {
+    try {
+        const { purged, failed } = await purgeTrash(deleteMediaFiles, {
+            all: true,
+            onPurged: entry => auditRequest(req, 'purge', { session: req.session, target: auditTarget(entry), details: { reason: 'emptied' } })
+        });
+        res.json({ success: true, purged: purged.length, failed: failed.length });
+    } catch (err) {
+        console.error('Error emptying trash:', err);
+        res.status(500).json({ error: 'Failed to empty trash' });
+    }
+});
+
+// Same contract as the serverless cron endpoint; this server also purges on its own every hour
+async function purgeRoute(req, res) {
+    if (!isCronRequest(req)) {
+        const auth = authorize(req, 'admin');
+        if (!auth.allowed) {
+            await auditDenied(req, 'trash purge', auth);
+            return res.status(auth.status).json({ error: auth.error });
+        }
+    }
+    try {
+        const { purged, failed } = await purgeExpiredTrash();
+        res.json({ success: true, purged: purged.length, failed: failed.length });
+    } catch (err) {
+        console.error('Error purging trash:', err);
+        res.status(500).json({ error: 'Failed to purge trash' });
+    }
+}
+app.get('/api/trash/purge', purgeRoute);
+app.post('/api/trash/purge', purgeRoute);
+
+app.post('/api/trash/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const restored = await restoreMedia(req.params.id);
+        if (!restored) return res.status(404).json({ error: 'Not in trash' });
+        await auditRequest(req, 'restore', { session: req.session, target: auditTarget(restored) });
+        // Clients insert it like any new upload
+        broadcast('new-media', withDate(restored));
+        res.json({ success: true, item: withDate(restored) });
+    } catch (err) {
+        console.error('Error restoring media:', err);
+        res.status(500).json({ error: 'Failed to restore media' });
+    }
+});
+
+app.delete('/api/trash/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const purged = await purgeMedia(req.params.id, deleteMediaFiles);
+        if (!purged) return res.status(404).json({ error: 'Not in trash' });
+        console.log(`🔥 Purged: ${purged.filename}`);
+        await auditRequest(req, 'purge', { session: req.session, target: auditTarget(purged) });
+        res.json({ success: true, id: req.params.id });
+    } catch (err) {
+        console.error('Error purging media:', err);
+        res.status(500).json({ error: 'Failed to purge media' });
+    }
+});
+
+// Ingest queue (admin): pending jobs and dead letters, a run over due jobs, replay or drop a dead job
+app.get('/api/ingest', requireRole('admin'), async (req, res) => {
+    try {
+        res.set('Cache-Control', 'no-store').json(await listIngestJobs());
+    } catch (err) {
+        console.error('Error in /api/ingest:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Same contract as the serverless cron endpoint; this server also runs due jobs on its own
+async function ingestRunRoute(req, res) {
+    if (!isCronRequest(req)) {
+        const auth = authorize(req, 'admin');
+        if (!auth.allowed) {
+            await auditDenied(req, 'ingest run', auth);
+            return res.status(auth.status).json({ error: auth.error });
+        }
+    }
+    try {
+        const outcomes = await runIngest(processDueIngests({ storage, limit: 50 }));
+        const counts = { processed: outcomes.length, stored: 0, duplicate: 0, retry: 0, dead: 0 };
+        for (const outcome of outcomes) counts[outcome.status]++;
+        res.json({ success: true, ...counts });
+    } catch (err) {
+        console.error('Error running ingest queue:', err);
+        res.status(500).json({ error: 'Failed to run ingest queue' });
+    }
+}
+app.get('/api/ingest/process', ingestRunRoute);
+app.post('/api/ingest/process', ingestRunRoute);
+
+app.post('/api/ingest/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const job = await replayIngest(req.params.id);
+        if (!job) return res.status(404).json({ error: 'No failed job with that id' });
+        console.log(`🔁 Replaying ingest job ${req.params.id}`);
+        const [outcome] = await runIngest(processIngest(req.params.id, { storage }));
+        await auditRequest(req, 'ingest.replay', { session: req.session, target: ingestJobTarget(job), details: { status: outcome?.status || 'queued' } });
+        res.json({
+            success: outcome?.status === 'stored' || outcome?.status === 'duplicate',
+            id: req.params.id,
+            status: outcome?.status || 'queued',
+            error: outcome?.error?.message,
+            item: outcome?.entry && withDate(outcome.entry)
+        });
+    } catch (err) {
+        console.error('Error replaying ingest job:', err);
+        res.status(500).json({ error: 'Failed to replay job' });
+    }
+});
+
+app.delete('/api/ingest/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const discarded = await discardIngest(req.params.id);
+        if (!discarded) return res.status(404).json({ error: 'No failed job with that id' });
+        console.log(`🗑️  Discarded ingest job ${req.params.id}`);
+        await auditRequest(req, 'ingest.discard', { session: req.session, target: ingestJobTarget(discarded), details: { lastError: discarded.lastError } });
+        res.json({ success: true, id: req.params.id });
+    } catch (err) {
+        console.error('Error discarding ingest job:', err);
+        res.status(500).json({ error: 'Failed to discard job' });
+    }
+});
+
+// Browser uploads, sent in chunks so large videos survive dropped connections
+// (same contract as api/upload.js); finished files go through the bot's ingest path
+app.post('/api/upload', requireRole('uploader'), async (req, res) => {
+    try {
+        const started = await startUpload(req.session, req.body || {});
+        if (started.status === 413) {
+            await auditRequest(req, 'ingest', { session: req.session, outcome: 'denied', details: { source: 'web', fileName: req.body.fileName, reason: started.error } });
+        }
+        if (started.error) return res.status(started.status).json({ error: started.error });
+        console.log(`⬆️  Upload started by ${req.session.name}: ${started.upload.fileName}`);
+        res.status(201).json(uploadStatus(started.upload));
+    } catch (err) {
+        console.error('Error starting upload:', err);
+        res.status(500).json({ error: 'Failed to start upload' });
+    }
+});
+
+// Loads the caller's upload into req.upload
+const ownUpload = async (req, res, next) => {
+    try {
+        req.upload = await getUpload(req.params.id, req.session);
+        if (!req.upload) return res.status(404).json({ error: 'Upload not found' });
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+app.get('/api/upload/:id', requireRole('uploader'), ownUpload, (req, res) => {
+    res.set('Cache-Control', 'no-store').json(uploadStatus(req.upload));
+});
+
+app.put('/api/upload/:id', requireRole('uploader'), express.raw({ type: () => true, limit: CHUNK_SIZE + 1024 }), ownUpload, async (req, res) => {
+    try {
+        const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        const appended = await appendChunk(req.upload, req.query.offset, chunk, { storage });
+        if (appended.error) return res.status(appended.status).json({ error: appended.error, received: appended.received });
+        res.json(uploadStatus(appended.upload));
+    } catch (err) {
+        console.error('Error storing upload chunk:', err);
+        res.status(500).json({ error: 'Failed to store chunk' });
+    }
+});
+
+app.post('/api/upload/:id', requireRole('uploader'), ownUpload, async (req, res) => {
+    try {
+        // Tracked like bot ingests so the gallery watcher does not index the new file as well
+        const completing = completeUpload(req.upload, { storage });
+        pendingIngests.add(completing);
+        const outcome = await completing.finally(() => pendingIngests.delete(completing));
+        if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+        await auditRequest(req, 'ingest', {
+            session: req.session,
+            outcome: outcome.duplicate ? 'duplicate' : 'ok',
+            target: auditTarget(outcome.entry),
+            details: { source: 'web' }
+        });
+        if (!outcome.duplicate) {
+            console.log(`💾 Stored web upload: ${outcome.entry.filename} (${req.session.name})`);
+            broadcast('new-media', withDate(outcome.entry));
+        }
+        res.json({ success: true, duplicate: outcome.duplicate, item: withDate(outcome.entry) });
+    } catch (err) {
+        console.error('Error completing upload:', err);
+        res.status(500).json({ error: 'Failed to store upload' });
+    }
+});
+
+app.delete('/api/upload/:id', requireRole('uploader'), ownUpload, async (req, res) => {
+    try {
+        await abortUpload(req.upload);
+        res.json({ success: true, id: req.params.id });
+    } catch (err) {
+        console.error('Error aborting upload:', err);
+        res.status(500).json({ error: 'Failed to abort upload' });
+    }
+});
+
+// Same contract as the serverless cron endpoint; this server also transcodes on its own
+async function transcodeRunRoute(req, res) {
+    if (!isCronRequest(req)) {
+        const auth = authorize(req, 'admin');
+        if (!auth.allowed) {
+            await auditDenied(req, 'transcode run', auth);
+            return res.status(auth.status).json({ error: auth.error });
+        }
+    }
+    if (!transcodeEnabled()) return res.status(409).json({ error: 'Transcoding is disabled (TRANSCODE_VIDEOS)' });
+    try {
+        const outcomes = await processDueVideos();
+        res.json({
+            success: true,
+            processed: outcomes.length,
+            done: outcomes.filter(o => o.status === 'done').length,
+            failed: outcomes.filter(o => o.status !== 'done').length
+        });
+    } catch (err) {
+        console.error('Error running transcode queue:', err);
+        res.status(500).json({ error: 'Failed to run transcode queue' });
+    }
+}
+app.get('/api/transcode/process', transcodeRunRoute);
+app.post('/api/transcode/process', transcodeRunRoute);
+
+// Queue a video again, e.g. after it failed
+app.post('/api/transcode/:id', requireRole('admin'), async (req, res) => {
+    if (!transcodeEnabled()) return res.status(409).json({ error: 'Transcoding is disabled (TRANSCODE_VIDEOS)' });
+    try {
+        const entry = await queueTranscode(req.params.id);
+        if (!entry) return res.status(404).json({ error: 'No video with that id' });
+        console.log(`🎞️  Queued transcode: ${entry.filename}`);
+        await auditRequest(req, 'transcode.queue', { session: req.session, target: auditTarget(entry) });
+        res.json({ success: true, item: withDate(entry) });
+    } catch (err) {
+        console.error('Error queueing transcode:', err);
+        res.status(500).json({ error: 'Failed to queue transcode' });
+    }
+});
+
+// Live gallery changes as Server-Sent Events
+app.get('/api/events', readAccess, (req, res) => {
+    streamEvents(req, res, { session: req.session }).catch(err => {
+        console.error('Error in /api/events:', err);
+        res.end();
+    });
+});
+
+// Most used tags
+app.get('/api/tags', readAccess, async (req, res) => {
+    try {
+        res.json({ tags: await listTags() });
+    } catch (err) {
+        console.error('Error in /api/tags:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Get storage stats
-app.get('/api/stats', (req, res) => {
-    try {
-        fs.readdir(GALLERY_DIR, (err, files) => {
-            if (err) return res.status(500).json({ error: 'Failed to read gallery' });
-            
-            let totalSize = 0;
-            let imageCount = 0;
-            let videoCount = 0;
-            
-            files.forEach(file => {
-                try {
-                    const stats = fs.statSync(path.join(GALLERY_DIR, file));
-                    totalSize += stats.size;
-                    if (file.startsWith('vid')) videoCount++;
-                    else imageCount++;
-                } catch (err) {
-                    console.error(`Error stating ${file}:`, err);
-                }
-            });
-            
-            res.json({
-                totalFiles: files.length,
-                totalSize: formatBytes(totalSize),
-                totalSizeBytes: totalSize,
-                imageCount,
-                videoCount
-            });
+app.get('/api/stats', readAccess, async (req, res) => {
+    try {
+        res.json(await getMediaStats());
+    } catch (err) {
+        console.error('Error in /api/stats:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Groups of near-identical photos for the review in select mode (lib/similar.js)
+app.get('/api/similar', requireRole('admin'), async (req, res) => {
+    try {
+        const threshold = parseThreshold(req.query.threshold);
+        const groups = findSimilarGroups(await listMedia(), { threshold });
+        res.json({
+            threshold,
+            total: groups.length,
+            groups: groups.slice(0, 50).map(group => ({ ...group, items: group.items.map(withDate) }))
         });
     } catch (err) {
+        console.error('Error in /api/similar:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// --- TELEGRAM LOGIC ---
-bot.on('photo', (msg) => {
-    saveTelegramFile(msg.photo[msg.photo.length - 1].file_id, 'img');
-    bot.sendMessage(msg.chat.id, '✅ Photo synced to gallery');
+// Selections sent back to allowlisted chats, one album per request (same contract as api/telegram.js)
+app.get('/api/telegram/chats', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ chats: await listSendTargets() });
+    } catch (err) {
+        console.error('Error in /api/telegram/chats:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/telegram/send', requireRole('admin'), async (req, res) => {
+    try {
+        const created = await createSend(req.session, req.body || {});
+        if (created.error) return res.status(created.status).json({ error: created.error });
+        console.log(`📤 ${req.session.name} is sending ${created.job.total} items to Telegram chat ${created.job.chatId}`);
+        await auditRequest(req, 'telegram.send', {
+            session: req.session,
+            target: { id: created.job.id },
+            details: { chatId: created.job.chatId, items: created.job.total, skipped: created.job.skipped.length }
+        });
+        res.status(201).json(sendStatus(created.job));
+    } catch (err) {
+        console.error('Error starting Telegram send:', err);
+        res.status(500).json({ error: 'Failed to start sending' });
+    }
 });
 
-bot.on('video', (msg) => {
-    saveTelegramFile(msg.video.file_id, 'vid');
-    bot.sendMessage(msg.chat.id, '✅ Video synced to gallery');
+app.get('/api/telegram/send/:id', requireRole('admin'), async (req, res) => {
+    const job = await getSend(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Send not found' });
+    res.json(sendStatus(job));
 });
 
-bot.on('document', (msg) => {
-    if (msg.document.mime_type?.startsWith('image/') || msg.document.mime_type?.startsWith('video/')) {
-        const prefix = msg.document.mime_type.startsWith('video/') ? 'vid' : 'img';
-        saveTelegramFile(msg.document.file_id, prefix);
-        bot.sendMessage(msg.chat.id, '✅ Document synced to gallery');
+app.post('/api/telegram/send/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const outcome = await sendNextAlbum(req.params.id);
+        if (!outcome) return res.status(404).json({ error: 'Send not found' });
+        res.json({ ...sendStatus(outcome.job), retryAfter: outcome.retryAfter });
+    } catch (err) {
+        console.error('❌ Telegram send failed:', err.message);
+        res.status(500).json({ error: 'Failed to send album' });
     }
 });
 
-async function saveTelegramFile(fileId, prefix) {
+app.delete('/api/telegram/send/:id', requireRole('admin'), async (req, res) => {
+    const job = await getSend(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Send not found' });
+    res.json(sendStatus(await cancelSend(job)));
+});
+
+// Audit log (admin), newest first (?action, ?actor, ?target, ?outcome, ?cursor, ?limit)
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
     try {
-        const file = await bot.getFile(fileId);
-        const url = `https://api.telegram.org/file/bot${token}/${file.file_path}`;
-        const ext = path.extname(file.file_path) || '.jpg';
-        const fileName = `${prefix}_${Date.now()}${ext}`;
-        const filePath = path.join(GALLERY_DIR, fileName);
+        res.set('Cache-Control', 'no-store').json({ ...await queryAudit(parseAuditQuery(req.query)), actions: ACTIONS });
+    } catch (err) {
+        console.error('Error in /api/audit:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// --- TELEGRAM LOGIC ---
+// Same media kinds as the webhook: photos, videos, GIFs, video notes and image/video documents
+bot.on('message', (msg) => {
+    const media = extractMedia(msg);
+    if (!media) return;
+    receiveTelegramMedia(msg, media).catch(err => console.error('❌ Telegram API Error:', err.message));
+});
 
-        const fileStream = fs.createWriteStream(filePath);
-        https.get(url, (res) => {
-            res.pipe(fileStream);
-            fileStream.on('finish', () => {
-                fileStream.close();
-                console.log(`📥 Disk Sync: ${fileName}`);
-            });
-        }).on('error', (err) => {
-            console.error(`❌ Download error for ${fileName}:`, err);
-            fs.unlinkSync(filePath); // Clean up partial file
+bot.on('text', (msg) => {
+    handleCommand(msg, {
+        galleryUrl: GALLERY_URL,
+        reply: (text) => bot.sendMessage(msg.chat.id, text, {
+            reply_to_message_id: msg.message_id,
+            disable_web_page_preview: true
+        }),
+        deleteMedia: deleteGalleryMedia
+    }).catch(err => console.error('❌ Command error:', err.message));
+});
+
+// Posts in the channels listed in TELEGRAM_CHANNEL_IDS (the bot must be an admin there);
+// nothing is sent back, since it would be published to the channel
+bot.on('channel_post', (post) => {
+    receiveChannelPost(post, false).catch(err => console.error('❌ Channel post error:', err.message));
+});
+
+bot.on('edited_channel_post', (post) => {
+    receiveChannelPost(post, true).catch(err => console.error('❌ Channel post error:', err.message));
+});
+
+async function receiveChannelPost(post, edited) {
+    if (!isMirroredChannel(post.chat)) return;
+    const media = extractMedia(post);
+
+    if (edited) {
+        const { updated, replaced, trashed } = await applyChannelEdit(post, media);
+        const actor = telegramActor(null, post.author_signature || post.chat.title);
+        if (trashed) {
+            console.log(`🗑️  Channel edit ignored, in trash: ${trashed.filename}`);
+            await recordAudit({ action: 'edit', outcome: 'skipped', actor, target: auditTarget(trashed), details: { source: 'channel', reason: 'in trash' } });
+            return;
+        }
+        if (updated) {
+            console.log(`✏️  Caption edited in channel: ${updated.filename}`);
+            await recordAudit({ action: 'edit', actor, target: auditTarget(updated), details: { source: 'channel', caption: updated.caption } });
+            broadcast('media-updated', withDate(updated));
+        }
+        if (!replaced) return;
+        console.log(`🔁 File replaced in channel: ${replaced.filename}`);
+        await recordAudit({ action: 'delete', actor, target: auditTarget(replaced), details: { source: 'channel', reason: 'replaced' } });
+        broadcast('media-deleted', { id: replaced.id, filename: replaced.filename });
+    }
+    if (!media) return;
+
+    const { job, created } = await enqueueIngest(post, media);
+    if (!created || job.status === 'dead') return;
+    await runIngest(processIngest(job.id, { storage }));
+}
+
+// Uploads are persisted as jobs first (lib/ingest-queue.js), then downloaded and stored;
+// the status message only reports success once the media is stored
+async function receiveTelegramMedia(msg, media) {
+    const grant = await authorizeUpload(msg, media.fileSize);
+    if (!grant.allowed) {
+        console.warn(`⛔ Upload rejected for ${msg.from?.id} in ${msg.chat.id}: ${grant.reason}`);
+        await recordAudit({
+            action: 'ingest',
+            outcome: 'denied',
+            actor: telegramActor(msg.from),
+            target: { filename: media.fileName },
+            details: { source: 'telegram', chatId: msg.chat.id, reason: grant.reason }
         });
-    } catch (err) { 
-        console.error("❌ Telegram API Error:", err.message); 
+        await notifyRejected(msg, grant.reason);
+        return;
+    }
+
+    const statusMessageId = await sendReceipt(msg);
+    const { job, created } = await enqueueIngest(msg, media, { reservation: grant.reservation, statusMessageId });
+    if (!created) return grant.release();
+    if (job.status === 'dead') return reportIngest({ job, status: 'dead' });
+    await runIngest(processIngest(job.id, { storage, onStep: progressReporter(job) }));
+}
+
+// Ingest runs in progress; the watcher waits for these instead of indexing their files twice
+const pendingIngests = new Set();
+
+async function runIngest(running) {
+    pendingIngests.add(running);
+    try {
+        const outcomes = [await running].flat().filter(Boolean);
+        for (const outcome of outcomes) {
+            if (outcome.status === 'stored') {
+                console.log(`💾 Stored: ${outcome.entry.filename}`);
+                broadcast('new-media', withDate(outcome.entry));
+            }
+            await reportIngest(outcome, { mediaLink });
+        }
+        return outcomes;
+    } finally {
+        pendingIngests.delete(running);
     }
 }
 
+// Retries whose backoff has passed, and jobs a restart interrupted
+function processDueJobs() {
+    return runIngest(processDueIngests({ storage }))
+        .catch(err => console.error('❌ Ingest queue run failed:', err.message));
+}
+
+// One video at a time: an encode keeps the CPU busy for as long as it runs
+let transcoding = null;
+
+function processDueVideos() {
+    if (!transcoding) {
+        transcoding = processDueTranscodes({ limit: 1 })
+            .then(outcomes => {
+                for (const outcome of outcomes) {
+                    if (outcome.status === 'done') console.log(`🎞️  Transcoded: ${outcome.entry.filename}`);
+                    broadcast('media-updated', withDate(outcome.entry));
+                }
+                return outcomes;
+            })
+            .finally(() => { transcoding = null; });
+    }
+    return transcoding;
+}
+
 // --- FILE WATCHER ---
 chokidar.watch(GALLERY_DIR, { 
     ignoreInitial: true, 
@@ -215,31 +998,35 @@ chokidar.watch(GALLERY_DIR, {
         stabilityThreshold: 2000, 
         pollInterval: 100 
     } 
-}).on('add', (filePath) => {
+}).on('add', async (filePath) => {
     const fileName = path.basename(filePath);
-    const stats = fs.statSync(filePath);
-    
-    io.emit('new-media', { 
-        url: `/gallery/${fileName}`,
-        filename: fileName,
-        type: fileName.startsWith('vid') ? 'video' : 'image',
-        date: moment().format('MMMM D, YYYY'),
-        timestamp: Date.now(),
-        size: formatBytes(stats.size)
-    });
-    
-    console.log(`📡 Broadcast: ${fileName}`);
-});
-
-// Helper function
-function formatBytes(bytes, decimals = 2) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const dm = decimals < 0 ? 0 : decimals;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
-}
+    if (fileName.startsWith('.')) return;
+
+    try {
+        // Bot uploads land here too; those are indexed and announced by their ingest
+        await Promise.all(pendingIngests);
+        if (!fs.existsSync(filePath)) return;
+        if (await findMediaByUrl(`/gallery/${fileName}`, { includeTrashed: true })) return;
+
+        const entry = await registerGalleryFile(fileName);
+        if (!entry) return;
+        broadcast('new-media', withDate(entry));
+        console.log(`📡 Broadcast: ${fileName}`);
+    } catch (err) {
+        console.error(`❌ Index error for ${fileName}:`, err.message);
+    }
+}).on('unlink', async (filePath) => {
+    // Files removed from disk by hand leave the gallery too
+    const fileName = path.basename(filePath);
+    try {
+        const entry = await findMediaByUrl(`/gallery/${fileName}`);
+        if (!entry) return;
+        await removeMedia(entry.id);
+        broadcast('media-deleted', { id: entry.id, filename: entry.filename });
+    } catch (err) {
+        console.error(`❌ Unindex error for ${fileName}:`, err.message);
+    }
+});
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -248,9 +1035,27 @@ process.on('SIGTERM', () => {
         console.log('✅ Server closed');
         process.exit(0);
     });
+    server.closeAllConnections(); // Event streams never end on their own
 });
 
-server.listen(PORT, () => {
-    console.log(`🚀 SYSTEM ONLINE: http://localhost:${PORT}`);
-    console.log(`📂 Gallery: ${GALLERY_DIR}`);
-});
\ No newline at end of file
+reconcileGallery()
+    .catch(err => console.error('❌ Index reconcile failed:', err.message))
+    .finally(() => {
+        server.listen(PORT, () => {
+            console.log(`🚀 SYSTEM ONLINE: http://localhost:${PORT}`);
+            console.log(`📂 Gallery: ${GALLERY_DIR}`);
+        });
+        processDueJobs();
+        setInterval(processDueJobs, 15 * 1000).unref();
+        if (transcodeEnabled()) {
+            setInterval(() => {
+                processDueVideos().catch(err => console.error('❌ Transcode run failed:', err.message));
+            }, 15 * 1000).unref();
+        }
+        purgeExpiredTrash().catch(err => console.error('❌ Trash purge failed:', err.message));
+        setInterval(() => {
+            purgeExpiredTrash().catch(err => console.error('❌ Trash purge failed:', err.message));
+            purgeStaleUploads().catch(err => console.error('❌ Upload cleanup failed:', err.message));
+            purgeAudit().catch(err => console.error('❌ Audit log cleanup failed:', err.message));
+        }, 60 * 60 * 1000).unref();
+    });
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Telegram Login Widget sign-in (lib/auth.js): which accounts get which role.
+ *
+ *   npm test
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifyTelegramLogin } = require('../lib/auth');
+
+const BOT_TOKEN = '1:test';
+
+// Login data signed the way the widget signs it
+function widgetLogin(id) {
+    const data = { id, first_name: 'Ann', auth_date: Math.floor(Date.now() / 1000) };
+    const checkString = Object.keys(data).sort().map(key => `${key}=${data[key]}`).join('\n');
+    const secret = crypto.createHash('sha256').update(BOT_TOKEN).digest();
+    return { ...data, hash: crypto.createHmac('sha256', secret).update(checkString).digest('hex') };
+}
+
+function roleOf(id) {
+    return verifyTelegramLogin(widgetLogin(id), BOT_TOKEN)?.role ?? null;
+}
+
+describe('Telegram widget roles', () => {
+    beforeEach(() => {
+        for (const name of ['TELEGRAM_ADMIN_IDS', 'TELEGRAM_ALLOWED_USER_IDS', 'TELEGRAM_ALLOWED_CHAT_IDS', 'TELEGRAM_VIEWER_IDS']) {
+            delete process.env[name];
+        }
+    });
+
+    it('refuses accounts on no list, even while the bot accepts uploads from everyone', () => {
+        assert.equal(roleOf(100), null);
+    });
+
+    it('gives each configured list its role', () => {
+        process.env.TELEGRAM_ADMIN_IDS = '1';
+        process.env.TELEGRAM_ALLOWED_USER_IDS = '2';
+        process.env.TELEGRAM_ALLOWED_CHAT_IDS = '3,-1001234';
+        process.env.TELEGRAM_VIEWER_IDS = '4, 5';
+        assert.equal(roleOf(1), 'admin');
+        assert.equal(roleOf(2), 'uploader');
+        assert.equal(roleOf(3), 'uploader');
+        assert.equal(roleOf(5), 'viewer');
+        assert.equal(roleOf(6), null);
+    });
+
+    it('rejects forged login data', () => {
+        process.env.TELEGRAM_VIEWER_IDS = '4';
+        assert.equal(verifyTelegramLogin({ ...widgetLogin(4), first_name: 'Mallory' }, BOT_TOKEN), null);
+    });
+});
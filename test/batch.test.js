@@ -0,0 +1,135 @@
+/**
+ * Batch operations (lib/batch.js) against the file-backed Redis stand-in:
+ * validation and the result reported for each item.
+ *
+ *   npm test
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-batch-'));
+process.env.METADATA_DRIVER = 'file';
+process.env.LOCAL_REDIS_FILE = path.join(scratch, 'redis.json');
+
+const { addMedia, getMedia, trashMedia } = require('../lib/media-store');
+const { createCollection, getCollection } = require('../lib/collections');
+const { MAX_BATCH, parseBatchRequest, runBatch } = require('../lib/batch');
+
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+let n = 0;
+function photo(fields = {}) {
+    n++;
+    return addMedia({ url: `/gallery/batch-${n}.jpg`, filename: `batch-${n}.jpg`, type: 'image', ...fields });
+}
+
+// Collects what a batch announces and records
+function observer() {
+    const seen = { events: [], audits: [] };
+    seen.notify = (type, data) => seen.events.push([type, data.id]);
+    seen.record = (action, entry) => seen.audits.push([action, entry.id]);
+    return seen;
+}
+
+describe('parseBatchRequest', () => {
+    it('drops duplicate and empty ids', () => {
+        assert.deepEqual(parseBatchRequest({ op: 'delete', ids: ['a', 'a', '', 3, 'b'] }), { op: 'delete', ids: ['a', 'b'] });
+    });
+
+    it('rejects unknown operations, empty and oversized id lists', () => {
+        assert.match(parseBatchRequest({ op: 'rename', ids: ['a'] }).error, /op must be one of/);
+        assert.match(parseBatchRequest({ op: 'delete', ids: [] }).error, /non-empty/);
+        const ids = Array.from({ length: MAX_BATCH + 1 }, (_, i) => `id-${i}`);
+        assert.match(parseBatchRequest({ op: 'delete', ids }).error, /At most/);
+    });
+
+    it('requires tags to change and a collection to add to', () => {
+        assert.match(parseBatchRequest({ op: 'tag', ids: ['a'], tags: {} }).error, /tags.add or tags.remove/);
+        assert.match(parseBatchRequest({ op: 'collection', ids: ['a'] }).error, /collectionId/);
+    });
+});
+
+describe('runBatch', () => {
+    it('trashes the entries it finds and reports the others as not found', async () => {
+        const first = await photo();
+        const second = await photo();
+        const seen = observer();
+
+        const outcome = await runBatch({ op: 'delete', ids: [first.id, 'missing', second.id] }, { ...seen, actor: 'admin' });
+        assert.deepEqual(outcome.results, [
+            { id: first.id, status: 'ok' },
+            { id: 'missing', status: 'not_found', error: 'Media not found' },
+            { id: second.id, status: 'ok' }
+        ]);
+        assert.equal(outcome.succeeded, 2);
+        assert.equal(outcome.failed, 1);
+        assert.deepEqual(seen.audits, [['delete', first.id], ['delete', second.id]]);
+        assert.deepEqual(seen.events, [['media-deleted', first.id], ['media-deleted', second.id]]);
+        assert.equal((await getMedia(first.id, { includeTrashed: true })).deletedBy, 'admin');
+    });
+
+    it('restores only entries that are in the trash', async () => {
+        const trashed = await photo();
+        const live = await photo();
+        await trashMedia(trashed.id);
+
+        const { results } = await runBatch({ op: 'restore', ids: [trashed.id, live.id] });
+        assert.deepEqual(results, [
+            { id: trashed.id, status: 'ok' },
+            { id: live.id, status: 'not_found', error: 'Not in trash' }
+        ]);
+        assert.equal((await getMedia(trashed.id))?.id, trashed.id);
+    });
+
+    it('adds and removes tags per entry and reports the resulting tags', async () => {
+        const entry = await photo({ tags: ['old', 'keep'] });
+        const request = parseBatchRequest({ op: 'tag', ids: [entry.id, 'missing'], tags: { add: ['New'], remove: ['old'] } });
+
+        const { results, succeeded } = await runBatch(request);
+        assert.deepEqual(results, [
+            { id: entry.id, status: 'ok', tags: ['keep', 'new'] },
+            { id: 'missing', status: 'not_found', error: 'Media not found' }
+        ]);
+        assert.equal(succeeded, 1);
+        assert.deepEqual((await getMedia(entry.id)).tags, ['keep', 'new']);
+    });
+
+    it('keeps the items done before one that fails and reports the failure', async () => {
+        const first = await photo();
+        const broken = await photo();
+        const last = await photo();
+        const record = (action, entry) => {
+            if (entry.id === broken.id) throw new Error('audit log unavailable');
+        };
+
+        const { results, succeeded, failed } = await runBatch({ op: 'delete', ids: [first.id, broken.id, last.id] }, { record });
+        assert.deepEqual(results.map(result => result.status), ['ok', 'error', 'ok']);
+        assert.equal(results[1].error, 'Internal error');
+        assert.equal(succeeded, 2);
+        assert.equal(failed, 1);
+        assert.equal(await getMedia(first.id), null);
+        assert.equal(await getMedia(last.id), null);
+    });
+
+    it('adds the entries it finds to a collection in one write', async () => {
+        const entry = await photo();
+        const { collection } = await createCollection({ name: 'Picks' });
+        const seen = observer();
+
+        const outcome = await runBatch({ op: 'collection', ids: [entry.id, 'missing'], collectionId: collection.id }, seen);
+        assert.deepEqual(outcome.results, [
+            { id: entry.id, status: 'ok' },
+            { id: 'missing', status: 'not_found', error: 'Media not found' }
+        ]);
+        assert.deepEqual(seen.audits, [['collection.edit', collection.id]]);
+        assert.deepEqual((await getCollection(collection.id)).itemIds, [entry.id]);
+    });
+
+    it('rejects the whole batch when the collection does not exist', async () => {
+        const entry = await photo();
+        assert.deepEqual(await runBatch({ op: 'collection', ids: [entry.id], collectionId: 'nope' }), { status: 404, error: 'Collection not found' });
+    });
+});
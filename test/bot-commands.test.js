@@ -0,0 +1,63 @@
+/**
+ * Who the bot's slash commands answer (lib/bot-commands.js), against the
+ * file-backed Redis stand-in.
+ *
+ *   npm test
+ */
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-commands-'));
+process.env.METADATA_DRIVER = 'file';
+process.env.LOCAL_REDIS_FILE = path.join(scratch, 'redis.json');
+
+const { handleCommand } = require('../lib/bot-commands');
+
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+// The reply a command from `userId` in `chatId` gets
+async function reply(text, { userId = 7, chatId = -42 } = {}) {
+    let sent = null;
+    const message = { message_id: 1, text, chat: { id: chatId, type: 'group' }, from: { id: userId, first_name: 'Ann' } };
+    await handleCommand(message, { reply: async value => { sent = value; }, galleryUrl: 'https://gallery.test' });
+    return sent;
+}
+
+describe('command access', () => {
+    beforeEach(() => {
+        for (const name of ['TELEGRAM_ADMIN_IDS', 'TELEGRAM_ALLOWED_USER_IDS', 'TELEGRAM_ALLOWED_CHAT_IDS', 'TELEGRAM_VIEWER_IDS', 'AUTH_REQUIRE_VIEWER']) {
+            delete process.env[name];
+        }
+    });
+
+    it('answers everyone while the bot is open and the gallery public', async () => {
+        assert.match(await reply('/stats'), /^📊 0 files/);
+        assert.equal(await reply('/recent 50'), 'The gallery is empty.');
+    });
+
+    it('keeps read commands from chats off the allowlist', async () => {
+        process.env.TELEGRAM_ALLOWED_CHAT_IDS = '-100';
+        assert.match(await reply('/stats'), /^⛔/);
+        assert.match(await reply('/recent'), /^⛔/);
+        assert.match(await reply('/link'), /^⛔/);
+        assert.match(await reply('/stats', { chatId: -100 }), /^📊/);
+    });
+
+    it('keeps read commands from unlisted users when AUTH_REQUIRE_VIEWER is set', async () => {
+        process.env.AUTH_REQUIRE_VIEWER = 'true';
+        process.env.TELEGRAM_VIEWER_IDS = '8';
+        process.env.TELEGRAM_ADMIN_IDS = '9';
+        assert.match(await reply('/recent'), /^⛔/);
+        assert.equal(await reply('/recent', { userId: 8 }), 'The gallery is empty.');
+        assert.match(await reply('/stats', { userId: 9 }), /^📊/);
+    });
+
+    it('leaves /start and /help open', async () => {
+        process.env.AUTH_REQUIRE_VIEWER = 'true';
+        assert.match(await reply('/help'), /^Send photos or videos/);
+        assert.match(await reply('/start'), /^Send photos or videos/);
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Server-side collections (lib/collections.js) against the file-backed Redis
+ * stand-in.
+ *
+ *   npm test
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-collections-'));
+process.env.METADATA_DRIVER = 'file';
+process.env.LOCAL_REDIS_FILE = path.join(scratch, 'redis.json');
+
+const { addMedia } = require('../lib/media-store');
+const { createCollection } = require('../lib/collections');
+
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+describe('createCollection', () => {
+    const entries = [];
+
+    before(async () => {
+        for (const [i, name] of ['old.jpg', 'new.jpg', 'other.jpg'].entries()) {
+            entries.push(await addMedia({ url: `/gallery/${name}`, filename: name, type: 'image', timestamp: i + 1 }));
+        }
+    });
+
+    it('resolves item URLs on the server, whatever pages the browser loaded', async () => {
+        const { collection, unresolved } = await createCollection({
+            name: 'Legacy',
+            itemIds: [entries[2].id],
+            itemUrls: ['/gallery/old.jpg', '/gallery/new.jpg']
+        });
+        assert.deepEqual(collection.itemIds, [entries[2].id, entries[0].id, entries[1].id]);
+        assert.deepEqual(unresolved, []);
+    });
+
+    it('lists the ids and URLs that matched no item', async () => {
+        const { collection, unresolved } = await createCollection({
+            name: 'Partly gone',
+            itemIds: ['missing-id'],
+            itemUrls: ['/gallery/old.jpg', '/gallery/deleted.jpg']
+        });
+        assert.deepEqual(collection.itemIds, [entries[0].id]);
+        assert.deepEqual(unresolved, ['missing-id', '/gallery/deleted.jpg']);
+    });
+
+    it('refuses a collection without a name', async () => {
+        assert.deepEqual(await createCollection({ itemUrls: ['/gallery/old.jpg'] }), { error: 'Collection name is required' });
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * Contract tests for the storage and metadata drivers: the same cases every
+ * driver has to pass, run here against local disk (`getStorage('local')`)
+ * and the file-backed Redis stand-in (lib/local-redis.js).
+ *
+ *   npm test
+ */
+const { describe, it, before, after } = require('node:test');
+const { Readable } = require('stream');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Drivers are picked from the environment when first used
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-contract-'));
+delete process.env.STORAGE_DRIVER;
+delete process.env.STORAGE_BUDGET_GB;
+process.env.METADATA_DRIVER = 'file';
+process.env.LOCAL_REDIS_FILE = path.join(scratch, 'redis.json');
+
+const sharp = require('sharp');
+const { getStorage } = require('../lib/storage');
+const { getRedis } = require('../lib/redis');
+const { LocalRedis } = require('../lib/local-redis');
+const { ingestMedia, deleteMediaFiles } = require('../lib/media-service');
+const { queryMedia, removeMedia } = require('../lib/media-store');
+const { parseHistoryQuery } = require('../lib/query');
+const { getMediaStats } = require('../lib/stats');
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+function photo(color, width = 32, height = 24) {
+    return sharp({ create: { width, height, channels: 3, background: color } }).png().toBuffer();
+}
+
+describe('storage driver: local', () => {
+    const storage = getStorage('local');
+    const key = `gallery/.contract-${process.pid}.bin`;
+    const body = Buffer.from('contract bytes');
+
+    after(() => storage.remove([`/${key}`]));
+
+    it('put returns a URL the store owns and open reads it back', async () => {
+        const url = await storage.put(key, body, { contentType: 'application/octet-stream' });
+        assert.ok(storage.owns(url));
+        assert.deepEqual(await readAll(await storage.open(url)), body);
+    });
+
+    it('put also takes a stream', async () => {
+        const url = await storage.put(key, Readable.from([body.subarray(0, 4), body.subarray(4)]), { contentLength: body.length });
+        assert.deepEqual(await readAll(await storage.open(url)), body);
+    });
+
+    it('remove deletes the object and ignores missing ones', async () => {
+        const url = `/${key}`;
+        await storage.remove([url, `/gallery/.contract-missing-${process.pid}.bin`]);
+        await assert.rejects(storage.open(url));
+    });
+});
+
+describe('metadata driver: file', () => {
+    const storage = getStorage('local');
+    const ingested = [];
+
+    before(async () => {
+        assert.ok(getRedis() instanceof LocalRedis);
+        const older = await ingestMedia(await photo('#ff0000'), {
+            storage, fileName: 'red.png', uploadedBy: 'alice', source: 'web', timestamp: Date.now() - 60 * 1000
+        });
+        const newer = await ingestMedia(await photo('#0000ff', 48, 32), {
+            storage, fileName: 'blue.png', uploadedBy: 'bob', source: 'web', caption: 'Blue #sky'
+        });
+        ingested.push(older.entry, newer.entry);
+    });
+
+    after(async () => {
+        for (const entry of ingested) {
+            await deleteMediaFiles(entry);
+            await removeMedia(entry.id);
+        }
+        fs.rmSync(scratch, { recursive: true, force: true });
+    });
+
+    describe('ingest', () => {
+        it('stores the original under the detected extension and indexes it', async () => {
+            const [red] = ingested;
+            assert.equal(red.type, 'image');
+            assert.equal(red.mimeType, 'image/png');
+            assert.match(red.url, /^\/gallery\/\d+-red\.png$/);
+            assert.equal(red.width, 32);
+            assert.ok(red.thumbnailUrl);
+            assert.ok((await readAll(await storage.open(red.url))).length > 0);
+        });
+
+        it('reports an identical file as a duplicate of the stored one', async () => {
+            const { entry, duplicate } = await ingestMedia(await photo('#ff0000'), { storage, fileName: 'again.png' });
+            assert.equal(duplicate, true);
+            assert.equal(entry.id, ingested[0].id);
+        });
+
+        it('takes a file on disk as well as a buffer', async () => {
+            const filePath = path.join(scratch, 'red-copy.png');
+            fs.writeFileSync(filePath, await photo('#ff0000'));
+            const { entry, duplicate } = await ingestMedia({ filePath }, { storage, fileName: 'red-copy.png' });
+            assert.equal(duplicate, true);
+            assert.equal(entry.id, ingested[0].id);
+        });
+
+        it('refuses content that is not a supported image or video', async () => {
+            const page = Buffer.from('<html><script>alert(1)</script></html>');
+            await assert.rejects(ingestMedia(page, { storage, fileName: 'page.html', declaredType: 'image/png' }), /Unsupported file type/);
+        });
+    });
+
+    describe('history', () => {
+        it('pages newest first with a cursor', async () => {
+            const first = await queryMedia(parseHistoryQuery({ limit: '1' }));
+            assert.deepEqual(first.items.map(item => item.id), [ingested[1].id]);
+            assert.ok(first.nextCursor);
+
+            const second = await queryMedia(parseHistoryQuery({ limit: '1', cursor: first.nextCursor }));
+            assert.deepEqual(second.items.map(item => item.id), [ingested[0].id]);
+            assert.equal(second.nextCursor, null);
+        });
+
+        it('filters by uploader and by caption tags', async () => {
+            const byUploader = await queryMedia(parseHistoryQuery({ uploader: 'Alice' }));
+            assert.deepEqual(byUploader.items.map(item => item.id), [ingested[0].id]);
+
+            const byTag = await queryMedia(parseHistoryQuery({ tag: 'sky' }));
+            assert.deepEqual(byTag.items.map(item => item.id), [ingested[1].id]);
+        });
+    });
+
+    describe('stats', () => {
+        it('counts files and bytes per type and uploader', async () => {
+            const stats = await getMediaStats();
+            const bytes = ingested.reduce((sum, entry) => sum + entry.sizeBytes, 0);
+            assert.equal(stats.totalFiles, 2);
+            assert.equal(stats.images, 2);
+            assert.equal(stats.videos, 0);
+            assert.equal(stats.totalSizeBytes, bytes);
+            assert.deepEqual(stats.uploaders.map(uploader => uploader.name).sort(), ['alice', 'bob']);
+            assert.deepEqual(stats.largest.map(item => item.id), [ingested[1].id, ingested[0].id]);
+        });
+    });
+});
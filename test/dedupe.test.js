@@ -0,0 +1,32 @@
+/**
+ * Merging duplicate entries (lib/dedupe.js).
+ *
+ *   npm test
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planMerge } = require('../lib/dedupe');
+
+describe('planMerge', () => {
+    it('keeps the oldest entry and gains metadata only the duplicates have', () => {
+        const keep = { id: 'a', url: '/gallery/a.mp4', timestamp: 1, caption: null };
+        const duplicate = { id: 'b', url: '/gallery/b.mp4', timestamp: 2, caption: 'Beach', camera: 'X100' };
+        const plan = planMerge([keep, duplicate]);
+        assert.equal(plan.keep, keep);
+        assert.deepEqual(plan.remove, [duplicate]);
+        assert.deepEqual(plan.changes, { caption: 'Beach', camera: 'X100' });
+    });
+
+    it('never takes over the files of a duplicate that is about to be deleted', () => {
+        const keep = { id: 'a', url: '/gallery/a.mp4', timestamp: 1 };
+        const duplicate = {
+            id: 'b',
+            url: '/gallery/b.mp4',
+            timestamp: 2,
+            posterUrl: '/derivatives/b-poster.webp',
+            variants: { mp4: '/videos/b/web.mp4', hls: '/videos/b/master.m3u8' },
+            transcode: { status: 'done', attempts: 1 }
+        };
+        assert.deepEqual(planMerge([keep, duplicate]).changes, {});
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * The shared event log behind /api/events (lib/events.js), against the
+ * file-backed Redis stand-in.
+ *
+ *   npm test
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-events-'));
+process.env.METADATA_DRIVER = 'file';
+process.env.LOCAL_REDIS_FILE = path.join(scratch, 'redis.json');
+
+const { getRedis } = require('../lib/redis');
+const { KEYS, publishEvent, readEventsSince } = require('../lib/events');
+
+const latestSeq = async () => Number(await getRedis().get(KEYS.seq));
+
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+describe('event log', () => {
+    it('numbers concurrent events without gaps, in the order they were logged', async () => {
+        const seqs = await Promise.all(Array.from({ length: 20 }, (_, i) => publishEvent('media-updated', { id: `m${i}` })));
+        const events = await readEventsSince(0);
+
+        assert.deepEqual(events.map(event => event.seq), Array.from({ length: 20 }, (_, i) => i + 1));
+        assert.deepEqual([...seqs].sort((a, b) => a - b), events.map(event => event.seq));
+        for (const event of events) assert.equal(event.data.id, `m${seqs.indexOf(event.seq)}`);
+        assert.equal(await latestSeq(), 20);
+    });
+
+    it('returns only events after the given id, oldest first', async () => {
+        const head = await latestSeq();
+        await publishEvent('new-media', { id: 'a' });
+        await publishEvent('media-deleted', { id: 'b' });
+        const events = await readEventsSince(head);
+        assert.deepEqual(events.map(event => [event.seq, event.type]), [[head + 1, 'new-media'], [head + 2, 'media-deleted']]);
+    });
+});
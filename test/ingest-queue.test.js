@@ -0,0 +1,192 @@
+/**
+ * The durable ingest queue (lib/ingest-queue.js) against the file-backed Redis
+ * stand-in and a fake Bot API server, with files stored in a scratch folder.
+ *
+ *   npm test
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-ingest-'));
+process.env.METADATA_DRIVER = 'file';
+process.env.LOCAL_REDIS_FILE = path.join(scratch, 'redis.json');
+process.env.TELEGRAM_TOKEN = '1:test';
+delete process.env.INGEST_MAX_ATTEMPTS;
+
+const sharp = require('sharp');
+const { diskStorage } = require('../lib/storage');
+const { getRedis } = require('../lib/redis');
+
+// Loaded once the fake Bot API listens, since its address is read on load
+let KEYS, enqueueIngest, processIngest, processDueIngests, listIngestJobs, replayIngest, discardIngest;
+
+const storage = diskStorage(path.join(scratch, 'store'));
+
+// Telegram file ids the fake Bot API knows, with hooks run while a file downloads
+// and how many more getFile calls fail as if Telegram were briefly down
+const files = new Map();
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const fileId = url.pathname.startsWith('/file/') ? path.basename(url.pathname, '.png') : url.searchParams.get('file_id');
+    const file = files.get(fileId);
+    if (!file) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ ok: false, description: 'Bad Request: wrong file_id' }));
+    }
+    if (url.pathname.endsWith('/getFile')) {
+        if (file.unavailable > 0) {
+            file.unavailable--;
+            res.writeHead(502, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ ok: false, description: 'Bad Gateway' }));
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ ok: true, result: { file_path: `photos/${fileId}.png` } }));
+    }
+    if (file.onDownload) await file.onDownload();
+    res.end(file.body);
+});
+
+function photo(color) {
+    return sharp({ create: { width: 16, height: 16, channels: 3, background: color } }).png().toBuffer();
+}
+
+let messageId = 0;
+function message() {
+    return { message_id: ++messageId, chat: { id: -42, type: 'group' }, from: { id: 7, first_name: 'Ann' } };
+}
+
+function media(fileId) {
+    return { kind: 'photo', fileId, fileUniqueId: `u-${fileId}`, fileName: `${fileId}.png`, mimeType: 'image/png', fileSize: 100 };
+}
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.TELEGRAM_API_URL = `http://127.0.0.1:${server.address().port}`;
+    ({ KEYS, enqueueIngest, processIngest, processDueIngests, listIngestJobs, replayIngest, discardIngest } = require('../lib/ingest-queue'));
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+describe('ingest leases', () => {
+    it('leaves a lease taken over mid-attempt to the worker that took it', async () => {
+        const { job } = await enqueueIngest(message(), media('slow'));
+        files.set('slow', {
+            body: await photo('#336699'),
+            // The attempt outlives its lease and another worker claims the job
+            onDownload: () => getRedis().set(KEYS.lease(job.id), 'other-worker', { ex: 60 })
+        });
+
+        const outcome = await processIngest(job.id, { storage });
+        assert.equal(outcome.status, 'stored');
+        assert.equal(await getRedis().get(KEYS.lease(job.id)), 'other-worker');
+    });
+
+    it('releases its own lease when the attempt ends', async () => {
+        files.set('quick', { body: await photo('#996633') });
+        const { job } = await enqueueIngest(message(), media('quick'));
+        assert.equal((await processIngest(job.id, { storage })).status, 'stored');
+        assert.equal(await getRedis().get(KEYS.lease(job.id)), null);
+    });
+});
+
+describe('retries and dead letters', () => {
+    it('schedules a failed attempt with backoff and stores the file on the next one', async () => {
+        files.set('flaky', { body: await photo('#663399'), unavailable: 1 });
+        const { job } = await enqueueIngest(message(), media('flaky'));
+
+        const first = await processIngest(job.id, { storage });
+        assert.equal(first.status, 'retry');
+        assert.equal(first.job.status, 'retrying');
+        assert.equal(first.job.attempts, 1);
+        assert.equal(first.job.lastError, 'Telegram getFile failed: Bad Gateway');
+        assert.equal(first.job.nextAttemptAt, first.job.updatedAt + 30 * 1000);
+        assert.equal(Number(await getRedis().zscore(KEYS.queue, job.id)), first.job.nextAttemptAt);
+        // Not due yet
+        assert.deepEqual(await processDueIngests({ storage }), []);
+
+        const second = await processIngest(job.id, { storage });
+        assert.equal(second.status, 'stored');
+        assert.equal(second.job.attempts, 2);
+        assert.equal(await getRedis().get(KEYS.job(job.id)), null);
+        assert.equal(await getRedis().zscore(KEYS.queue, job.id), null);
+    });
+
+    it('moves a job to the dead letters after its last allowed attempt', async (t) => {
+        process.env.INGEST_MAX_ATTEMPTS = '2';
+        t.after(() => delete process.env.INGEST_MAX_ATTEMPTS);
+        files.set('down', { body: await photo('#339966'), unavailable: 2 });
+        const { job } = await enqueueIngest(message(), media('down'));
+
+        assert.equal((await processIngest(job.id, { storage })).status, 'retry');
+        const last = await processIngest(job.id, { storage });
+        assert.equal(last.status, 'dead');
+        assert.equal(last.job.status, 'dead');
+        assert.equal(await getRedis().zscore(KEYS.queue, job.id), null);
+        assert.equal(Number(await getRedis().zscore(KEYS.dead, job.id)), last.job.failedAt);
+
+        const { pending, dead } = await listIngestJobs();
+        assert.ok(!pending.some(pendingJob => pendingJob.id === job.id));
+        assert.equal(dead.find(deadJob => deadJob.id === job.id).attempts, 2);
+        // A dead job is left alone until it is replayed
+        assert.equal(await processIngest(job.id, { storage }), null);
+    });
+
+    it('dead-letters a file Telegram no longer has without retrying', async () => {
+        const { job } = await enqueueIngest(message(), media('gone'));
+        const outcome = await processIngest(job.id, { storage });
+        assert.equal(outcome.status, 'dead');
+        assert.equal(outcome.job.attempts, 1);
+        assert.match(outcome.job.lastError, /wrong file_id/);
+    });
+
+    it('dead-letters files over the Bot API download limit when they are queued', async () => {
+        const { job } = await enqueueIngest(message(), { ...media('huge'), fileSize: 50 * 1024 * 1024 });
+        assert.equal(job.status, 'dead');
+        assert.equal(await getRedis().zscore(KEYS.queue, job.id), null);
+        assert.notEqual(await getRedis().zscore(KEYS.dead, job.id), null);
+    });
+});
+
+describe('replaying and discarding dead jobs', () => {
+    it('replays a dead job with a fresh set of attempts', async () => {
+        const { job } = await enqueueIngest(message(), media('late'));
+        assert.equal((await processIngest(job.id, { storage })).status, 'dead');
+
+        files.set('late', { body: await photo('#999933') });
+        const replayed = await replayIngest(job.id);
+        assert.equal(replayed.status, 'queued');
+        assert.equal(replayed.attempts, 0);
+        assert.equal(replayed.failedAt, undefined);
+        assert.equal(await getRedis().zscore(KEYS.dead, job.id), null);
+
+        const outcomes = await processDueIngests({ storage });
+        assert.deepEqual(outcomes.map(outcome => [outcome.job.id, outcome.status]), [[job.id, 'stored']]);
+        assert.equal(outcomes[0].job.attempts, 1);
+    });
+
+    it('discards a dead job for good', async () => {
+        const { job } = await enqueueIngest(message(), media('unwanted'));
+        assert.equal((await processIngest(job.id, { storage })).status, 'dead');
+
+        assert.equal((await discardIngest(job.id)).id, job.id);
+        assert.equal(await getRedis().get(KEYS.job(job.id)), null);
+        assert.equal(await getRedis().zscore(KEYS.dead, job.id), null);
+        assert.equal(await discardIngest(job.id), null);
+        assert.equal(await replayIngest(job.id), null);
+    });
+
+    it('only replays or discards jobs that are dead', async () => {
+        files.set('waiting', { body: await photo('#333399') });
+        const { job } = await enqueueIngest(message(), media('waiting'));
+        assert.equal(await replayIngest(job.id), null);
+        assert.equal(await discardIngest(job.id), null);
+        assert.equal((await processIngest(job.id, { storage })).status, 'stored');
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * The shared ingest path (lib/media-service.js) against the file-backed Redis
+ * stand-in, with files stored in a scratch folder: content-hash deduplication.
+ *
+ *   npm test
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-ingest-media-'));
+process.env.METADATA_DRIVER = 'file';
+process.env.LOCAL_REDIS_FILE = path.join(scratch, 'redis.json');
+delete process.env.STRIP_GPS;
+
+const sharp = require('sharp');
+const { diskStorage } = require('../lib/storage');
+const { hashBuffer } = require('../lib/dedupe');
+const { listMedia, findMediaByHash, trashMedia } = require('../lib/media-store');
+const { ingestMedia } = require('../lib/media-service');
+
+const root = path.join(scratch, 'store');
+const storage = diskStorage(root);
+
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+function photo(color) {
+    return sharp({ create: { width: 16, height: 16, channels: 3, background: color } }).png().toBuffer();
+}
+
+function storedFiles() {
+    return fs.existsSync(root) ? fs.readdirSync(root, { recursive: true }).filter(name => fs.statSync(path.join(root, name)).isFile()) : [];
+}
+
+describe('content-hash deduplication', () => {
+    it('indexes the same bytes once and points later copies at the original', async () => {
+        const bytes = await photo('#cc3333');
+        const first = await ingestMedia(bytes, { storage, fileName: 'first.png', uploadedBy: 'Ann' });
+        assert.equal(first.duplicate, false);
+        assert.equal(first.entry.sha256, hashBuffer(bytes));
+        const files = storedFiles();
+
+        const again = await ingestMedia(bytes, { storage, fileName: 'forwarded.png', uploadedBy: 'Bob' });
+        assert.equal(again.duplicate, true);
+        assert.equal(again.entry.id, first.entry.id);
+        assert.equal(again.entry.uploadedBy, 'Ann');
+        assert.deepEqual(storedFiles(), files);
+        assert.equal((await listMedia()).filter(entry => entry.sha256 === first.entry.sha256).length, 1);
+    });
+
+    it('stores different bytes as a new entry', async () => {
+        const green = await ingestMedia(await photo('#33cc33'), { storage, fileName: 'green.png' });
+        const blue = await ingestMedia(await photo('#3333cc'), { storage, fileName: 'blue.png' });
+        assert.equal(blue.duplicate, false);
+        assert.notEqual(blue.entry.id, green.entry.id);
+    });
+
+    it('stores a copy again once the original is in the trash', async () => {
+        const bytes = await photo('#cccc33');
+        const { entry } = await ingestMedia(bytes, { storage, fileName: 'yellow.png' });
+        await trashMedia(entry.id);
+
+        const again = await ingestMedia(bytes, { storage, fileName: 'yellow.png' });
+        assert.equal(again.duplicate, false);
+        assert.notEqual(again.entry.id, entry.id);
+        assert.equal((await findMediaByHash(hashBuffer(bytes)))?.id, again.entry.id);
+    });
+
+    it('refuses content that is neither a photo nor a video, for good', async () => {
+        await assert.rejects(
+            ingestMedia(Buffer.from('just some text'), { storage, fileName: 'notes.txt', declaredType: 'text/plain' }),
+            err => err.permanent && /Unsupported file type: text\/plain/.test(err.message)
+        );
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * The indexed media store (lib/media-store.js) against the file-backed Redis
+ * stand-in.
+ *
+ *   npm test
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-store-'));
+process.env.METADATA_DRIVER = 'file';
+process.env.LOCAL_REDIS_FILE = path.join(scratch, 'redis.json');
+
+const { addMedia, removeMedia, findMediaByUrl, findMediaByTelegramMessage } = require('../lib/media-store');
+
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+describe('removeMedia', () => {
+    it('removes only the lookups the entry still owns', async () => {
+        const old = await addMedia({ url: '/gallery/a.jpg', filename: 'a.jpg', type: 'image', telegram: { chatId: -1, messageId: 10, replyMessageId: 11 } });
+        // A later upload took over the status reply key
+        const newer = await addMedia({ url: '/gallery/b.jpg', filename: 'b.jpg', type: 'image', telegram: { chatId: -1, messageId: 12, replyMessageId: 11 } });
+
+        await removeMedia(old.id);
+
+        assert.equal(await findMediaByTelegramMessage(-1, 10), null);
+        assert.equal((await findMediaByTelegramMessage(-1, 11))?.id, newer.id);
+        assert.equal((await findMediaByTelegramMessage(-1, 12))?.id, newer.id);
+        assert.equal(await findMediaByUrl('/gallery/a.jpg'), null);
+    });
+
+    it('leaves a URL to the entry that now holds it', async () => {
+        const first = await addMedia({ url: '/gallery/c.jpg', filename: 'c.jpg', type: 'image' });
+        const second = await addMedia({ url: '/gallery/c.jpg', filename: 'c.jpg', type: 'image' });
+        await removeMedia(first.id);
+        assert.equal((await findMediaByUrl('/gallery/c.jpg'))?.id, second.id);
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Perceptual hashes and the similar photos review (lib/similar.js), for images
+ * ingested into the file-backed Redis stand-in and a scratch folder.
+ *
+ *   npm test
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-similar-'));
+process.env.METADATA_DRIVER = 'file';
+process.env.LOCAL_REDIS_FILE = path.join(scratch, 'redis.json');
+
+const sharp = require('sharp');
+const { diskStorage } = require('../lib/storage');
+const { listMedia } = require('../lib/media-store');
+const { ingestMedia } = require('../lib/media-service');
+const { perceptualHash, parseThreshold, findSimilarGroups, DEFAULT_THRESHOLD } = require('../lib/similar');
+
+const storage = diskStorage(path.join(scratch, 'store'));
+
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+// A 9x8 grid of random grey blocks (seeded), drawn at `scale` pixels per block
+function blocks(seed, scale = 8) {
+    let state = seed;
+    const random = () => (state = (state * 1103515245 + 12345) % 2147483648) / 2147483648;
+    const grid = Array.from({ length: 72 }, () => Math.floor(random() * 256));
+    const width = 9 * scale;
+    const height = 8 * scale;
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) pixels[y * width + x] = grid[Math.floor(y / scale) * 9 + Math.floor(x / scale)];
+    }
+    return sharp(pixels, { raw: { width, height, channels: 1 } });
+}
+
+function distance(a, b) {
+    let bits = 0;
+    for (let i = 0; i < a.length; i++) bits += [...(parseInt(a[i], 16) ^ parseInt(b[i], 16)).toString(2)].filter(bit => bit === '1').length;
+    return bits;
+}
+
+describe('perceptualHash', () => {
+    it('gives a re-compressed, smaller copy nearly the same hash and another photo a distant one', async () => {
+        const original = await perceptualHash(await blocks(1).png().toBuffer());
+        const copy = await perceptualHash(await blocks(1, 4).jpeg({ quality: 50 }).toBuffer());
+        const other = await perceptualHash(await blocks(2).png().toBuffer());
+
+        assert.match(original, /^[0-9a-f]{16}$/);
+        assert.ok(distance(original, copy) <= DEFAULT_THRESHOLD);
+        assert.ok(distance(original, other) > DEFAULT_THRESHOLD);
+    });
+
+    it('resolves to null for bytes that are not an image', async () => {
+        assert.equal(await perceptualHash(Buffer.from('not an image')), null);
+    });
+});
+
+describe('parseThreshold', () => {
+    it('falls back to the default and clamps to the allowed range', () => {
+        assert.equal(parseThreshold(undefined), DEFAULT_THRESHOLD);
+        assert.equal(parseThreshold('-3'), 0);
+        assert.equal(parseThreshold('99'), 24);
+        assert.equal(parseThreshold('6'), 6);
+    });
+});
+
+describe('findSimilarGroups', () => {
+    it('groups ingested copies of one photo and suggests keeping the largest', async () => {
+        const { entry: original } = await ingestMedia(await blocks(3).png().toBuffer(), { storage, fileName: 'original.png' });
+        const { entry: forwarded } = await ingestMedia(await blocks(3, 4).jpeg({ quality: 50 }).toBuffer(), { storage, fileName: 'forwarded.jpg' });
+        const { entry: unrelated } = await ingestMedia(await blocks(4).png().toBuffer(), { storage, fileName: 'unrelated.png' });
+        assert.ok(original.phash && forwarded.phash && unrelated.phash);
+
+        const groups = findSimilarGroups(await listMedia());
+        assert.equal(groups.length, 1);
+        assert.deepEqual(groups[0].items.map(item => item.id), [original.id, forwarded.id]);
+        assert.equal(groups[0].keep, original.id);
+    });
+
+    it('chains a burst drifting across frames into one group and leaves out entries without a hash', () => {
+        const entry = (id, phash, timestamp) => ({ id, type: 'image', phash, timestamp, width: 10, height: 10 });
+        const groups = findSimilarGroups([
+            entry('a', '0000000000000000', 1),
+            entry('b', '00000000000003ff', 2), // 10 bits from a
+            entry('c', '000000000003ffff', 3), // 8 bits from b, 18 from a
+            entry('d', 'ffffffffffffffff', 4),
+            { id: 'e', type: 'image', timestamp: 5 },
+            { id: 'f', type: 'video', phash: '0000000000000000', timestamp: 6 }
+        ]);
+        assert.deepEqual(groups.map(group => group.items.map(item => item.id)), [['a', 'b', 'c']]);
+        assert.equal(groups[0].keep, 'a');
+    });
+});
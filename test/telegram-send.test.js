@@ -0,0 +1,138 @@
+/**
+ * Sending gallery items back to Telegram (lib/telegram-send.js) against a
+ * fake Bot API server and the file-backed Redis stand-in.
+ *
+ *   npm test
+ */
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-send-'));
+process.env.METADATA_DRIVER = 'file';
+process.env.LOCAL_REDIS_FILE = path.join(scratch, 'redis.json');
+process.env.TELEGRAM_TOKEN = '1:test';
+process.env.TELEGRAM_ALLOWED_CHAT_IDS = '-42';
+delete process.env.TELEGRAM_CHANNEL_IDS;
+
+const { getRedis } = require('../lib/redis');
+const { addMedia } = require('../lib/media-store');
+const { getStorage } = require('../lib/storage');
+
+// Loaded once the fake Bot API listens, since its address is read on load
+let KEYS, createSend, sendNextAlbum;
+
+const CHAT_ID = '-42';
+const session = { sub: 'user:admin', name: 'admin', role: 'admin' };
+
+// Each request the fake Bot API received, and what it answers next
+const calls = [];
+let answer = () => ({ ok: true, result: {} });
+const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const form = await new Response(Buffer.concat(chunks), { headers: { 'content-type': req.headers['content-type'] } }).formData();
+    const call = { method: path.basename(req.url), form };
+    calls.push(call);
+    const reply = answer(call);
+    if (!reply) return req.socket.destroy();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply));
+});
+
+const storage = getStorage('local');
+const stored = [];
+
+async function photo(i) {
+    const url = await storage.put(`gallery/.send-test-${process.pid}-${i}.png`, Buffer.from(`bytes ${i}`));
+    stored.push(url);
+    return addMedia({ url, filename: `photo-${i}.png`, type: 'image', mimeType: 'image/png', sizeBytes: 8, width: 10, height: 10, caption: `Photo ${i}` });
+}
+
+// The chat's pace between albums is not what these tests are about
+async function sendNow(id) {
+    await getRedis().del(KEYS.pace(CHAT_ID));
+    return sendNextAlbum(id);
+}
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.TELEGRAM_API_URL = `http://127.0.0.1:${server.address().port}`;
+    ({ KEYS, createSend, sendNextAlbum } = require('../lib/telegram-send'));
+});
+
+beforeEach(() => {
+    calls.length = 0;
+    answer = () => ({ ok: true, result: {} });
+});
+
+after(async () => {
+    server.close();
+    await storage.remove(stored);
+    fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+describe('sending a selection', () => {
+    it('sends albums of up to ten and lists ids no longer in the gallery as skipped', async () => {
+        const entries = [];
+        for (let i = 0; i < 12; i++) entries.push(await photo(i));
+
+        const { job } = await createSend(session, { chatId: CHAT_ID, ids: [...entries.map(entry => entry.id), 'gone'] });
+        assert.equal(job.total, 12);
+        assert.deepEqual(job.albums.map(album => album.length), [10, 2]);
+        assert.deepEqual(job.skipped, [{ id: 'gone', reason: 'No longer in the gallery' }]);
+
+        assert.equal((await sendNow(job.id)).job.sent, 10);
+        const { job: done } = await sendNow(job.id);
+        assert.equal(done.status, 'done');
+        assert.equal(done.sent, 12);
+
+        assert.deepEqual(calls.map(call => call.method), ['sendMediaGroup', 'sendMediaGroup']);
+        const media = JSON.parse(calls[0].form.get('media'));
+        assert.equal(media.length, 10);
+        assert.deepEqual(media[0], { type: 'photo', media: 'attach://file0', caption: 'Photo 0' });
+        assert.equal(calls[0].form.get('chat_id'), CHAT_ID);
+        assert.equal(await calls[0].form.get('file9').text(), 'bytes 9');
+    });
+
+    it('sends a single item with sendPhoto and its caption', async () => {
+        const entry = await photo(20);
+        const { job } = await createSend(session, { chatId: CHAT_ID, ids: [entry.id] });
+        assert.equal((await sendNow(job.id)).job.status, 'done');
+        assert.equal(calls[0].method, 'sendPhoto');
+        assert.equal(calls[0].form.get('caption'), 'Photo 20');
+    });
+
+    it('waits as long as flood control asks and then sends the same album', async () => {
+        const entry = await photo(21);
+        const { job } = await createSend(session, { chatId: CHAT_ID, ids: [entry.id] });
+        answer = () => ({ ok: false, error_code: 429, description: 'Too Many Requests', parameters: { retry_after: 7 } });
+
+        const waiting = await sendNow(job.id);
+        assert.equal(waiting.retryAfter, 7);
+        assert.equal(waiting.job.next, 0);
+        assert.ok((await sendNextAlbum(job.id)).retryAfter > 0);
+
+        answer = () => ({ ok: true, result: {} });
+        assert.equal((await sendNow(job.id)).job.status, 'done');
+    });
+
+    it('keeps the album for a retry when Telegram cannot be reached', async () => {
+        const entry = await photo(22);
+        const { job } = await createSend(session, { chatId: CHAT_ID, ids: [entry.id] });
+        answer = () => null;
+
+        await assert.rejects(sendNow(job.id));
+        answer = () => ({ ok: true, result: {} });
+        const { job: retried } = await sendNow(job.id);
+        assert.equal(retried.status, 'done');
+        assert.equal(retried.sent, 1);
+    });
+
+    it('refuses chats that are not on the allowlist', async () => {
+        assert.equal((await createSend(session, { chatId: '-7', ids: ['x'] })).status, 403);
+    });
+});
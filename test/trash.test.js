@@ -0,0 +1,124 @@
+/**
+ * Trashing, restoring and purging media (lib/media-store.js, lib/trash.js)
+ * against the file-backed Redis stand-in.
+ *
+ *   npm test
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-trash-'));
+process.env.METADATA_DRIVER = 'file';
+process.env.LOCAL_REDIS_FILE = path.join(scratch, 'redis.json');
+delete process.env.TRASH_RETENTION_DAYS;
+
+const { getRedis } = require('../lib/redis');
+const { KEYS, addMedia, getMedia, findMediaByUrl, trashMedia, restoreMedia, listTrash, listMedia, listTags } = require('../lib/media-store');
+const { createCollection, getCollection } = require('../lib/collections');
+const { purgeAt, purgeMedia, purgeTrash } = require('../lib/trash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+let n = 0;
+function photo(fields = {}) {
+    n++;
+    return addMedia({ url: `/gallery/trash-${n}.jpg`, filename: `trash-${n}.jpg`, type: 'image', ...fields });
+}
+
+// Trashes an entry as if it had been deleted `days` ago
+async function trashedDaysAgo(entry, days) {
+    const trashed = await trashMedia(entry.id);
+    await getRedis().zadd(KEYS.trash, { score: Date.now() - days * DAY_MS, member: entry.id });
+    return trashed;
+}
+
+const tagCount = async tag => (await listTags()).find(t => t.tag === tag)?.count || 0;
+
+describe('trash and restore', () => {
+    it('hides a trashed entry from the gallery but keeps it restorable', async () => {
+        const entry = await photo({ tags: ['beach'] });
+        const trashed = await trashMedia(entry.id, { deletedBy: 'admin' });
+        assert.equal(trashed.deletedBy, 'admin');
+        assert.equal(purgeAt(trashed), trashed.deletedAt + 30 * DAY_MS);
+
+        assert.equal(await getMedia(entry.id), null);
+        assert.equal(await findMediaByUrl(entry.url), null);
+        assert.equal((await findMediaByUrl(entry.url, { includeTrashed: true }))?.id, entry.id);
+        assert.ok(!(await listMedia()).some(item => item.id === entry.id));
+        assert.equal(await tagCount('beach'), 0);
+        assert.ok((await listTrash()).some(item => item.id === entry.id));
+        // Already in the trash
+        assert.equal(await trashMedia(entry.id), null);
+    });
+
+    it('puts a restored entry back in the gallery and out of the trash', async () => {
+        const entry = await photo({ tags: ['hike'] });
+        await trashMedia(entry.id, { deletedBy: 'admin' });
+
+        const restored = await restoreMedia(entry.id);
+        assert.equal(restored.deletedAt, undefined);
+        assert.equal(restored.deletedBy, undefined);
+        assert.equal((await getMedia(entry.id))?.id, entry.id);
+        assert.ok((await listMedia()).some(item => item.id === entry.id));
+        assert.equal(await tagCount('hike'), 1);
+        assert.ok(!(await listTrash()).some(item => item.id === entry.id));
+        // Not in the trash any more
+        assert.equal(await restoreMedia(entry.id), null);
+    });
+});
+
+describe('purging', () => {
+    it('purges only what has been in the trash past the retention period', async () => {
+        const old = await photo();
+        const recent = await photo();
+        await trashedDaysAgo(old, 31);
+        await trashedDaysAgo(recent, 2);
+
+        const deleted = [];
+        const reported = [];
+        const { purged, failed } = await purgeTrash(async entry => deleted.push(entry.id), { onPurged: async entry => reported.push(entry.id) });
+        assert.deepEqual(purged, [old.id]);
+        assert.deepEqual(failed, []);
+        assert.deepEqual(deleted, [old.id]);
+        assert.deepEqual(reported, [old.id]);
+
+        assert.equal(await getMedia(old.id, { includeTrashed: true }), null);
+        assert.equal(await findMediaByUrl(old.url, { includeTrashed: true }), null);
+        assert.equal((await getMedia(recent.id, { includeTrashed: true }))?.id, recent.id);
+        await restoreMedia(recent.id);
+    });
+
+    it('empties the whole trash with `all` and keeps entries whose files could not be deleted', async () => {
+        const stuck = await photo();
+        const gone = await photo();
+        await trashMedia(stuck.id);
+        await trashMedia(gone.id);
+
+        const { purged, failed } = await purgeTrash(async entry => {
+            if (entry.id === stuck.id) throw new Error('storage unavailable');
+        }, { all: true });
+        assert.ok(purged.includes(gone.id));
+        assert.deepEqual(failed, [stuck.id]);
+        assert.deepEqual((await listTrash()).map(item => item.id), [stuck.id]);
+        await restoreMedia(stuck.id);
+    });
+
+    it('purges one entry only once it is in the trash, and drops it from collections', async () => {
+        const entry = await photo();
+        const { collection } = await createCollection({ name: 'Trip', itemIds: [entry.id] });
+        const deleteFiles = async () => {};
+
+        assert.equal(await purgeMedia(entry.id, deleteFiles), null);
+        assert.equal((await getMedia(entry.id))?.id, entry.id);
+
+        await trashMedia(entry.id);
+        assert.equal((await purgeMedia(entry.id, deleteFiles))?.id, entry.id);
+        assert.equal(await getMedia(entry.id, { includeTrashed: true }), null);
+        assert.deepEqual((await getCollection(collection.id)).itemIds, []);
+    });
+});